@@ -6,12 +6,18 @@
  * - Coming Soon movies: Monitors until booking opens
  * - Released movies: Gets current showtimes immediately
  *
- * Handles URL pattern changes and sends Telegram notifications
+ * Handles URL pattern changes and sends notifications to Telegram, Discord,
+ * Slack, email and generic webhooks
  */
 
 require("dotenv").config();
+const fs = require("fs");
+const crypto = require("crypto");
+const http = require("http");
+const path = require("path");
 const puppeteer = require("puppeteer");
 const axios = require("axios");
+const yaml = require("js-yaml");
 
 // ================================
 // CONFIGURATION & CONSTANTS
@@ -20,7 +26,79 @@ const axios = require("axios");
 const CONFIG = {
   TELEGRAM_BOT_TOKEN: process.env.TELEGRAM_BOT_TOKEN,
   TELEGRAM_CHAT_ID: process.env.TELEGRAM_CHAT_ID,
+  TELEGRAM_API_URL: process.env.TELEGRAM_API_URL || "https://api.telegram.org",
+  TELEGRAM_COMMANDS: process.env.TELEGRAM_COMMANDS !== "false",
+  TELEGRAM_POLL_TIMEOUT: parseInt(process.env.TELEGRAM_POLL_TIMEOUT) || 30,
+  TELEGRAM_QUEUE_FILE: path.resolve(
+    process.env.TELEGRAM_QUEUE_FILE ||
+      path.join(__dirname, "data", "telegram-queue.json")
+  ),
+  TELEGRAM_MAX_RETRIES: 4,
+  ERROR_ALERT_THRESHOLD: parseInt(process.env.ERROR_ALERT_THRESHOLD) || 3,
+  TELEGRAM_RETRY_BASE_MS: 1000,
+  DISCORD_WEBHOOK_URL: process.env.DISCORD_WEBHOOK_URL,
+  SLACK_WEBHOOK_URL: process.env.SLACK_WEBHOOK_URL,
+  WEBHOOK_URL: process.env.WEBHOOK_URL,
+  SMTP_HOST: process.env.SMTP_HOST,
+  SMTP_PORT: parseInt(process.env.SMTP_PORT) || 587,
+  SMTP_SECURE: process.env.SMTP_SECURE === "true",
+  SMTP_USER: process.env.SMTP_USER,
+  SMTP_PASS: process.env.SMTP_PASS,
+  EMAIL_FROM: process.env.EMAIL_FROM,
+  EMAIL_TO: process.env.EMAIL_TO,
   CHECK_INTERVAL_MINUTES: parseInt(process.env.CHECK_INTERVAL_MINUTES) || 60,
+  ERROR_RETRY_MINUTES: parseInt(process.env.ERROR_RETRY_MINUTES) || 10,
+  // Longest the scheduler sleeps, so watchlist edits and held alerts are seen
+  SCHEDULER_MAX_SLEEP_MINUTES: 5,
+  WATCHLIST_FILE: path.resolve(
+    process.env.WATCHLIST_FILE || path.join(__dirname, "watchlist.json")
+  ),
+  FULL_LISTING: process.env.FULL_LISTING === "true",
+  PREFERRED_THEATRES: (process.env.PREFERRED_THEATRES || "")
+    .split(",")
+    .map((filter) => filter.trim())
+    .filter(Boolean),
+  STATE_STORE: (process.env.STATE_STORE || "json").toLowerCase(),
+  STATE_FILE: process.env.STATE_FILE
+    ? path.resolve(process.env.STATE_FILE)
+    : null,
+  // Every scrape is appended to a JSON-lines log for `export`
+  HISTORY: process.env.HISTORY !== "false",
+  HISTORY_FILE: path.resolve(
+    process.env.HISTORY_FILE || path.join(__dirname, "data", "history.jsonl")
+  ),
+  // Known ET codes for the catalogue watcher, and how often it scans
+  CATALOGUE_FILE: path.resolve(
+    process.env.CATALOGUE_FILE || path.join(__dirname, "data", "catalogue.json")
+  ),
+  CATALOGUE_INTERVAL_MINUTES:
+    parseInt(process.env.CATALOGUE_INTERVAL_MINUTES) || 360,
+  // Alerts held for quiet hours, kept across restarts
+  HELD_ALERTS_FILE: path.resolve(
+    process.env.HELD_ALERTS_FILE ||
+      path.join(__dirname, "data", "held-alerts.json")
+  ),
+  // auto: showtime API payloads, falling back to page text | network | text
+  EXTRACTION_MODE: (process.env.EXTRACTION_MODE || "auto").toLowerCase(),
+  BROWSER_POOL_SIZE: parseInt(process.env.BROWSER_POOL_SIZE) || 2,
+  MAX_CONCURRENT_CHECKS: parseInt(process.env.MAX_CONCURRENT_CHECKS) || 2,
+  PAGE_MAX_USES: parseInt(process.env.PAGE_MAX_USES) || 20,
+  // Embedded /healthz, /status and /metrics server; off unless a port is set
+  STATUS_PORT: parseInt(process.env.STATUS_PORT) || null,
+  // Local only unless STATUS_HOST opts in, e.g. 0.0.0.0 inside a container
+  STATUS_HOST: process.env.STATUS_HOST || "127.0.0.1",
+  HEALTH_MAX_AGE_MINUTES: parseInt(process.env.HEALTH_MAX_AGE_MINUTES) || null,
+  // Web UI on the status server; re-check and pause need DASHBOARD_PASSWORD
+  DASHBOARD: process.env.DASHBOARD !== "false",
+  DASHBOARD_PASSWORD: process.env.DASHBOARD_PASSWORD,
+  // standard: images, media, fonts and trackers | aggressive: also CSS | off
+  REQUEST_BLOCKING: (process.env.REQUEST_BLOCKING || "standard").toLowerCase(),
+  BLOCKED_DOMAINS: (process.env.BLOCKED_DOMAINS || "")
+    .split(",")
+    .map((domain) => domain.trim().toLowerCase())
+    .filter(Boolean),
+  // Forces full page loads, e.g. while checking whether blocking hurts extraction
+  SAFE_MODE: process.env.SAFE_MODE === "true",
   BROWSER_TIMEOUT: 45000,
   RETRY_DELAY: 3000,
   PAGE_VIEWPORT: { width: 1366, height: 768 },
@@ -37,33 +115,13 @@ const THEATRE_PATTERNS = {
     "pvr",
     "inox",
     "miraj",
-    "asian",
-    "aparna",
-    "amb",
-    "gpr",
     "cinemax",
     "cinepolis",
     "carnival",
-    // Local/specific theatres
-    "vyjayanthi",
-    "uk cineplex",
-    "uk",
     "cineplex",
-    "sandhya",
-    "sudarshan",
-    "talluri",
-    "nacharam",
-    "kushaiguda",
-    "rtc x roads",
     "35mm",
     "dolby atmos",
     "laser",
-    // AMR Planet Mall area
-    "amr",
-    "planet mall",
-    "moula ali",
-    "ecil",
-    "secunderabad",
   ],
   EXCLUDE_PATTERNS: [
     /movies?\s+in\s+/i,
@@ -77,32 +135,234 @@ const THEATRE_PATTERNS = {
     /connplex|gold\s+cinema$/i,
     /^(pvr|inox|cinepolis|miraj\s+cinemas|asian\s+cinemas)$/i,
   ],
-  LOCATIONS: [
-    "hyderabad",
-    "nacharam",
-    "kushaiguda",
-    "secunderabad",
-    "moula ali",
-    "ecil",
-  ],
   TIME_REGEX: /\d{1,2}:\d{2}\s*(am|pm|AM|PM)/gi,
 };
 
-const HARDCODED_MOVIES = [
-  {
-    name: "Coolie",
-    url: "https://in.bookmyshow.com/movies/hyderabad/coolie/buytickets/ET00395817/20250814",
-    emoji: "🚂",
-    releaseDate: "August 14, 2025",
-  },
+/**
+ * Seat availability states, most to least specific, with the page labels
+ * and message badges for each
+ */
+const SHOWTIME_AVAILABILITY = [
+  { state: "sold-out", pattern: /sold\s*out|house\s*full/i, badge: "🔴" },
+  { state: "almost-full", pattern: /almost\s*full|few\s+seats/i, badge: "🟠" },
+  { state: "filling-fast", pattern: /filling\s*fast/i, badge: "🟡" },
   {
-    name: "War 2",
-    url: "https://in.bookmyshow.com/movies/hyderabad/war-2/buytickets/ET00356501/20250814",
-    emoji: "💥",
-    releaseDate: "August 14, 2025",
+    state: "available",
+    pattern: /^(available|open|y|yes|true)$/i,
+    badge: "🟢",
   },
 ];
 
+/**
+ * Languages BookMyShow lists movies and shows in
+ */
+const KNOWN_LANGUAGES = [
+  "Hindi",
+  "English",
+  "Telugu",
+  "Tamil",
+  "Kannada",
+  "Malayalam",
+  "Marathi",
+  "Bengali",
+  "Punjabi",
+  "Gujarati",
+  "Odia",
+  "Bhojpuri",
+  "Assamese",
+  "Japanese",
+  "Korean",
+];
+
+/**
+ * Screen formats in display order: premium screens, the 2D/3D dimension,
+ * then sound
+ */
+const SHOW_FORMATS = [
+  { format: "IMAX", pattern: /\bimax\b/i },
+  { format: "4DX", pattern: /\b4dx\b/i },
+  { format: "ICE", pattern: /\bice\b/i },
+  { format: "Dolby Cinema", pattern: /\bdolby\s*cinema\b/i },
+  { format: "3D", pattern: /\b3d\b/i },
+  { format: "2D", pattern: /\b2d\b/i },
+  { format: "Atmos", pattern: /\b(?:dolby\s*)?atmos\b/i },
+];
+
+const SHOW_DIMENSIONS = ["2D", "3D"];
+
+/**
+ * Field names seen in BookMyShow's showtime/venue API payloads
+ */
+const SHOWTIME_PAYLOAD_KEYS = {
+  VENUE_NAME: ["VenueName", "venueName", "venue_name", "VenueNm"],
+  VENUE_CODE: ["VenueCode", "venueCode", "venue_code"],
+  SHOWS: ["ShowTimes", "showTimes", "showtimes", "Shows", "shows", "sessions"],
+  TIME: ["ShowTime", "showTime", "ShowTimeDisplay", "showTimeDisplay", "time"],
+  SESSION_ID: ["SessionId", "sessionId", "sessionID", "session_id"],
+  FORMAT: ["Attributes", "attributes", "ScreenAttr", "screenAttr", "format"],
+  SCREEN: ["ScreenName", "screenName", "screen_name"],
+  AVAILABILITY: ["AvailStatus", "availStatus", "availability", "ShowStatus"],
+  LANGUAGE: ["Language", "language", "EventLanguage", "eventLanguage", "lang"],
+  CATEGORIES: [
+    "Categories",
+    "categories",
+    "PriceCategories",
+    "priceCategories",
+  ],
+  CATEGORY_NAME: ["PriceDesc", "priceDesc", "CategoryName", "categoryName"],
+  PRICE: ["CurPrice", "curPrice", "Price", "price"],
+};
+
+/**
+ * City-specific theatre heuristics, picked from the /movies/<city>/ URL segment.
+ * Localities mark "Theatre: Locality" lines; venue keywords are local chains.
+ */
+const CITY_PROFILES = {
+  hyderabad: {
+    aliases: ["secunderabad"],
+    localities: [
+      "hyderabad",
+      "secunderabad",
+      "nacharam",
+      "kushaiguda",
+      "rtc x roads",
+      "moula ali",
+      "ecil",
+      "kukatpally",
+      "ameerpet",
+      "dilsukhnagar",
+      "gachibowli",
+      "hitech city",
+      "lb nagar",
+      "banjara hills",
+      "miyapur",
+    ],
+    venueKeywords: [
+      "asian",
+      "aparna",
+      "amb",
+      "gpr",
+      "prasads",
+      "sandhya",
+      "sudarshan",
+      "talluri",
+      "planet mall",
+    ],
+    excludePatterns: [/^(hyderabad|secunderabad)$/i],
+  },
+  bengaluru: {
+    aliases: ["bangalore"],
+    localities: [
+      "bengaluru",
+      "bangalore",
+      "koramangala",
+      "indiranagar",
+      "whitefield",
+      "jayanagar",
+      "marathahalli",
+      "malleshwaram",
+      "rajajinagar",
+      "yelahanka",
+      "hebbal",
+      "electronic city",
+      "btm layout",
+      "kr puram",
+      "majestic",
+    ],
+    venueKeywords: [
+      "gopalan",
+      "urvashi",
+      "veeresh",
+      "navrang",
+      "lakshmi",
+      "innovative",
+      "orion",
+      "phoenix",
+    ],
+    excludePatterns: [/^(bengaluru|bangalore)$/i],
+  },
+  chennai: {
+    aliases: ["madras"],
+    localities: [
+      "chennai",
+      "vadapalani",
+      "velachery",
+      "t nagar",
+      "anna nagar",
+      "ashok nagar",
+      "guindy",
+      "porur",
+      "tambaram",
+      "royapettah",
+      "ambattur",
+      "perambur",
+      "koyambedu",
+      "omr",
+    ],
+    venueKeywords: [
+      "sathyam",
+      "escape",
+      "palazzo",
+      "luxe",
+      "ags",
+      "kasi",
+      "rohini",
+      "vettri",
+      "kamala",
+      "devi",
+      "woodlands",
+    ],
+    excludePatterns: [/^chennai$/i],
+  },
+  generic: {
+    aliases: [],
+    localities: [],
+    venueKeywords: [],
+    excludePatterns: [],
+  },
+};
+
+const DEFAULT_MOVIE_EMOJI = "🎬";
+
+/**
+ * Per-movie watchlist options: name -> validator returning an error or null
+ */
+const WATCHLIST_MOVIE_OPTIONS = {
+  notify: (value) =>
+    typeof value === "boolean" ? null : "must be true or false",
+  preferredTheatres: (value) => validateTheatreFilters(value),
+  dates: (value) => validateDateWindow(value),
+  paused: (value) =>
+    typeof value === "boolean" ? null : "must be true or false",
+  schedule: (value) => validateSchedule(value),
+  // Only alert for these language/format combinations, e.g. "Telugu IMAX 3D"
+  shows: (value) => validateShowRequirements(value),
+  // Only alert for shows in these windows, e.g. "after 6 PM on weekdays"
+  times: (value) => validateTimeWindows(value),
+  // Set when a coming-soon entry is switched to its booking page
+  followedFrom: (value) =>
+    typeof value === "string" && /^https?:\/\//.test(value)
+      ? null
+      : "must be a URL",
+  followedAt: (value) =>
+    typeof value === "string" && !isNaN(Date.parse(value))
+      ? null
+      : "must be a timestamp",
+};
+
+/**
+ * Top-level watchlist settings shared by every movie
+ */
+const WATCHLIST_SETTINGS = {
+  preferredTheatres: (value) => validateTheatreFilters(value),
+  paused: (value) =>
+    typeof value === "boolean" ? null : "must be true or false",
+  subscribers: (value) => validateSubscribers(value),
+  schedule: (value) => validateSchedule(value),
+  quietHours: (value) => SUBSCRIBER_OPTIONS.quietHours(value),
+  catalogue: (value) => validateCatalogue(value),
+};
+
 const BROWSER_CONFIG = {
   headless: "new",
   args: [
@@ -123,15 +383,40 @@ const BROWSER_CONFIG = {
 /**
  * Validates configuration and displays startup info
  */
-function validateConfig() {
-  if (!CONFIG.TELEGRAM_BOT_TOKEN) {
-    throw new Error("TELEGRAM_BOT_TOKEN is required in .env file");
+function validateConfig(settings = {}) {
+  // A bad regex in .env would otherwise only surface on the first check
+  const filterError = validateTheatreFilters(CONFIG.PREFERRED_THEATRES);
+  if (filterError) {
+    throw new Error(`PREFERRED_THEATRES in .env: ${filterError}`);
   }
-  if (!CONFIG.TELEGRAM_CHAT_ID) {
-    throw new Error("TELEGRAM_CHAT_ID is required in .env file");
+
+  Object.entries(NOTIFIER_BACKENDS).forEach(([name, backend]) => {
+    const missing = backend.settings.filter((setting) => !CONFIG[setting]);
+    if (missing.length > 0 && missing.length < backend.settings.length) {
+      console.warn(
+        `⚠️ ${name} notifications disabled - missing ${missing.join(", ")}`
+      );
+    }
+  });
+
+  const channels = configuredNotifierNames();
+  const subscribers = settings.subscribers || [];
+  if (channels.length === 0 && subscribers.length === 0) {
+    throw new Error(
+      "No notification channel configured in .env file - set TELEGRAM_BOT_TOKEN and TELEGRAM_CHAT_ID, DISCORD_WEBHOOK_URL, SLACK_WEBHOOK_URL, SMTP_HOST/EMAIL_FROM/EMAIL_TO or WEBHOOK_URL"
+    );
   }
 
   console.log(`🔧 Configuration loaded:`);
+  if (subscribers.length > 0) {
+    console.log(
+      `👥 Subscribers: ${subscribers
+        .map((subscriber) => subscriber.name)
+        .join(", ")}`
+    );
+  } else {
+    console.log(`📣 Notification channels: ${channels.join(", ")}`);
+  }
   console.log(
     `⏰ Check interval: ${CONFIG.CHECK_INTERVAL_MINUTES} minutes (${(
       CONFIG.CHECK_INTERVAL_MINUTES / 60
@@ -140,16 +425,221 @@ function validateConfig() {
 }
 
 /**
- * Creates optimized browser instance
+ * Applies the user agent and viewport every scraping page needs
  */
-async function createBrowser() {
-  const browser = await puppeteer.launch(BROWSER_CONFIG);
-  const page = await browser.newPage();
-
+async function configurePage(page) {
   await page.setUserAgent(CONFIG.USER_AGENT);
   await page.setViewport(CONFIG.PAGE_VIEWPORT);
+}
+
+/**
+ * Long-lived browser with a pool of at most `maxPages` pages. acquire()
+ * waits while every page is busy; pages are closed after `maxUses` checks
+ * and the browser is relaunched on the next acquire() if Chromium died.
+ */
+function createBrowserManager(options = {}) {
+  const maxPages = options.maxPages || CONFIG.BROWSER_POOL_SIZE;
+  const maxUses = options.maxUses || CONFIG.PAGE_MAX_USES;
+  const launch = options.launch || (() => puppeteer.launch(BROWSER_CONFIG));
+
+  let browser = null;
+  let launching = null;
+  let active = 0;
+  const idle = [];
+  const waiters = [];
+  const uses = new Map();
+  const crashedPages = new Set();
+  const stats = { launches: 0, crashes: 0, pagesCreated: 0, pagesRecycled: 0 };
+
+  const getBrowser = () => {
+    if (browser && browser.isConnected()) return Promise.resolve(browser);
+    if (!launching) {
+      if (stats.launches > 0) console.log("♻️ Relaunching browser...");
+      launching = Promise.resolve(launch())
+        .then((launched) => {
+          stats.launches++;
+          launched.on("disconnected", () => {
+            if (browser !== launched) return;
+            console.error("💥 Browser disconnected - will relaunch");
+            stats.crashes++;
+            browser = null;
+            idle.length = 0;
+          });
+          browser = launched;
+          return launched;
+        })
+        .finally(() => {
+          launching = null;
+        });
+    }
+    return launching;
+  };
+
+  const isUsable = (page) =>
+    browser !== null &&
+    browser.isConnected() &&
+    page.browser() === browser &&
+    !page.isClosed() &&
+    !crashedPages.has(page);
+
+  const createPage = async () => {
+    const page = await (await getBrowser()).newPage();
+    await configurePage(page);
+    page.on("error", () => crashedPages.add(page));
+    uses.set(page, 0);
+    stats.pagesCreated++;
+    return page;
+  };
+
+  // Hands the freed slot straight to the next waiter
+  const freeSlot = () => {
+    const next = waiters.shift();
+    if (next) {
+      next();
+    } else {
+      active--;
+    }
+  };
+
+  return {
+    stats,
+
+    async acquire() {
+      if (active < maxPages) {
+        active++;
+      } else {
+        await new Promise((resolve) => waiters.push(resolve));
+      }
+
+      try {
+        while (idle.length > 0) {
+          const page = idle.pop();
+          if (isUsable(page)) return page;
+        }
+        return await createPage();
+      } catch (error) {
+        freeSlot();
+        throw error;
+      }
+    },
+
+    /**
+     * Returns a page to the pool; `discard` closes it instead
+     */
+    async release(page, { discard = false } = {}) {
+      const count = (uses.get(page) || 0) + 1;
+      uses.set(page, count);
+
+      if (discard || count >= maxUses || !isUsable(page)) {
+        if (count >= maxUses) stats.pagesRecycled++;
+        uses.delete(page);
+        crashedPages.delete(page);
+        await page.close().catch(() => {
+          // Already gone with a crashed browser
+        });
+      } else {
+        idle.push(page);
+      }
+
+      freeSlot();
+    },
+
+    async close() {
+      idle.length = 0;
+      const closing = browser;
+      browser = null;
+      if (closing) await closing.close().catch(() => {});
+    },
+  };
+}
+
+let sharedBrowserManager = null;
+
+/**
+ * The process-wide browser manager used by analyzeMoviePage
+ */
+function getBrowserManager() {
+  if (!sharedBrowserManager) {
+    sharedBrowserManager = createBrowserManager();
+  }
+  return sharedBrowserManager;
+}
+
+/**
+ * Runs `worker` over the items with at most `limit` running at once;
+ * results keep the input order
+ */
+async function runWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const run = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, run));
+  return results;
+}
+
+const compiledCityProfiles = new Map();
+
+/**
+ * Resolves a city (or alias) to its compiled profile, falling back to generic
+ */
+function getCityProfile(city) {
+  const wanted = (city || "").toLowerCase();
+  const key =
+    Object.keys(CITY_PROFILES).find(
+      (name) => name === wanted || CITY_PROFILES[name].aliases.includes(wanted)
+    ) || "generic";
+
+  if (!compiledCityProfiles.has(key)) {
+    const profile = CITY_PROFILES[key];
+    const escape = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    // City venue names and localities are short ("amb", "omr"), so they
+    // only match as whole words: not inside "ambience" or "deluxe"
+    const word = (text) => `\\b${escape(text)}\\b`;
+    const keywordAlternation = [
+      ...THEATRE_PATTERNS.KEYWORDS.map(escape),
+      ...profile.venueKeywords.map(word),
+    ].join("|");
+    const localityAlternation = profile.localities.map(word).join("|");
+
+    compiledCityProfiles.set(key, {
+      key,
+      keywordPattern: new RegExp(
+        [keywordAlternation, localityAlternation].filter(Boolean).join("|"),
+        "i"
+      ),
+      localityPattern: localityAlternation
+        ? new RegExp(localityAlternation, "i")
+        : null,
+      excludePatterns: [
+        ...THEATRE_PATTERNS.EXCLUDE_PATTERNS,
+        ...profile.excludePatterns,
+      ],
+      // "Theatre: Locality" lines
+      localityAfterColon: localityAlternation
+        ? new RegExp(`:\\s*(${localityAlternation})`, "i")
+        : null,
+      // Alternation used by the "Name<keyword>...:" extraction patterns
+      keywordAlternation,
+      localityAlternation,
+    });
+  }
 
-  return { browser, page };
+  return compiledCityProfiles.get(key);
+}
+
+/**
+ * Extracts the city segment from a /movies/<city>/... URL
+ */
+function extractCity(url) {
+  const cityMatch = url.match(/\/movies\/([^\/?#]+)\//);
+  return cityMatch ? cityMatch[1].toLowerCase() : null;
 }
 
 /**
@@ -157,7 +647,7 @@ async function createBrowser() {
  */
 function analyzeURL(url) {
   const movieCodeMatch = url.match(/ET\d+/);
-  const dateMatch = url.match(/(\d{8})(?:\D|$)/);
+  const dateMatch = url.match(/\/(\d{8})(?:[\/?#]|$)/);
 
   return {
     originalUrl: url,
@@ -169,6 +659,7 @@ function analyzeURL(url) {
       ? "released"
       : "unknown",
     movieName: extractMovieName(url),
+    city: extractCity(url),
   };
 }
 
@@ -185,637 +676,2991 @@ function extractMovieName(url) {
 /**
  * Enhanced theatre line detection for longer theatre names
  */
-function isTheatreLine(line) {
+function isTheatreLine(line, profile = getCityProfile("generic")) {
   return (
-    (THEATRE_PATTERNS.KEYWORDS.some((keyword) =>
-      line.toLowerCase().includes(keyword)
-    ) ||
+    (profile.keywordPattern.test(line) ||
       /\d+(mm|k)\s*(dolby|atmos|laser)/i.test(line) ||
       /(cinema|theatre|theatres)\s*:/i.test(line) ||
-      /:\s*(hyderabad|nacharam|kushaiguda|rtc)/i.test(line)) &&
+      (profile.localityAfterColon !== null &&
+        profile.localityAfterColon.test(line))) &&
     line.length > 5 &&
     line.length < 200 && // Increased from 100 to 200 for longer theatre names
     !line.includes("http") &&
     !line.includes("Select") &&
     !line.match(/^\d+$/) &&
-    !THEATRE_PATTERNS.EXCLUDE_PATTERNS.some((pattern) => pattern.test(line)) &&
+    !profile.excludePatterns.some((pattern) => pattern.test(line)) &&
     (line.includes(":") ||
       line.includes(",") ||
       line.includes(" - ") || // Additional separator
-      THEATRE_PATTERNS.LOCATIONS.some((loc) =>
-        line.toLowerCase().includes(loc)
-      ) ||
+      (profile.localityPattern !== null &&
+        profile.localityPattern.test(line)) ||
       /\d+(mm|k)/i.test(line) ||
       THEATRE_PATTERNS.TIME_REGEX.test(line)) // Check for inline times
   );
 }
 
+// ================================
+// SHOWTIME DETAILS
+// ================================
+
 /**
- * Enhanced showtime extraction with better range handling
+ * Maps a page label or API status value to an availability state
  */
-function extractShowtimes(lines, centerIndex, range = 15) {
-  const showtimes = [];
-  const start = Math.max(0, centerIndex - 5);
-  const end = Math.min(centerIndex + range, lines.length);
+function normalizeAvailability(value) {
+  if (value === undefined || value === null || value === "") return null;
 
-  // Extract from the specified range
-  for (let i = start; i < end; i++) {
-    const timeMatches = lines[i].match(THEATRE_PATTERNS.TIME_REGEX);
-    if (timeMatches) {
-      showtimes.push(...timeMatches);
-    }
+  // Numeric API statuses count remaining seats: 0 means sold out
+  if (/^\d+$/.test(String(value))) {
+    return parseInt(value, 10) === 0 ? "sold-out" : "available";
   }
 
-  // Additional pass: Look for showtimes in the same line as theatre name
-  if (centerIndex < lines.length) {
-    const currentLine = lines[centerIndex];
-    const inlineTimes = currentLine.match(THEATRE_PATTERNS.TIME_REGEX) || [];
-    showtimes.push(...inlineTimes);
+  const match = SHOWTIME_AVAILABILITY.find(({ pattern }) =>
+    pattern.test(String(value).trim())
+  );
+  return match ? match.state : null;
+}
+
+/**
+ * Minutes after midnight for "07:05 PM", "7:05pm" or "19:05", or null
+ */
+function showtimeMinutes(time) {
+  const match = String(time).match(/(\d{1,2}):(\d{2})\s*(am|pm)?/i);
+  if (!match) return null;
+
+  let hours = parseInt(match[1], 10);
+  const minutes = parseInt(match[2], 10);
+  if (match[3]) {
+    if (hours < 1 || hours > 12) return null;
+    hours = (hours % 12) + (/pm/i.test(match[3]) ? 12 : 0);
   }
+  return hours > 23 || minutes > 59 ? null : hours * 60 + minutes;
+}
 
-  // Look for showtimes in the next few lines (common pattern)
-  for (
-    let i = centerIndex + 1;
-    i < Math.min(centerIndex + 8, lines.length);
-    i++
-  ) {
-    const line = lines[i];
-    // Skip lines that look like theatre names
-    if (line.length > 50 || line.includes("http") || line.includes("Select"))
-      continue;
+/**
+ * Minutes after midnight as the one time format used everywhere: "07:05 PM"
+ */
+function formatClockTime(minutes) {
+  const hours = Math.floor(minutes / 60);
+  return `${String(hours % 12 || 12).padStart(2, "0")}:${String(
+    minutes % 60
+  ).padStart(2, "0")} ${hours >= 12 ? "PM" : "AM"}`;
+}
 
-    const timeMatches = line.match(THEATRE_PATTERNS.TIME_REGEX);
-    if (timeMatches) {
-      showtimes.push(...timeMatches);
-    }
-  }
+/**
+ * "7:05 pm" -> "07:05 PM"; text that is not a time is kept as is
+ */
+function normalizeShowtimeTime(time) {
+  const minutes = showtimeMinutes(time);
+  return minutes === null ? time : formatClockTime(minutes);
+}
 
-  return [...new Set(showtimes)];
+/**
+ * When a show starts, from its time and YYYYMMDD show date in India time;
+ * null when either is unknown
+ */
+function showtimeStart(time, showDate) {
+  const minutes = showtimeMinutes(time);
+  if (minutes === null || !showDate) return null;
+
+  return new Date(
+    Date.UTC(
+      parseInt(showDate.slice(0, 4), 10),
+      parseInt(showDate.slice(4, 6), 10) - 1,
+      parseInt(showDate.slice(6, 8), 10),
+      0,
+      minutes
+    ) - IST_OFFSET_MS
+  );
 }
 
 /**
- * Improves theatre name by finding better context
+ * Orders showtimes by time of day; unreadable times go last
  */
-function improveTheatreName(lines, lineIndex, originalName) {
-  const start = Math.max(0, lineIndex - 2);
-  const end = Math.min(lineIndex + 3, lines.length);
+function compareShowtimes(a, b) {
+  const minutes = (showtime) => {
+    const value = showtimeMinutes(showtimeTime(showtime));
+    return value === null ? Infinity : value;
+  };
+  return minutes(a) - minutes(b);
+}
 
-  for (let i = start; i < end; i++) {
-    const contextLine = lines[i].trim();
-    if (
-      contextLine.length > originalName.length &&
-      contextLine.length < 100 &&
-      (contextLine.toLowerCase().includes(originalName.toLowerCase()) ||
-        originalName.toLowerCase().includes(contextLine.toLowerCase())) &&
-      !contextLine.match(/^\d+$/) &&
-      !contextLine.includes("http") &&
-      (contextLine.includes(":") || contextLine.includes(","))
-    ) {
-      return contextLine;
+/**
+ * Creates a showtime record; availability is "unknown" and language and
+ * format are null when the page is silent
+ */
+function createShowtime(time, details = {}) {
+  return {
+    ...details,
+    time: normalizeShowtimeTime(time),
+    availability: details.availability || "unknown",
+    language: details.language || null,
+    format: details.format || null,
+    categories: details.categories || [],
+  };
+}
+
+/**
+ * Language and formats named in a label such as "Telugu - 2D", "IMAX 3D"
+ * or a payload's "DOLBY ATMOS"; `unknown` holds the words that are neither
+ */
+function parseShowFormat(text) {
+  let rest = ` ${text || ""} `;
+  const formats = [];
+  SHOW_FORMATS.forEach(({ format, pattern }) => {
+    if (pattern.test(rest)) {
+      formats.push(format);
+      rest = rest.replace(new RegExp(pattern.source, "gi"), " ");
     }
+  });
+
+  const language = KNOWN_LANGUAGES.find((name) =>
+    new RegExp(`\\b${name}\\b`, "i").test(rest)
+  );
+  if (language) {
+    rest = rest.replace(new RegExp(`\\b${language}\\b`, "gi"), " ");
   }
-  return originalName;
+
+  return {
+    language: language || null,
+    formats,
+    unknown: rest.split(/[\s,|/()\-–·:]+/).filter(Boolean),
+  };
 }
 
-// ================================
-// CORE SCRAPING FUNCTIONS
-// ================================
+/**
+ * "IMAX 3D Atmos" for a list of formats, or null when there are none
+ */
+function formatLabel(formats) {
+  const label = SHOW_FORMATS.map(({ format }) => format)
+    .filter((format) => formats.includes(format))
+    .join(" ");
+  return label || null;
+}
 
 /**
- * Enhanced theatre and showtime extraction for long lists
+ * Language and format of a label made only of those, e.g. "Telugu - 2D";
+ * null for any other text
  */
-function extractTheatresAndShowtimes(bodyText) {
-  const lines = bodyText.split("\n").filter((line) => line.trim());
-  const theatreMap = new Map();
+function readShowFormatLabel(text) {
+  const { language, formats, unknown } = parseShowFormat(text);
+  if (unknown.length > 0 || (!language && formats.length === 0)) return null;
+  return { language, format: formatLabel(formats) };
+}
 
-  // Enhanced theatre detection patterns
-  const theatrePatterns = [
-    // Specific theatre patterns for Vyjayanthi and UK Cineplex
-    /^([^:]*vyjayanthi[^:]*):/i,
-    /^([^:]*uk\s*cineplex[^:]*):/i,
-    // Direct theatre patterns
-    /^([^:]+(?:cinema|multiplex|mall|theatre|pvr|inox|miraj|asian|aparna|amb|gpr|cinemax|cinepolis|carnival)[^:]*):/i,
-    // Location-based patterns
-    /^([^:]+(?:hyderabad|nacharam|kushaiguda|secunderabad|moula ali|ecil)[^:]*):/i,
-    // Generic theatre patterns
-    /^([^:]+(?:cinema|theatre|theatres)[^:]*):/i,
-    // Time-based patterns (theatre name followed by times)
-    /^([^:]+):\s*\d{1,2}:\d{2}\s*(am|pm|AM|PM)/i,
-    // Theatre name with dash separator
-    /^([^-]+(?:cinema|multiplex|mall|theatre|pvr|inox|miraj|asian|aparna|amb|gpr|cinemax|cinepolis|carnival)[^-]*)-/i,
-    // Theatre name with dot separator
-    /^([^.]+(?:cinema|multiplex|mall|theatre|pvr|inox|miraj|asian|aparna|amb|gpr|cinemax|cinepolis|carnival)[^.]*)\./i,
-    // Theatre name with parentheses
-    /^([^(]+(?:cinema|multiplex|mall|theatre|pvr|inox|miraj|asian|aparna|amb|gpr|cinemax|cinepolis|carnival)[^(]*)/i,
-  ];
+/**
+ * Language and format a booking page is scoped to, from its "Telugu - 2D"
+ * line near the top
+ */
+function findPageShowFormat(bodyText) {
+  const tags = bodyText
+    .split("\n")
+    .slice(0, 60)
+    .map(readShowFormatLabel)
+    .find((tag) => tag && tag.language && tag.format);
+  return tags || { language: null, format: null };
+}
 
-  // First pass: Find all potential theatre lines
-  const theatreCandidates = [];
+/**
+ * Fills in what a showtime's own labels leave out from the page's scope;
+ * a dimension of its own ("3D") wins over the page's
+ */
+function applyPageShowFormat(showtime, pageFormat) {
+  if (typeof showtime === "string") return showtime;
 
-  lines.forEach((line, index) => {
-    const trimmedLine = line.trim();
+  const own = parseShowFormat(showtime.format).formats;
+  const hasDimension = own.some((format) => SHOW_DIMENSIONS.includes(format));
+  const inherited = parseShowFormat(pageFormat.format).formats.filter(
+    (format) => !hasDimension || !SHOW_DIMENSIONS.includes(format)
+  );
 
-    // Check if line matches any theatre pattern
-    let isTheatre = false;
-    let theatreName = null;
+  return {
+    ...showtime,
+    language: showtime.language || pageFormat.language,
+    format: formatLabel([...own, ...inherited]),
+  };
+}
 
-    for (const pattern of theatrePatterns) {
-      const match = trimmedLine.match(pattern);
-      if (match) {
-        isTheatre = true;
-        theatreName = match[1].trim();
-        break;
-      }
-    }
+/**
+ * Final form of a page's showtimes: the page's language and format filled
+ * in, start times on the show date and time order
+ */
+function finalizeShowtimes(showtimes, pageFormat, showDate) {
+  return showtimes
+    .map((showtime) => {
+      if (typeof showtime === "string") return showtime;
+      const start = showtimeStart(showtime.time, showDate);
+      return {
+        ...applyPageShowFormat(showtime, pageFormat),
+        startsAt: start ? start.toISOString() : null,
+      };
+    })
+    .sort(compareShowtimes);
+}
 
-    // Also check the original criteria for backward compatibility
-    if (!isTheatre && isTheatreLine(trimmedLine)) {
-      isTheatre = true;
-      theatreName = trimmedLine;
-    }
+/**
+ * Validates a movie's "shows" option: combinations such as "Telugu IMAX 3D"
+ */
+function validateShowRequirements(value) {
+  if (!Array.isArray(value) || value.length === 0) {
+    return 'must be a list such as ["Telugu IMAX 3D"]';
+  }
 
-    if (isTheatre && theatreName) {
-      theatreCandidates.push({
-        index,
-        name: theatreName,
-        originalLine: trimmedLine,
-      });
+  const problems = value.map((requirement) => {
+    if (typeof requirement !== "string") return "entries must be strings";
+    const { language, formats, unknown } = parseShowFormat(
+      requirement.replace(/\bonly\b/gi, " ")
+    );
+    if (unknown.length > 0) {
+      return `"${requirement}" has unknown words: ${unknown.join(
+        ", "
+      )} (languages: ${KNOWN_LANGUAGES.join(", ")}; formats: ${SHOW_FORMATS.map(
+        ({ format }) => format
+      ).join(", ")})`;
     }
+    return language || formats.length > 0
+      ? null
+      : `"${requirement}" names no language or format`;
   });
 
-  // Second pass: Extract showtimes for each theatre with expanded range
-  theatreCandidates.forEach((candidate) => {
-    const { index, name, originalLine } = candidate;
+  return problems.filter(Boolean).join("; ") || null;
+}
 
-    // Expanded showtime extraction range (15 lines instead of 8)
-    const showtimes = extractShowtimes(lines, index, 15);
+/**
+ * Whether a show is in the language and has every format a requirement
+ * names. Like subscriber filters, an unknown language or format never
+ * satisfies a requirement that names one.
+ */
+function matchesShowRequirement(showtime, requirement) {
+  if (typeof showtime === "string") return false;
 
-    // Additional showtime extraction from the same line
-    const inlineTimes = originalLine.match(THEATRE_PATTERNS.TIME_REGEX) || [];
-    showtimes.push(...inlineTimes);
+  const wanted = parseShowFormat(requirement.replace(/\bonly\b/gi, " "));
+  const formats = parseShowFormat(
+    showtime.format || showtime.screenFormat
+  ).formats;
+  return (
+    (!wanted.language ||
+      (showtime.language || "").toLowerCase() ===
+        wanted.language.toLowerCase()) &&
+    wanted.formats.every((format) => formats.includes(format))
+  );
+}
 
-    if (showtimes.length > 0) {
-      // Improve theatre name with better context
-      const improvedName = improveTheatreName(lines, index, name);
+/**
+ * Keeps the showtimes matching any of the requirements, dropping theatres
+ * left without shows; without requirements the data is returned as is
+ */
+function filterShows(movieData, requirements) {
+  if (!requirements || requirements.length === 0) return movieData;
+
+  const theatres = (movieData.theatres || [])
+    .map((theatre) => ({
+      ...theatre,
+      showtimes: theatre.showtimes.filter((showtime) =>
+        requirements.some((requirement) =>
+          matchesShowRequirement(showtime, requirement)
+        )
+      ),
+    }))
+    .filter((theatre) => theatre.showtimes.length > 0);
+
+  return { ...movieData, theatres };
+}
 
-      // More flexible normalization
-      const normalizedKey = improvedName
-        .toLowerCase()
-        .replace(/[^\w\s]/g, "")
-        .replace(/\s+/g, " ")
-        .trim();
+/**
+ * Reads availability and format labels and "₹150 Balcony" price lines
+ * following a time
+ */
+function parseShowtimeDetails(inlineText, followingLines) {
+  let availability = normalizeAvailabilityLabel(inlineText);
+  let showFormat = readShowFormatLabel(inlineText);
+  const categories = [];
+
+  for (const line of followingLines) {
+    const text = line.trim();
+    const label = text.length < 30 ? normalizeAvailabilityLabel(text) : null;
+    const formatTag = text.length < 30 ? readShowFormatLabel(text) : null;
+    const priceMatch = text.match(
+      /^(.*?)\s*(?:₹|rs\.?|inr)\s*([\d,]+(?:\.\d+)?)\s*(.*)$/i
+    );
 
-      // Handle duplicates more intelligently
-      if (!theatreMap.has(normalizedKey)) {
-        theatreMap.set(normalizedKey, {
-          theatre: improvedName,
-          showtimes: [...new Set(showtimes)],
-        });
-      } else {
-        const existing = theatreMap.get(normalizedKey);
-        const allShowtimes = [
-          ...new Set([...existing.showtimes, ...showtimes]),
-        ];
-        existing.showtimes = allShowtimes;
-
-        // Keep the better theatre name (longer/more descriptive)
-        if (improvedName.length > existing.theatre.length) {
-          existing.theatre = improvedName;
-        }
-      }
+    if (label) {
+      availability = availability || label;
+    } else if (formatTag) {
+      showFormat = showFormat || formatTag;
+    } else if (priceMatch && text.length < 60) {
+      categories.push({
+        name: (priceMatch[1] || priceMatch[3]).trim() || null,
+        price: parseFloat(priceMatch[2].replace(/,/g, "")),
+        availability: null,
+      });
+    } else {
+      break;
     }
-  });
+  }
 
-  // Third pass: Look for additional theatres that might have been missed
-  // This handles cases where theatres are listed without clear patterns
-  lines.forEach((line, index) => {
-    const trimmedLine = line.trim();
+  return { availability, categories, ...showFormat };
+}
 
-    // Skip if already processed
-    if (theatreCandidates.some((c) => c.index === index)) return;
+/**
+ * Finds an availability label anywhere in a short text
+ */
+function normalizeAvailabilityLabel(text) {
+  const match = SHOWTIME_AVAILABILITY.find(({ state, pattern }) =>
+    state === "available"
+      ? /^available$/i.test(text.trim())
+      : pattern.test(text)
+  );
+  return match ? match.state : null;
+}
 
-    // Look for lines that contain theatre keywords but weren't caught
-    const hasTheatreKeyword = THEATRE_PATTERNS.KEYWORDS.some((keyword) =>
-      trimmedLine.toLowerCase().includes(keyword)
+/**
+ * Builds the showtime records for every time on one line, using the text
+ * between times and the label/price lines right below the last one
+ */
+function showtimesAt(lines, index) {
+  const line = lines[index];
+  const times = line.match(THEATRE_PATTERNS.TIME_REGEX) || [];
+  let cursor = 0;
+
+  return times.map((time, position) => {
+    const start = line.indexOf(time, cursor) + time.length;
+    const next =
+      position < times.length - 1
+        ? line.indexOf(times[position + 1], start)
+        : line.length;
+    cursor = start;
+
+    const followingLines =
+      position === times.length - 1 ? lines.slice(index + 1, index + 4) : [];
+    return createShowtime(
+      time,
+      parseShowtimeDetails(line.slice(start, next), followingLines)
     );
+  });
+}
 
-    const hasTime = THEATRE_PATTERNS.TIME_REGEX.test(trimmedLine);
-
-    if (
-      hasTheatreKeyword &&
-      hasTime &&
-      trimmedLine.length > 10 &&
-      trimmedLine.length < 150
-    ) {
-      // Extract theatre name (everything before the first time)
-      const timeMatch = trimmedLine.match(THEATRE_PATTERNS.TIME_REGEX);
-      if (timeMatch) {
-        const timeIndex = trimmedLine.indexOf(timeMatch[0]);
-        const theatreName = trimmedLine.substring(0, timeIndex).trim();
+/**
+ * Time of a showtime record (state saved by older versions holds strings)
+ */
+function showtimeTime(showtime) {
+  return normalizeShowtimeTime(
+    typeof showtime === "string" ? showtime : showtime.time
+  );
+}
 
-        if (theatreName.length > 3) {
-          const showtimes =
-            trimmedLine.match(THEATRE_PATTERNS.TIME_REGEX) || [];
-          const normalizedKey = theatreName
-            .toLowerCase()
-            .replace(/[^\w\s]/g, "")
-            .replace(/\s+/g, " ")
-            .trim();
+/**
+ * Whether a show can still be booked
+ */
+function isBookable(showtime) {
+  return typeof showtime === "string" || showtime.availability !== "sold-out";
+}
 
-          if (!theatreMap.has(normalizedKey)) {
-            theatreMap.set(normalizedKey, {
-              theatre: theatreName,
-              showtimes: [...new Set(showtimes)],
-            });
-          }
-        }
-      }
+/**
+ * Merges showtime lists, keeping the first record per time but filling in
+ * details another source knew about
+ */
+function mergeShowtimes(...lists) {
+  const merged = new Map();
+
+  lists.flat().forEach((showtime) => {
+    const key = showtimeKey(showtime);
+    const existing = merged.get(key);
+    if (!existing) {
+      merged.set(key, showtime);
+    } else if (
+      typeof existing !== "string" &&
+      typeof showtime !== "string" &&
+      existing.availability === "unknown" &&
+      showtime.availability !== "unknown"
+    ) {
+      merged.set(key, { ...existing, ...showtime, time: existing.time });
     }
   });
 
-  return Array.from(theatreMap.values());
+  return Array.from(merged.values());
 }
 
 /**
- * Alternative theatre extraction method for missed theatres
+ * Formats a showtime with its availability badge and price range
  */
-function extractTheatresAlternative(bodyText) {
-  const lines = bodyText.split("\n").filter((line) => line.trim());
-  const theatreMap = new Map();
-
-  // Specific theatres to look for
-  const specificTheatres = ["vyjayanthi", "uk cineplex", "uk", "cineplex"];
-
-  // Look for lines that contain both theatre keywords and times
-  lines.forEach((line, index) => {
-    const trimmedLine = line.trim();
+function formatShowtime(showtime) {
+  if (typeof showtime === "string") return showtimeTime(showtime);
 
-    // Skip very short or very long lines
-    if (trimmedLine.length < 8 || trimmedLine.length > 300) return;
+  const availability = SHOWTIME_AVAILABILITY.find(
+    ({ state }) => state === showtime.availability
+  );
+  const time = showtimeTime(showtime);
+  let text = availability ? `${availability.badge} ${time}` : time;
+
+  const prices = showtime.categories
+    .map((category) => category.price)
+    .filter((price) => typeof price === "number");
+  if (prices.length > 0) {
+    const low = Math.min(...prices);
+    const high = Math.max(...prices);
+    text += low === high ? ` (₹${low})` : ` (₹${low}-₹${high})`;
+  }
 
-    // Check if line contains theatre keywords
-    const hasTheatreKeyword = THEATRE_PATTERNS.KEYWORDS.some((keyword) =>
-      trimmedLine.toLowerCase().includes(keyword)
-    );
+  return text;
+}
 
-    // Check if line contains specific theatres we want
-    const hasSpecificTheatre = specificTheatres.some((theatre) =>
-      trimmedLine.toLowerCase().includes(theatre)
-    );
+/**
+ * Formats a list of showtimes, in time order, for messages and console output
+ */
+function formatShowtimes(showtimes) {
+  return [...showtimes].sort(compareShowtimes).map(formatShowtime).join(", ");
+}
 
-    // Check if line contains times
-    const times = trimmedLine.match(THEATRE_PATTERNS.TIME_REGEX) || [];
+/**
+ * "3/5 bookable" summary for a list of showtimes
+ */
+function describeBookable(showtimes) {
+  return `${showtimes.filter(isBookable).length}/${showtimes.length} bookable`;
+}
 
-    if ((hasTheatreKeyword || hasSpecificTheatre) && times.length > 0) {
-      // Try to extract theatre name by finding the part before the first time
-      const firstTime = times[0];
-      const timeIndex = trimmedLine.indexOf(firstTime);
+/**
+ * Enhanced showtime extraction with better range handling. When the same
+ * time appears near several theatres, the occurrence right below this
+ * theatre supplies the availability details.
+ */
+function extractShowtimes(lines, centerIndex, range = 15) {
+  const occurrences = [];
+  const start = Math.max(0, centerIndex - 5);
+  const end = Math.min(centerIndex + range, lines.length);
 
-      if (timeIndex > 0) {
-        let theatreName = trimmedLine.substring(0, timeIndex).trim();
+  // Extract from the specified range
+  for (let i = start; i < end; i++) {
+    showtimesAt(lines, i).forEach((showtime) =>
+      occurrences.push({ showtime, index: i })
+    );
+  }
 
-        // Clean up theatre name
-        theatreName = theatreName
-          .replace(/^[^a-zA-Z]*/, "")
-          .replace(/[^a-zA-Z0-9\s\-\.\(\)]*$/, "");
+  // Look for showtimes in the next few lines (common pattern)
+  for (
+    let i = centerIndex + 1;
+    i < Math.min(centerIndex + 8, lines.length);
+    i++
+  ) {
+    const line = lines[i];
+    // Skip lines that look like theatre names
+    if (line.length > 50 || line.includes("http") || line.includes("Select"))
+      continue;
 
-        if (theatreName.length > 3 && theatreName.length < 100) {
-          const normalizedKey = theatreName
-            .toLowerCase()
-            .replace(/[^\w\s]/g, "")
-            .replace(/\s+/g, " ")
-            .trim();
+    showtimesAt(lines, i).forEach((showtime) =>
+      occurrences.push({ showtime, index: i })
+    );
+  }
 
-          if (!theatreMap.has(normalizedKey)) {
-            theatreMap.set(normalizedKey, {
-              theatre: theatreName,
-              showtimes: [...new Set(times)],
-            });
-          }
-        }
-      }
+  // Prefer occurrences at or below the theatre line, nearest first
+  const distance = (index) =>
+    index >= centerIndex ? index - centerIndex : centerIndex - index + range;
+  const chosen = new Map();
+  occurrences.forEach((occurrence) => {
+    const key = showtimeKey(occurrence.showtime);
+    const current = chosen.get(key);
+    if (!current || distance(occurrence.index) < distance(current.index)) {
+      chosen.set(key, occurrence);
     }
   });
 
-  // Additional pass specifically for Vyjayanthi and UK Cineplex
-  lines.forEach((line, index) => {
-    const trimmedLine = line.trim();
+  // Keep page order of first appearance
+  const order = [...new Set(occurrences.map((o) => showtimeKey(o.showtime)))];
+  return order.map((key) => chosen.get(key).showtime);
+}
 
-    // Look specifically for these theatres even without times in the same line
+/**
+ * Improves theatre name by finding better context
+ */
+function improveTheatreName(lines, lineIndex, originalName) {
+  const start = Math.max(0, lineIndex - 2);
+  const end = Math.min(lineIndex + 3, lines.length);
+
+  for (let i = start; i < end; i++) {
+    const contextLine = lines[i].trim();
     if (
-      trimmedLine.toLowerCase().includes("vyjayanthi") ||
-      trimmedLine.toLowerCase().includes("uk cineplex") ||
-      (trimmedLine.toLowerCase().includes("uk") &&
-        trimmedLine.toLowerCase().includes("cineplex"))
+      contextLine.length > originalName.length &&
+      contextLine.length < 100 &&
+      (contextLine.toLowerCase().includes(originalName.toLowerCase()) ||
+        originalName.toLowerCase().includes(contextLine.toLowerCase())) &&
+      !contextLine.match(/^\d+$/) &&
+      !contextLine.includes("http") &&
+      (contextLine.includes(":") || contextLine.includes(","))
     ) {
-      // Look for times in nearby lines
-      const nearbyTimes = [];
-      for (
-        let i = Math.max(0, index - 5);
-        i < Math.min(lines.length, index + 10);
-        i++
-      ) {
-        const times = lines[i].match(THEATRE_PATTERNS.TIME_REGEX) || [];
-        nearbyTimes.push(...times);
-      }
+      return contextLine;
+    }
+  }
+  return originalName;
+}
 
-      if (nearbyTimes.length > 0) {
-        let theatreName = trimmedLine;
+// ================================
+// PREFERRED THEATRE FILTERS
+// ================================
 
-        // Clean up theatre name
-        theatreName = theatreName
-          .replace(/^[^a-zA-Z]*/, "")
-          .replace(/[^a-zA-Z0-9\s\-\.\(\)]*$/, "");
+/**
+ * Compiles a filter spec into a matcher. Accepted forms:
+ * "PVR" (substring), "/uk\s*cineplex/i" (regex),
+ * { exact: "..." }, { contains: "..." }, { regex: "...", flags: "i" }
+ */
+function compileTheatreFilter(spec) {
+  if (typeof spec === "string") {
+    const regexMatch = spec.match(/^\/(.+)\/([a-z]*)$/);
+    return regexMatch
+      ? compileTheatreFilter({ regex: regexMatch[1], flags: regexMatch[2] })
+      : compileTheatreFilter({ contains: spec });
+  }
 
-        if (theatreName.length > 3 && theatreName.length < 100) {
-          const normalizedKey = theatreName
-            .toLowerCase()
-            .replace(/[^\w\s]/g, "")
-            .replace(/\s+/g, " ")
-            .trim();
+  if (spec && typeof spec.exact === "string") {
+    const key = theatreKey(spec.exact);
+    return {
+      label: `exact "${spec.exact}"`,
+      test: (name) => theatreKey(name) === key,
+    };
+  }
 
-          if (!theatreMap.has(normalizedKey)) {
-            theatreMap.set(normalizedKey, {
-              theatre: theatreName,
-              showtimes: [...new Set(nearbyTimes)],
-            });
-          }
-        }
-      }
+  if (spec && typeof spec.contains === "string") {
+    const needle = spec.contains.toLowerCase();
+    return {
+      label: `"${spec.contains}"`,
+      test: (name) => name.toLowerCase().includes(needle),
+    };
+  }
+
+  if (spec && typeof spec.regex === "string") {
+    const regex = new RegExp(spec.regex, (spec.flags || "i").replace("g", ""));
+    return { label: String(regex), test: (name) => regex.test(name) };
+  }
+
+  throw new Error(`Invalid theatre filter: ${JSON.stringify(spec)}`);
+}
+
+/**
+ * Validates a list of filter specs for the watchlist validator
+ */
+function validateTheatreFilters(value) {
+  if (!Array.isArray(value)) return "must be a list of theatre filters";
+  for (const spec of value) {
+    try {
+      compileTheatreFilter(spec);
+    } catch (error) {
+      return error.message;
     }
-  });
+  }
+  return null;
+}
 
-  return Array.from(theatreMap.values());
+/**
+ * Combines global (env + watchlist) and per-movie preferred theatres
+ */
+function resolveTheatreFilters(movie = null, settings = {}) {
+  return [
+    ...CONFIG.PREFERRED_THEATRES,
+    ...(settings.preferredTheatres || []),
+    ...((movie && movie.preferredTheatres) || []),
+  ].map(compileTheatreFilter);
 }
 
 /**
- * Optimized movie page analysis
+ * Splits theatres into preferred and others, reporting matches per filter
  */
-async function analyzeMoviePage(url) {
-  console.log("🎬 Analyzing movie page...");
-  console.log(`📍 URL: ${url}`);
+function applyTheatreFilters(theatres, filters = []) {
+  if (filters.length === 0) {
+    return { preferred: theatres, others: [], report: [] };
+  }
 
-  const urlAnalysis = analyzeURL(url);
-  console.log(`🔍 URL Type: ${urlAnalysis.type}`);
+  const preferred = theatres.filter((theatre) =>
+    filters.some((filter) => filter.test(theatre.theatre))
+  );
+  const others = theatres.filter((theatre) => !preferred.includes(theatre));
+  const report = filters.map((filter) => ({
+    filter: filter.label,
+    matches: theatres
+      .filter((theatre) => filter.test(theatre.theatre))
+      .map((theatre) => theatre.theatre),
+  }));
+
+  return { preferred, others, report };
+}
+
+// ================================
+// WATCHLIST CONFIGURATION
+// ================================
 
-  const { browser, page } = await createBrowser();
+/**
+ * Reads a JSON or YAML watchlist file (format chosen by extension)
+ */
+function parseWatchlistFile(filePath) {
+  const raw = fs.readFileSync(filePath, "utf8");
+  const extension = path.extname(filePath).toLowerCase();
 
   try {
-    console.log("🌐 Loading page...");
+    return extension === ".yaml" || extension === ".yml"
+      ? yaml.load(raw)
+      : JSON.parse(raw);
+  } catch (error) {
+    throw new Error(`Invalid watchlist file ${filePath}: ${error.message}`);
+  }
+}
 
-    try {
-      await page.goto(url, {
-        waitUntil: "networkidle2",
-        timeout: CONFIG.BROWSER_TIMEOUT,
-      });
-    } catch (timeoutError) {
-      console.log("⚠️ Trying alternative loading strategy...");
-      await page.goto(url, {
-        waitUntil: "domcontentloaded",
-        timeout: CONFIG.BROWSER_TIMEOUT,
-      });
-      await page.waitForTimeout(3000);
+/**
+ * Validates watchlist data, reporting every problem at once
+ */
+function validateWatchlist(data, source = "watchlist") {
+  const entries = Array.isArray(data) ? data : data && data.movies;
+  if (!Array.isArray(entries)) {
+    throw new Error(`${source}: expected a "movies" list`);
+  }
+
+  const errors = [];
+  const seenNames = new Set();
+  const movies = [];
+  const settings = {};
+
+  if (!Array.isArray(data)) {
+    Object.entries(data).forEach(([setting, value]) => {
+      if (setting === "movies") return;
+      const validate = WATCHLIST_SETTINGS[setting];
+      const problem = validate ? validate(value) : "is not a known setting";
+      if (problem) {
+        errors.push(`"${setting}" ${problem}`);
+      } else {
+        settings[setting] = value;
+      }
+    });
+  }
+
+  entries.forEach((entry, index) => {
+    const label = `movies[${index}]${
+      entry && typeof entry.name === "string" ? ` (${entry.name})` : ""
+    }`;
+
+    if (!entry || typeof entry !== "object" || Array.isArray(entry)) {
+      errors.push(`${label}: must be an object`);
+      return;
     }
 
-    const pageTitle = await page.title();
-    const currentUrl = await page.url();
-    console.log(`📄 Page title: ${pageTitle}`);
-    console.log(`🔗 Final URL: ${currentUrl}`);
+    const { name, url, emoji, releaseDate, ...options } = entry;
 
-    const pageData = await page.evaluate(() => {
-      const pageText = document.body.innerText;
-      const pageHTML = document.body.innerHTML;
-
-      // Extract movie title
-      const titleElement =
-        document.querySelector("h1") ||
-        document.querySelector('[data-component-type="movie-title"]') ||
-        document.querySelector(".movie-title") ||
-        document.querySelector("title");
-      const movieTitle = titleElement
-        ? titleElement.textContent.trim()
-        : "Unknown Movie";
+    if (typeof name !== "string" || !name.trim()) {
+      errors.push(`${label}: "name" is required`);
+    } else if (seenNames.has(name.trim().toLowerCase())) {
+      errors.push(`${label}: duplicate movie name "${name}"`);
+    } else {
+      seenNames.add(name.trim().toLowerCase());
+    }
 
-      // Status detection
-      const hasInterestedButton =
-        pageText.includes("I'm interested") ||
-        pageText.includes("Mark interested") ||
-        pageHTML.includes("interested");
-      const hasBookTicketsButton =
-        pageText.includes("Book tickets") || pageText.includes("Book now");
-      const hasReleasingText =
-        pageText.includes("Releasing on") || pageText.includes("Releasing");
+    if (typeof url !== "string" || !/^https?:\/\/\S+$/.test(url)) {
+      errors.push(`${label}: "url" must be an http(s) URL`);
+    } else if (!url.includes("/movies/")) {
+      errors.push(`${label}: "url" is not a BookMyShow movie URL`);
+    }
 
-      // Release date extraction
-      const releaseDateMatch =
-        pageText.match(/Releasing on (\d{1,2} \w{3}, \d{4})/i) ||
-        pageText.match(/(\d{1,2} \w{3}, \d{4})/);
-      const releaseDate = releaseDateMatch ? releaseDateMatch[1] : null;
+    if (emoji !== undefined && typeof emoji !== "string") {
+      errors.push(`${label}: "emoji" must be a string`);
+    }
+    if (releaseDate !== undefined && typeof releaseDate !== "string") {
+      errors.push(`${label}: "releaseDate" must be a string`);
+    }
 
-      // Comprehensive content extraction function
-      const extractAllContent = async () => {
-        let allText = "";
+    Object.entries(options).forEach(([option, value]) => {
+      const validate = WATCHLIST_MOVIE_OPTIONS[option];
+      const problem = validate ? validate(value) : "is not a known option";
+      if (problem) {
+        errors.push(`${label}: "${option}" ${problem}`);
+      }
+    });
 
-        // Function to expand all possible content
-        const expandAllContent = () => {
-          // Scroll to bottom multiple times to trigger lazy loading
-          for (let i = 0; i < 5; i++) {
-            window.scrollTo(0, document.body.scrollHeight);
-          }
+    movies.push({
+      ...options,
+      name: typeof name === "string" ? name.trim() : name,
+      url,
+      emoji: emoji || DEFAULT_MOVIE_EMOJI,
+      releaseDate: releaseDate || "TBA",
+    });
+  });
 
-          // Find and click all expansion buttons
-          const allButtons = document.querySelectorAll("button, a, div, span");
-          allButtons.forEach((button) => {
-            const text = button.textContent.toLowerCase();
-            if (
-              text.includes("show more") ||
-              text.includes("load more") ||
-              text.includes("view all") ||
-              text.includes("expand") ||
-              text.includes("see more") ||
-              text.includes("load all") ||
-              text.includes("show all") ||
-              text.includes("view more")
-            ) {
-              try {
-                button.click();
-              } catch (e) {
-                // Ignore click errors
-              }
-            }
-          });
+  if (errors.length > 0) {
+    throw new Error(
+      `${source} has ${errors.length} error(s):\n  - ${errors.join("\n  - ")}`
+    );
+  }
 
-          // Wait for content to load
-          return new Promise((resolve) => setTimeout(resolve, 3000));
-        };
+  return { settings, movies };
+}
 
-        // Expand content multiple times to ensure we get everything
-        for (let attempt = 0; attempt < 3; attempt++) {
-          await expandAllContent();
+/**
+ * Loads and validates the watchlist file
+ */
+function loadWatchlist(filePath = CONFIG.WATCHLIST_FILE) {
+  return validateWatchlist(parseWatchlistFile(filePath), filePath);
+}
 
-          // Get current text content
-          const currentText = document.body.innerText;
-          if (currentText.length > allText.length) {
-            allText = currentText;
-          }
+/**
+ * Watchlist movies and settings for single-URL runs. The watchlist is
+ * optional there, so a missing or invalid file only warns.
+ */
+function loadOptionalWatchlist(filePath = CONFIG.WATCHLIST_FILE) {
+  if (!fs.existsSync(filePath)) return { settings: {}, movies: [] };
 
-          // Also try to get text from specific theatre-related elements
-          const theatreElements = document.querySelectorAll(
-            '[class*="theatre"], [class*="cinema"], [class*="venue"], [id*="theatre"], [id*="cinema"]'
-          );
-          theatreElements.forEach((element) => {
-            allText += "\n" + element.textContent;
-          });
-        }
+  try {
+    return loadWatchlist(filePath);
+  } catch (error) {
+    console.warn(`⚠️ Ignoring watchlist for this run: ${error.message}`);
+    return { settings: {}, movies: [] };
+  }
+}
 
-        return allText;
-      };
+/**
+ * Applies an edit to the raw watchlist file and writes it back atomically
+ * once the result validates. YAML files are re-dumped, so comments are lost.
+ */
+function updateWatchlistFile(filePath, edit) {
+  const parsed = parseWatchlistFile(filePath);
+  const data = Array.isArray(parsed) ? { movies: parsed } : parsed;
+
+  edit(data);
+  validateWatchlist(data, filePath);
+
+  const extension = path.extname(filePath).toLowerCase();
+  const tempPath = `${filePath}.tmp`;
+  fs.writeFileSync(
+    tempPath,
+    extension === ".yaml" || extension === ".yml"
+      ? yaml.dump(data)
+      : JSON.stringify(data, null, 2) + "\n"
+  );
+  fs.renameSync(tempPath, filePath);
+}
 
-      return extractAllContent().then((bodyText) => ({
-        movieTitle,
-        releaseDate,
-        hasInterestedButton,
-        hasBookTicketsButton,
-        hasReleasingText,
-        bodyText,
-      }));
+/**
+ * Switches a coming-soon watchlist entry to its booking page, recording the
+ * original URL and when it happened. Returns the updated movie, or null.
+ */
+function followBookingUrl(watchlist, movie, bookingUrl) {
+  try {
+    watchlist.update((data) => {
+      const entry = data.movies.find((item) => item.url === movie.url);
+      if (!entry) throw new Error("it is no longer in the watchlist");
+      entry.followedFrom = movie.url;
+      entry.followedAt = new Date().toISOString();
+      entry.url = bookingUrl;
     });
+  } catch (error) {
+    console.error(
+      `❌ Could not switch ${movie.name} to its booking page:`,
+      error.message
+    );
+    return null;
+  }
 
-    // Extract theatres using enhanced function
-    let theatres = extractTheatresAndShowtimes(pageData.bodyText);
+  console.log(`🔀 ${movie.name} now follows its booking page ${bookingUrl}`);
+  return watchlist.movies.find((item) => item.url === bookingUrl) || null;
+}
 
-    // Debug information for theatre extraction
-    console.log(`🔍 Theatre extraction debug:`);
-    console.log(
-      `   📄 Total page lines: ${pageData.bodyText.split("\n").length}`
-    );
-    console.log(`   🎭 Theatres found: ${theatres.length}`);
-    if (theatres.length > 0) {
-      console.log(
-        `   📊 Sample theatres: ${theatres
-          .slice(0, 3)
-          .map((t) => t.theatre)
-          .join(", ")}`
-      );
-    }
+/**
+ * Creates a watchlist that picks up file edits between check cycles
+ */
+function createWatchlistSource(filePath = CONFIG.WATCHLIST_FILE) {
+  let { settings, movies } = loadWatchlist(filePath);
+  let lastModified = fs.statSync(filePath).mtimeMs;
+  // Changes made through update() that the monitor has not seen yet
+  let pending = { added: [], removed: [] };
+
+  const reload = () => {
+    lastModified = fs.statSync(filePath).mtimeMs;
+
+    const { settings: updatedSettings, movies: updated } =
+      loadWatchlist(filePath);
+    const previousUrls = new Set(movies.map((movie) => movie.url));
+    const updatedUrls = new Set(updated.map((movie) => movie.url));
+    const changes = {
+      added: updated.filter((movie) => !previousUrls.has(movie.url)),
+      removed: movies.filter((movie) => !updatedUrls.has(movie.url)),
+    };
 
-    // Additional debug: Check for theatre-related content in page
-    const theatreKeywords = ["theatre", "cinema", "pvr", "inox", "multiplex"];
-    const foundKeywords = theatreKeywords.filter((keyword) =>
-      pageData.bodyText.toLowerCase().includes(keyword)
-    );
-    console.log(
-      `🔍 Theatre keywords found in page: ${foundKeywords.join(", ")}`
-    );
+    movies = updated;
+    settings = updatedSettings;
+    return changes;
+  };
 
-    // Check for time patterns in the page
-    const timeMatches =
-      pageData.bodyText.match(THEATRE_PATTERNS.TIME_REGEX) || [];
-    console.log(`🔍 Time patterns found: ${timeMatches.length}`);
+  return {
+    filePath,
 
-    // Check specifically for Vyjayanthi and UK Cineplex
-    const specificTheatres = ["vyjayanthi", "uk cineplex"];
-    const foundSpecificTheatres = specificTheatres.filter((theatre) =>
-      pageData.bodyText.toLowerCase().includes(theatre)
-    );
-    if (foundSpecificTheatres.length > 0) {
-      console.log(
-        `🎯 Target theatres found in page: ${foundSpecificTheatres.join(", ")}`
-      );
-    } else {
-      console.log(
-        "⚠️ Target theatres (Vyjayanthi, UK Cineplex) not found in page content"
-      );
-    }
+    get movies() {
+      return movies;
+    },
 
-    // Enhanced fallback: Try multiple strategies to get complete theatre list
-    if (theatres.length < 10) {
-      console.log(
-        "🔄 Theatre count seems low, trying comprehensive extraction..."
-      );
+    get settings() {
+      return settings;
+    },
 
-      // Strategy 1: Try different page scrolling and expansion
-      const additionalContent = await page.evaluate(() => {
-        // Scroll multiple times to trigger all lazy loading
-        for (let i = 0; i < 10; i++) {
-          window.scrollTo(0, document.body.scrollHeight);
-          window.scrollTo(0, 0);
-        }
+    /**
+     * Reloads the file if it changed; returns the added and removed movies
+     */
+    refresh() {
+      const changes = pending;
+      pending = { added: [], removed: [] };
 
-        // Click all possible expansion elements
-        const allElements = document.querySelectorAll(
-          "button, a, div, span, li"
+      try {
+        if (fs.statSync(filePath).mtimeMs === lastModified) return changes;
+
+        const reloaded = reload();
+        changes.added.push(...reloaded.added);
+        changes.removed.push(...reloaded.removed);
+
+        console.log(
+          `📝 Watchlist reloaded: ${movies.length} movies (+${changes.added.length} / -${changes.removed.length})`
         );
-        allElements.forEach((element) => {
-          const text = element.textContent.toLowerCase();
-          if (
-            text.includes("show") ||
-            text.includes("load") ||
-            text.includes("view") ||
-            text.includes("expand") ||
-            text.includes("more") ||
-            text.includes("all")
-          ) {
-            try {
-              element.click();
-            } catch (e) {
-              // Ignore click errors
-            }
-          }
-        });
+      } catch (error) {
+        console.error(
+          "❌ Watchlist reload failed, keeping previous list:",
+          error.message
+        );
+      }
 
-        // Wait for content to load
-        return new Promise((resolve) => {
-          setTimeout(() => {
-            // Get all text content including hidden elements
-            let fullText = document.body.innerText;
+      return changes;
+    },
+
+    /**
+     * Edits the file (see updateWatchlistFile) and reloads it right away;
+     * the next refresh() still reports the added and removed movies
+     */
+    update(edit) {
+      updateWatchlistFile(filePath, edit);
+      const changes = reload();
+      pending.added.push(...changes.added);
+      pending.removed.push(...changes.removed);
+      return changes;
+    },
+  };
+}
 
-            // Also get text from specific containers that might contain theatres
-            const containers = document.querySelectorAll(
-              '[class*="venue"], [class*="theatre"], [class*="cinema"], [class*="showtime"], [class*="booking"]'
-            );
-            containers.forEach((container) => {
-              fullText += "\n" + container.textContent;
-            });
+// ================================
+// SHOW DATE WINDOWS
+// ================================
 
-            resolve(fullText);
-          }, 5000);
-        });
-      });
+const MAX_DATE_WINDOW_DAYS = 30;
 
-      // Strategy 2: Try extraction with additional content
-      const additionalTheatres = extractTheatresAndShowtimes(additionalContent);
-      console.log(
-        `🔄 Additional theatres from enhanced extraction: ${additionalTheatres.length}`
-      );
+/**
+ * Parses "2025-08-14" or "20250814" into the URL form "20250814"
+ */
+function parseShowDate(value) {
+  const match = String(value).match(/^(\d{4})-?(\d{2})-?(\d{2})$/);
+  if (!match) return null;
+
+  const [, year, month, day] = match.map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCMonth() === month - 1 && date.getUTCDate() === day
+    ? `${match[1]}${match[2]}${match[3]}`
+    : null;
+}
 
-      // Strategy 3: Try alternative parsing approach for missed theatres
-      const alternativeTheatres = extractTheatresAlternative(additionalContent);
-      console.log(
-        `🔄 Alternative parsing found: ${alternativeTheatres.length} theatres`
-      );
+/**
+ * Validates the "dates" option: a list of dates or { from?, days }
+ */
+function validateDateWindow(value) {
+  if (Array.isArray(value)) {
+    const invalid = value.filter((date) => !parseShowDate(date));
+    return value.length === 0
+      ? "must list at least one date"
+      : invalid.length > 0
+      ? `has invalid dates: ${invalid.join(", ")} (use YYYY-MM-DD)`
+      : null;
+  }
 
-      // Merge all results
-      const allTheatres = [...theatres];
+  if (value && typeof value === "object") {
+    if (
+      !Number.isInteger(value.days) ||
+      value.days < 0 ||
+      value.days > MAX_DATE_WINDOW_DAYS
+    ) {
+      return `"days" must be a whole number from 0 to ${MAX_DATE_WINDOW_DAYS}`;
+    }
+    if (value.from !== undefined && !parseShowDate(value.from)) {
+      return `"from" must be a date (YYYY-MM-DD)`;
+    }
+    return null;
+  }
 
-      // Merge additional theatres
-      additionalTheatres.forEach((newTheatre) => {
-        const exists = allTheatres.some(
-          (existing) =>
-            existing.theatre
-              .toLowerCase()
-              .includes(newTheatre.theatre.toLowerCase()) ||
-            newTheatre.theatre
-              .toLowerCase()
-              .includes(existing.theatre.toLowerCase())
-        );
-        if (!exists) {
-          allTheatres.push(newTheatre);
-        }
-      });
+  return 'must be a list of dates or { "from": "YYYY-MM-DD", "days": N }';
+}
 
-      // Merge alternative theatres
-      alternativeTheatres.forEach((newTheatre) => {
+/**
+ * Shifts a YYYYMMDD date by a number of days
+ */
+function addDays(showDate, days) {
+  const date = new Date(
+    Date.UTC(
+      parseInt(showDate.slice(0, 4), 10),
+      parseInt(showDate.slice(4, 6), 10) - 1,
+      parseInt(showDate.slice(6, 8), 10) + days
+    )
+  );
+  return date.toISOString().slice(0, 10).replace(/-/g, "");
+}
+
+/**
+ * Today's date in India as YYYYMMDD
+ */
+function todayInIndia(now = new Date()) {
+  return now
+    .toLocaleDateString("en-CA", { timeZone: "Asia/Kolkata" })
+    .replace(/-/g, "");
+}
+
+/**
+ * Formats YYYYMMDD for messages, e.g. "Sat, 16 Aug"
+ */
+function formatShowDate(showDate) {
+  if (!showDate) return "Unknown date";
+  return new Date(
+    Date.UTC(
+      parseInt(showDate.slice(0, 4), 10),
+      parseInt(showDate.slice(4, 6), 10) - 1,
+      parseInt(showDate.slice(6, 8), 10)
+    )
+  ).toLocaleDateString("en-IN", {
+    weekday: "short",
+    day: "numeric",
+    month: "short",
+    timeZone: "UTC",
+  });
+}
+
+/**
+ * Swaps the date segment of a buytickets URL
+ */
+function buildDateUrl(url, showDate) {
+  return url.replace(/\/\d{8}(?=[\/?#]|$)/, `/${showDate}`);
+}
+
+/**
+ * Lists the { date, url } pairs to scrape for a watchlist movie. Windows
+ * slide forward once their start date has passed; past dates are skipped.
+ */
+function resolveShowDateTargets(movie, today = todayInIndia()) {
+  const urlDate = analyzeURL(movie.url).releaseDate;
+
+  // Coming-soon URLs carry no date segment to swap
+  if (!movie.dates || !urlDate) {
+    return [{ date: urlDate, url: movie.url }];
+  }
+
+  let dates;
+  if (Array.isArray(movie.dates)) {
+    dates = [...new Set(movie.dates.map(parseShowDate))].sort();
+  } else {
+    const from = movie.dates.from ? parseShowDate(movie.dates.from) : urlDate;
+    const start = from > today ? from : today;
+    dates = Array.from({ length: movie.dates.days + 1 }, (_, offset) =>
+      addDays(start, offset)
+    );
+  }
+
+  return dates
+    .filter((date) => date >= today)
+    .map((date) => ({ date, url: buildDateUrl(movie.url, date) }));
+}
+
+// ================================
+// SHOW TIME WINDOWS
+// ================================
+
+const WEEKDAY_NAMES = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+const DAY_GROUPS = { weekdays: [1, 2, 3, 4, 5], weekends: [0, 6] };
+const WINDOW_TIME = "(\\d{1,2}(?::\\d{2})?\\s*(?:am|pm)?|noon|midnight)";
+
+/**
+ * "6 PM", "6:30pm", "18:00", "noon" -> minutes after midnight, or null
+ */
+function parseWindowTime(text) {
+  const value = text.trim().toLowerCase();
+  if (value === "noon") return 12 * 60;
+  if (value === "midnight") return 0;
+
+  const match = value.match(/^(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/);
+  return match
+    ? showtimeMinutes(`${match[1]}:${match[2] || "00"}${match[3] || ""}`)
+    : null;
+}
+
+/**
+ * "weekdays", "weekends", "sat and sun", "Friday, Saturday" -> day numbers
+ */
+function parseWindowDays(text) {
+  const days = new Set();
+  const unknown = [];
+  text
+    .split(/,|\band\b|\s+/)
+    .map((word) => word.trim())
+    .filter(Boolean)
+    .forEach((word) => {
+      const group = DAY_GROUPS[word];
+      const day = WEEKDAY_NAMES.indexOf(word.slice(0, 3));
+      if (group) {
+        group.forEach((number) => days.add(number));
+      } else if (day !== -1 && /^[a-z]+$/.test(word)) {
+        days.add(day);
+      } else {
+        unknown.push(word);
+      }
+    });
+
+  if (unknown.length > 0) {
+    throw new Error(
+      `unknown day "${unknown[0]}" (use weekdays, weekends or day names)`
+    );
+  }
+  return [...days].sort();
+}
+
+/**
+ * Parses a time window such as "after 6 PM on weekdays", "between 10 AM and
+ * 2 PM", "on weekends" or "first-day-first-show only" into
+ * { after, before, days, firstDayFirstShow }; throws on anything else
+ */
+function parseTimeWindow(text) {
+  if (typeof text !== "string") throw new Error("must be a string");
+
+  let rest = ` ${text.toLowerCase()} `;
+  const window = {
+    after: null,
+    before: null,
+    days: null,
+    firstDayFirstShow: false,
+  };
+  const take = (pattern) => {
+    const match = rest.match(pattern);
+    if (match) rest = rest.replace(match[0], " ");
+    return match;
+  };
+  const time = (value) => {
+    const minutes = parseWindowTime(value);
+    if (minutes === null) throw new Error(`unknown time "${value.trim()}"`);
+    return minutes;
+  };
+
+  if (take(/\b(first[\s-]day[\s-]first[\s-]show|fdfs)\b/)) {
+    window.firstDayFirstShow = true;
+  }
+  rest = rest.replace(/\bonly\b|\bshows?\b/g, " ");
+
+  const between = take(
+    new RegExp(`\\bbetween\\s+${WINDOW_TIME}\\s+and\\s+${WINDOW_TIME}`)
+  );
+  if (between) {
+    window.after = time(between[1]);
+    window.before = time(between[2]);
+  }
+  const after = take(new RegExp(`\\b(?:after|from)\\s+${WINDOW_TIME}`));
+  if (after) window.after = time(after[1]);
+  const before = take(new RegExp(`\\b(?:before|until)\\s+${WINDOW_TIME}`));
+  if (before) window.before = time(before[1]);
+
+  const days = take(/\bon\s+(.+)$/);
+  if (days) window.days = parseWindowDays(days[1].trim());
+
+  if (rest.trim()) {
+    throw new Error(`could not read "${rest.trim()}"`);
+  }
+  if (
+    !window.firstDayFirstShow &&
+    window.after === null &&
+    window.before === null &&
+    !window.days
+  ) {
+    throw new Error("names no time, day or first-day-first-show");
+  }
+  return window;
+}
+
+/**
+ * Validates a movie's "times" option, e.g. ["after 6 PM on weekdays"]
+ */
+function validateTimeWindows(value) {
+  if (!Array.isArray(value) || value.length === 0) {
+    return 'must be a list such as ["after 6 PM on weekdays"]';
+  }
+
+  const problems = value.map((text) => {
+    try {
+      parseTimeWindow(text);
+      return null;
+    } catch (error) {
+      return `"${text}" ${error.message}`;
+    }
+  });
+  return problems.filter(Boolean).join("; ") || null;
+}
+
+/**
+ * Whether a show falls in a window. Times may span midnight ("after 10 PM
+ * before 2 AM"); days and first-day-first-show need the show date.
+ */
+function isInTimeWindow(showtime, window, context) {
+  const minutes = showtimeMinutes(showtimeTime(showtime));
+  const { showDate, releaseDate, firstShowMinutes } = context;
+
+  if (window.after !== null || window.before !== null) {
+    if (minutes === null) return false;
+    const after = window.after === null ? 0 : window.after;
+    const before = window.before === null ? 24 * 60 : window.before;
+    const inside =
+      after <= before
+        ? minutes >= after && minutes < before
+        : minutes >= after || minutes < before;
+    if (!inside) return false;
+  }
+
+  if (window.days) {
+    if (!showDate) return false;
+    const weekday = new Date(
+      Date.UTC(
+        parseInt(showDate.slice(0, 4), 10),
+        parseInt(showDate.slice(4, 6), 10) - 1,
+        parseInt(showDate.slice(6, 8), 10)
+      )
+    ).getUTCDay();
+    if (!window.days.includes(weekday)) return false;
+  }
+
+  if (window.firstDayFirstShow) {
+    return (
+      Boolean(showDate) &&
+      showDate === releaseDate &&
+      minutes !== null &&
+      minutes === firstShowMinutes
+    );
+  }
+  return true;
+}
+
+/**
+ * Keeps the bookable showtimes inside any of the windows, dropping theatres
+ * left without shows. First-day-first-show is each theatre's earliest show
+ * on the release date, whether or not it is bookable.
+ */
+function filterTimeWindows(movieData, windows, releaseDate = null) {
+  if (!windows || windows.length === 0) return movieData;
+
+  const parsed = windows.map(parseTimeWindow);
+  const theatres = (movieData.theatres || [])
+    .map((theatre) => {
+      const context = {
+        showDate: movieData.showDate || null,
+        releaseDate,
+        firstShowMinutes: Math.min(
+          ...theatre.showtimes
+            .map((showtime) => showtimeMinutes(showtimeTime(showtime)))
+            .filter((minutes) => minutes !== null)
+        ),
+      };
+      return {
+        ...theatre,
+        showtimes: theatre.showtimes.filter(
+          (showtime) =>
+            isBookable(showtime) &&
+            parsed.some((window) => isInTimeWindow(showtime, window, context))
+        ),
+      };
+    })
+    .filter((theatre) => theatre.showtimes.length > 0);
+
+  return { ...movieData, theatres };
+}
+
+/**
+ * The part of a check result a movie's alerts cover: its "shows" language
+ * and format combinations, then its "times" windows
+ */
+function selectWantedShows(movieData, movie) {
+  if (!movie || (!movie.shows && !movie.times)) return movieData;
+  return filterTimeWindows(
+    filterShows(movieData, movie.shows),
+    movie.times,
+    resolveReleaseDate(movie)
+  );
+}
+
+// ================================
+// SCHEDULING
+// ================================
+
+// India has no daylight saving, so IST is a fixed offset
+const IST_OFFSET_MS = 330 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+const CRON_FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day of month", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12 },
+  { name: "day of week", min: 0, max: 7 },
+];
+
+// Adaptive polling: the closer the release date, the more often
+const ADAPTIVE_SCHEDULE = [
+  { withinDays: 1, minutes: 5 },
+  { withinDays: 3, minutes: 15 },
+  { withinDays: 7, minutes: 30 },
+  { withinDays: 30, minutes: 120 },
+];
+const ADAPTIVE_FAR_MINUTES = 360;
+const ADAPTIVE_OPEN_MINUTES = 180;
+
+/**
+ * Parses one cron field ("*", "5", "1-5", "*\/15", "0,30") into its values
+ */
+function parseCronField(text, { name, min, max }) {
+  const values = new Set();
+
+  for (const part of text.split(",")) {
+    const match = part.match(/^(?:(\*)|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if (!match) throw new Error(`invalid ${name} "${part}"`);
+
+    const [, any, first, last, stepText] = match;
+    const start = any ? min : parseInt(first, 10);
+    const end = any
+      ? max
+      : last !== undefined
+      ? parseInt(last, 10)
+      : stepText
+      ? max
+      : start;
+    const step = stepText ? parseInt(stepText, 10) : 1;
+    if (start < min || end > max || start > end || step < 1) {
+      throw new Error(`${name} "${part}" is outside ${min}-${max}`);
+    }
+
+    for (let value = start; value <= end; value += step) values.add(value);
+  }
+
+  return values;
+}
+
+/**
+ * Parses a five-field cron expression (minute hour day month weekday)
+ */
+function parseCron(expression) {
+  const fields = String(expression).trim().split(/\s+/);
+  if (fields.length !== 5) {
+    throw new Error(
+      `cron "${expression}" needs 5 fields: minute hour day month weekday`
+    );
+  }
+
+  const [minutes, hours, days, months, weekdays] = fields.map((field, index) =>
+    parseCronField(field, CRON_FIELDS[index])
+  );
+  if (weekdays.has(7)) weekdays.add(0);
+
+  return {
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    anyDay: fields[2] === "*",
+    anyWeekday: fields[4] === "*",
+  };
+}
+
+/**
+ * Next time after `after` that a cron expression matches, in IST
+ */
+function nextCronTime(expression, after = new Date()) {
+  const cron = parseCron(expression);
+
+  // Walk IST wall-clock time held in a UTC date, skipping whole days and
+  // hours that cannot match
+  let time =
+    (Math.floor((after.getTime() + IST_OFFSET_MS) / MINUTE_MS) + 1) * MINUTE_MS;
+  const limit = time + 5 * 366 * 24 * 60 * MINUTE_MS;
+
+  while (time < limit) {
+    const date = new Date(time);
+    const dayOfMonth = cron.days.has(date.getUTCDate());
+    const dayOfWeek = cron.weekdays.has(date.getUTCDay());
+    // Like cron, a restricted day and weekday match when either does
+    const dayMatches =
+      cron.anyDay && cron.anyWeekday
+        ? true
+        : cron.anyDay
+        ? dayOfWeek
+        : cron.anyWeekday
+        ? dayOfMonth
+        : dayOfMonth || dayOfWeek;
+
+    if (!cron.months.has(date.getUTCMonth() + 1) || !dayMatches) {
+      time = Date.UTC(
+        date.getUTCFullYear(),
+        date.getUTCMonth(),
+        date.getUTCDate() + 1
+      );
+    } else if (!cron.hours.has(date.getUTCHours())) {
+      time = Date.UTC(
+        date.getUTCFullYear(),
+        date.getUTCMonth(),
+        date.getUTCDate(),
+        date.getUTCHours() + 1
+      );
+    } else if (!cron.minutes.has(date.getUTCMinutes())) {
+      time += MINUTE_MS;
+    } else {
+      return new Date(time - IST_OFFSET_MS);
+    }
+  }
+
+  throw new Error(`cron "${expression}" never matches`);
+}
+
+/**
+ * Validates the "schedule" option: "adaptive", minutes, or a cron expression
+ */
+function validateSchedule(value) {
+  if (value === "adaptive") return null;
+  if (typeof value === "number") {
+    return value > 0 ? null : "must be a positive number of minutes";
+  }
+  if (typeof value !== "string") {
+    return 'must be "adaptive", a number of minutes or a cron expression';
+  }
+
+  // Also catches expressions that parse but never fire, like "0 0 31 2 *"
+  try {
+    nextCronTime(value);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+/**
+ * A movie's release date as YYYYMMDD: its releaseDate option
+ * ("2025-08-14" or "August 14, 2025"), else the date in its URL
+ */
+function resolveReleaseDate(movie) {
+  if (movie.releaseDate) {
+    const exact = parseShowDate(movie.releaseDate);
+    if (exact) return exact;
+
+    const parsed = new Date(`${movie.releaseDate} UTC`);
+    if (!isNaN(parsed)) {
+      return parsed.toISOString().slice(0, 10).replace(/-/g, "");
+    }
+  }
+  return analyzeURL(movie.url).releaseDate;
+}
+
+/**
+ * Whether every checked show date is open, with every preferred theatre
+ */
+function isBookingFullyOpen(states, filters = []) {
+  return (
+    states.length > 0 &&
+    states.every((state) => {
+      if (
+        state.currentStatus !== "BOOKING_AVAILABLE" ||
+        (state.theatres || []).length === 0
+      ) {
+        return false;
+      }
+      const { report } = applyTheatreFilters(state.theatres, filters);
+      return report.every((entry) => entry.matches.length > 0);
+    })
+  );
+}
+
+/**
+ * Adaptive interval in minutes for a movie and its saved states
+ */
+function adaptiveIntervalMinutes(movie, states, filters, now = new Date()) {
+  if (isBookingFullyOpen(states, filters)) return ADAPTIVE_OPEN_MINUTES;
+
+  const releaseDate = resolveReleaseDate(movie);
+  if (!releaseDate) return CONFIG.CHECK_INTERVAL_MINUTES;
+
+  const toUtcDay = (showDate) =>
+    Date.UTC(
+      parseInt(showDate.slice(0, 4), 10),
+      parseInt(showDate.slice(4, 6), 10) - 1,
+      parseInt(showDate.slice(6, 8), 10)
+    );
+  const daysLeft = Math.round(
+    (toUtcDay(releaseDate) - toUtcDay(todayInIndia(now))) /
+      (24 * 60 * MINUTE_MS)
+  );
+  const tier = ADAPTIVE_SCHEDULE.find((entry) => daysLeft <= entry.withinDays);
+  return tier ? tier.minutes : ADAPTIVE_FAR_MINUTES;
+}
+
+/**
+ * When a movie should next be checked: its own schedule, else the
+ * watchlist's, else every CHECK_INTERVAL_MINUTES. Returns { at, reason }.
+ */
+function nextCheckTime(movie, settings = {}, states = [], now = new Date()) {
+  const schedule =
+    (movie && movie.schedule) ||
+    settings.schedule ||
+    CONFIG.CHECK_INTERVAL_MINUTES;
+
+  if (schedule === "adaptive") {
+    const minutes = adaptiveIntervalMinutes(
+      movie,
+      states,
+      resolveTheatreFilters(movie, settings),
+      now
+    );
+    return {
+      at: new Date(now.getTime() + minutes * MINUTE_MS),
+      reason: `adaptive, every ${minutes} minutes`,
+    };
+  }
+
+  if (typeof schedule === "number") {
+    return {
+      at: new Date(now.getTime() + schedule * MINUTE_MS),
+      reason: `every ${schedule} minutes`,
+    };
+  }
+
+  return { at: nextCronTime(schedule, now), reason: `cron "${schedule}"` };
+}
+
+/**
+ * Formats a Date in IST for schedule logs
+ */
+function formatScheduleTime(date) {
+  return date.toLocaleString("en-IN", {
+    timeZone: "Asia/Kolkata",
+    dateStyle: "medium",
+    timeStyle: "short",
+  });
+}
+
+// ================================
+// STATE PERSISTENCE
+// ================================
+
+/**
+ * JSON file backend: the whole state map is rewritten atomically on change
+ */
+function createJsonStateStore(filePath) {
+  let states = new Map();
+
+  const persist = () => {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.tmp`;
+    fs.writeFileSync(
+      tempPath,
+      JSON.stringify(Object.fromEntries(states), null, 2)
+    );
+    fs.renameSync(tempPath, filePath);
+  };
+
+  return {
+    async load() {
+      if (fs.existsSync(filePath)) {
+        try {
+          states = new Map(
+            Object.entries(JSON.parse(fs.readFileSync(filePath, "utf8")))
+          );
+        } catch (error) {
+          console.error(
+            `⚠️ Ignoring unreadable state file ${filePath}:`,
+            error.message
+          );
+        }
+      }
+      return new Map(states);
+    },
+
+    async save(key, state) {
+      states.set(key, state);
+      persist();
+    },
+
+    async remove(key) {
+      if (states.delete(key)) persist();
+    },
+
+    async close() {},
+  };
+}
+
+/**
+ * SQLite backend (requires the optional better-sqlite3 package)
+ */
+function createSqliteStateStore(filePath) {
+  let Database;
+  try {
+    Database = require("better-sqlite3");
+  } catch (error) {
+    throw new Error(
+      'STATE_STORE=sqlite needs the "better-sqlite3" package (npm install better-sqlite3)'
+    );
+  }
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const db = new Database(filePath);
+  db.exec(
+    "CREATE TABLE IF NOT EXISTS movie_state (key TEXT PRIMARY KEY, state TEXT NOT NULL, updated_at TEXT NOT NULL)"
+  );
+
+  const upsert = db.prepare(
+    "INSERT INTO movie_state (key, state, updated_at) VALUES (?, ?, ?) ON CONFLICT(key) DO UPDATE SET state = excluded.state, updated_at = excluded.updated_at"
+  );
+  const remove = db.prepare("DELETE FROM movie_state WHERE key = ?");
+
+  return {
+    async load() {
+      const rows = db.prepare("SELECT key, state FROM movie_state").all();
+      return new Map(rows.map((row) => [row.key, JSON.parse(row.state)]));
+    },
+
+    async save(key, state) {
+      upsert.run(key, JSON.stringify(state), new Date().toISOString());
+    },
+
+    async remove(key) {
+      remove.run(key);
+    },
+
+    async close() {
+      db.close();
+    },
+  };
+}
+
+const STATE_STORE_BACKENDS = {
+  json: { create: createJsonStateStore, defaultFile: "state.json" },
+  sqlite: { create: createSqliteStateStore, defaultFile: "state.db" },
+};
+
+/**
+ * Creates the configured state store (STATE_STORE / STATE_FILE)
+ */
+function createStateStore(
+  backend = CONFIG.STATE_STORE,
+  filePath = CONFIG.STATE_FILE
+) {
+  const definition = STATE_STORE_BACKENDS[backend];
+  if (!definition) {
+    throw new Error(
+      `Unknown STATE_STORE "${backend}" (expected: ${Object.keys(
+        STATE_STORE_BACKENDS
+      ).join(", ")})`
+    );
+  }
+
+  return definition.create(
+    filePath || path.join(__dirname, "data", definition.defaultFile)
+  );
+}
+
+/**
+ * State key for one movie URL and show date (plain URL when undated)
+ */
+function stateKey(url, showDate = null) {
+  return showDate ? `${url}#${showDate}` : url;
+}
+
+/**
+ * Checks whether a state key belongs to a movie URL
+ */
+function isStateKeyFor(key, url) {
+  return key === url || key.startsWith(`${url}#`);
+}
+
+// Status changes kept per state record for the dashboard timeline
+const STATUS_HISTORY_LIMIT = 50;
+
+/**
+ * Builds the persisted state record for a movie check
+ */
+function toMovieState(movieData, previousState = null, notified = false) {
+  const now = new Date().toISOString();
+  const previous = previousState || {};
+
+  // Records saved before the history existed start from their last status
+  let statusHistory =
+    previous.statusHistory ||
+    (previous.currentStatus
+      ? [{ status: previous.currentStatus, at: previous.checkedAt }]
+      : []);
+  if (previous.currentStatus !== movieData.currentStatus) {
+    statusHistory = [
+      ...statusHistory,
+      { status: movieData.currentStatus, at: now },
+    ].slice(-STATUS_HISTORY_LIMIT);
+  }
+
+  return {
+    movieTitle: movieData.movieTitle,
+    currentStatus: movieData.currentStatus,
+    pageUrl: movieData.pageUrl,
+    showDate: movieData.showDate || null,
+    theatres: movieData.theatres,
+    checkedAt: now,
+    firstNotifiedAt: notified
+      ? previous.firstNotifiedAt || now
+      : previous.firstNotifiedAt || null,
+    lastNotifiedAt: notified ? now : previous.lastNotifiedAt || null,
+    statusHistory,
+  };
+}
+
+// ================================
+// SNAPSHOT HISTORY
+// ================================
+
+const HISTORY_CSV_COLUMNS = [
+  "recorded_at",
+  "movie",
+  "movie_code",
+  "show_date",
+  "status",
+  "theatre",
+  "showtime",
+  "availability",
+];
+
+/**
+ * Appends one scrape to the history log (JSON lines). Failures are logged,
+ * never thrown, so history cannot break a check.
+ */
+async function recordSnapshot(
+  movieData,
+  movieInfo = null,
+  filePath = CONFIG.HISTORY_FILE
+) {
+  if (!CONFIG.HISTORY) return null;
+
+  const snapshot = {
+    recordedAt: new Date().toISOString(),
+    movie: (movieInfo && movieInfo.name) || movieData.movieTitle,
+    movieCode: analyzeURL(movieData.pageUrl).movieCode,
+    pageUrl: movieData.pageUrl,
+    showDate: movieData.showDate || null,
+    status: movieData.currentStatus,
+    theatres: movieData.theatres.map((theatre) => ({
+      theatre: theatre.theatre,
+      showtimes: theatre.showtimes.map((showtime) =>
+        typeof showtime === "string"
+          ? { time: showtime, availability: "unknown" }
+          : { time: showtime.time, availability: showtime.availability }
+      ),
+    })),
+  };
+
+  try {
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.appendFile(filePath, `${JSON.stringify(snapshot)}\n`);
+  } catch (error) {
+    console.error("❌ Could not record history snapshot:", error.message);
+  }
+  return snapshot;
+}
+
+/**
+ * Day a snapshot counts under for --from/--to (YYYY-MM-DD): its show date,
+ * or the IST day it was recorded when the page had none (coming soon)
+ */
+function snapshotDay(snapshot) {
+  if (snapshot.showDate) {
+    return snapshot.showDate.replace(/^(\d{4})(\d{2})(\d{2})$/, "$1-$2-$3");
+  }
+  return new Date(snapshot.recordedAt).toLocaleDateString("en-CA", {
+    timeZone: "Asia/Kolkata",
+  });
+}
+
+/**
+ * Streams snapshots for a movie (name, ET code or URL fragment) whose day
+ * (see snapshotDay) is between `from` and `to`, inclusive
+ */
+async function loadSnapshots(options = {}, filePath = CONFIG.HISTORY_FILE) {
+  const { movie, from, to } = options;
+  if (!fs.existsSync(filePath)) return [];
+
+  const readline = require("readline");
+  const needle = movie ? movie.toLowerCase() : null;
+  const lines = readline.createInterface({
+    input: fs.createReadStream(filePath, "utf8"),
+    crlfDelay: Infinity,
+  });
+  const snapshots = [];
+  let lineNumber = 0;
+
+  for await (const line of lines) {
+    lineNumber++;
+    if (!line.trim()) continue;
+
+    let snapshot;
+    try {
+      snapshot = JSON.parse(line);
+    } catch (error) {
+      console.warn(`⚠️ Skipping unreadable history line ${lineNumber}`);
+      continue;
+    }
+    if (
+      needle &&
+      ![snapshot.movie, snapshot.movieCode, snapshot.pageUrl].some(
+        (value) => value && value.toLowerCase().includes(needle)
+      )
+    ) {
+      continue;
+    }
+
+    const day = snapshotDay(snapshot);
+    if ((!from || day >= from) && (!to || day <= to)) snapshots.push(snapshot);
+  }
+  return snapshots;
+}
+
+/**
+ * Flattens snapshots into one row per showtime (or per snapshot when no
+ * theatre was open)
+ */
+function snapshotsToRows(snapshots) {
+  return snapshots.flatMap((snapshot) => {
+    const base = {
+      recorded_at: snapshot.recordedAt,
+      movie: snapshot.movie,
+      movie_code: snapshot.movieCode || "",
+      show_date: snapshot.showDate || "",
+      status: snapshot.status,
+    };
+    const empty = { theatre: "", showtime: "", availability: "" };
+
+    if (snapshot.theatres.length === 0) return [{ ...base, ...empty }];
+    return snapshot.theatres.flatMap((theatre) =>
+      theatre.showtimes.length === 0
+        ? [{ ...base, ...empty, theatre: theatre.theatre }]
+        : theatre.showtimes.map((showtime) => ({
+            ...base,
+            theatre: theatre.theatre,
+            showtime: showtime.time,
+            availability: showtime.availability || "",
+          }))
+    );
+  });
+}
+
+/**
+ * Quotes a CSV field when needed
+ */
+function toCsvField(value) {
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Exports history as "csv" or "json" text
+ */
+async function exportHistory(options = {}, filePath = CONFIG.HISTORY_FILE) {
+  const snapshots = await loadSnapshots(options, filePath);
+
+  if (options.format === "json") {
+    return `${JSON.stringify(snapshots, null, 2)}\n`;
+  }
+
+  const rows = snapshotsToRows(snapshots).map((row) =>
+    HISTORY_CSV_COLUMNS.map((column) => toCsvField(row[column])).join(",")
+  );
+  return `${[HISTORY_CSV_COLUMNS.join(","), ...rows].join("\n")}\n`;
+}
+
+/**
+ * Value that follows a --flag in the argument list
+ */
+function readOption(args, name) {
+  const index = args.indexOf(`--${name}`);
+  return index >= 0 && index + 1 < args.length ? args[index + 1] : null;
+}
+
+/**
+ * `export [--movie <name>] [--from YYYY-MM-DD] [--to YYYY-MM-DD]
+ * [--format csv|json] [--output <file>]`
+ */
+async function runExportCommand(args) {
+  const options = {
+    movie: readOption(args, "movie"),
+    from: readOption(args, "from"),
+    to: readOption(args, "to"),
+    format: (readOption(args, "format") || "csv").toLowerCase(),
+  };
+  const output = readOption(args, "output");
+
+  if (!["csv", "json"].includes(options.format)) {
+    throw new Error(
+      `Unknown format "${options.format}" (expected csv or json)`
+    );
+  }
+  [options.from, options.to].forEach((day) => {
+    if (day && !/^\d{4}-\d{2}-\d{2}$/.test(day)) {
+      throw new Error(`Dates must look like 2025-08-14, got "${day}"`);
+    }
+  });
+
+  const text = await exportHistory(options);
+  if (output) {
+    fs.writeFileSync(output, text);
+    console.error(`💾 History exported to ${output}`);
+  } else {
+    process.stdout.write(text);
+  }
+}
+
+// ================================
+// CORE SCRAPING FUNCTIONS
+// ================================
+
+/**
+ * Enhanced theatre and showtime extraction for long lists
+ */
+function extractTheatresAndShowtimes(
+  bodyText,
+  filters = [],
+  profile = getCityProfile("generic")
+) {
+  const lines = bodyText.split("\n").filter((line) => line.trim());
+  const theatreMap = new Map();
+  const venues = profile.keywordAlternation;
+
+  // Enhanced theatre detection patterns
+  const theatrePatterns = [
+    // Direct theatre patterns
+    new RegExp(`^([^:]+(?:${venues})[^:]*):`, "i"),
+    // Location-based patterns
+    profile.localityAlternation &&
+      new RegExp(`^([^:]+(?:${profile.localityAlternation})[^:]*):`, "i"),
+    // Generic theatre patterns
+    /^([^:]+(?:cinema|theatre|theatres)[^:]*):/i,
+    // Time-based patterns (theatre name followed by times)
+    /^([^:]+):\s*\d{1,2}:\d{2}\s*(am|pm|AM|PM)/i,
+    // Theatre name with dash separator
+    new RegExp(`^([^-]+(?:${venues})[^-]*)-`, "i"),
+    // Theatre name with dot separator
+    new RegExp(`^([^.]+(?:${venues})[^.]*)\\.`, "i"),
+    // Theatre name with parentheses
+    new RegExp(`^([^(]+(?:${venues})[^(]*)`, "i"),
+  ].filter(Boolean);
+
+  // First pass: Find all potential theatre lines
+  const theatreCandidates = [];
+
+  lines.forEach((line, index) => {
+    const trimmedLine = line.trim();
+
+    // Check if line matches any theatre pattern
+    let isTheatre = false;
+    let theatreName = null;
+
+    // Preferred theatres are recognised even without generic keywords
+    const preferredMatch = trimmedLine.match(/^([^:]+):/);
+    if (
+      preferredMatch &&
+      filters.some((filter) => filter.test(preferredMatch[1]))
+    ) {
+      isTheatre = true;
+      theatreName = preferredMatch[1].trim();
+    }
+
+    for (const pattern of isTheatre ? [] : theatrePatterns) {
+      const match = trimmedLine.match(pattern);
+      if (match) {
+        isTheatre = true;
+        theatreName = match[1].trim();
+        break;
+      }
+    }
+
+    // Also check the original criteria for backward compatibility
+    if (!isTheatre && isTheatreLine(trimmedLine, profile)) {
+      isTheatre = true;
+      theatreName = trimmedLine;
+    }
+
+    if (isTheatre && theatreName) {
+      theatreCandidates.push({
+        index,
+        name: theatreName,
+        originalLine: trimmedLine,
+      });
+    }
+  });
+
+  // Second pass: Extract showtimes for each theatre with expanded range
+  theatreCandidates.forEach((candidate) => {
+    const { index, name } = candidate;
+
+    // Expanded showtime extraction range (15 lines instead of 8),
+    // including times on the theatre line itself
+    const showtimes = extractShowtimes(lines, index, 15);
+
+    if (showtimes.length > 0) {
+      // Improve theatre name with better context
+      const improvedName = improveTheatreName(lines, index, name);
+
+      // More flexible normalization
+      const normalizedKey = improvedName
+        .toLowerCase()
+        .replace(/[^\w\s]/g, "")
+        .replace(/\s+/g, " ")
+        .trim();
+
+      // Handle duplicates more intelligently
+      if (!theatreMap.has(normalizedKey)) {
+        theatreMap.set(normalizedKey, {
+          theatre: improvedName,
+          showtimes,
+        });
+      } else {
+        const existing = theatreMap.get(normalizedKey);
+        existing.showtimes = mergeShowtimes(existing.showtimes, showtimes);
+
+        // Keep the better theatre name (longer/more descriptive)
+        if (improvedName.length > existing.theatre.length) {
+          existing.theatre = improvedName;
+        }
+      }
+    }
+  });
+
+  // Third pass: Look for additional theatres that might have been missed
+  // This handles cases where theatres are listed without clear patterns
+  lines.forEach((line, index) => {
+    const trimmedLine = line.trim();
+
+    // Skip if already processed
+    if (theatreCandidates.some((c) => c.index === index)) return;
+
+    // Look for lines that contain theatre keywords but weren't caught
+    const hasTheatreKeyword = profile.keywordPattern.test(trimmedLine);
+
+    const hasTime = THEATRE_PATTERNS.TIME_REGEX.test(trimmedLine);
+
+    if (
+      hasTheatreKeyword &&
+      hasTime &&
+      trimmedLine.length > 10 &&
+      trimmedLine.length < 150
+    ) {
+      // Extract theatre name (everything before the first time)
+      const timeMatch = trimmedLine.match(THEATRE_PATTERNS.TIME_REGEX);
+      if (timeMatch) {
+        const timeIndex = trimmedLine.indexOf(timeMatch[0]);
+        const theatreName = trimmedLine.substring(0, timeIndex).trim();
+
+        if (theatreName.length > 3) {
+          const showtimes = showtimesAt(lines, index);
+          const normalizedKey = theatreName
+            .toLowerCase()
+            .replace(/[^\w\s]/g, "")
+            .replace(/\s+/g, " ")
+            .trim();
+
+          if (!theatreMap.has(normalizedKey)) {
+            theatreMap.set(normalizedKey, {
+              theatre: theatreName,
+              showtimes: mergeShowtimes(showtimes),
+            });
+          }
+        }
+      }
+    }
+  });
+
+  return Array.from(theatreMap.values());
+}
+
+/**
+ * Alternative theatre extraction method for missed theatres
+ */
+function extractTheatresAlternative(
+  bodyText,
+  filters = [],
+  profile = getCityProfile("generic")
+) {
+  const lines = bodyText.split("\n").filter((line) => line.trim());
+  const theatreMap = new Map();
+
+  // Look for lines that contain both theatre keywords and times
+  lines.forEach((line, index) => {
+    const trimmedLine = line.trim();
+
+    // Skip very short or very long lines
+    if (trimmedLine.length < 8 || trimmedLine.length > 300) return;
+
+    // Check if line contains theatre keywords
+    const hasTheatreKeyword = profile.keywordPattern.test(trimmedLine);
+
+    // Check if line contains preferred theatres
+    const hasSpecificTheatre = filters.some((filter) =>
+      filter.test(trimmedLine)
+    );
+
+    // Check if line contains times
+    const times = trimmedLine.match(THEATRE_PATTERNS.TIME_REGEX) || [];
+
+    if ((hasTheatreKeyword || hasSpecificTheatre) && times.length > 0) {
+      // Try to extract theatre name by finding the part before the first time
+      const firstTime = times[0];
+      const timeIndex = trimmedLine.indexOf(firstTime);
+
+      if (timeIndex > 0) {
+        let theatreName = trimmedLine.substring(0, timeIndex).trim();
+
+        // Clean up theatre name
+        theatreName = theatreName
+          .replace(/^[^a-zA-Z]*/, "")
+          .replace(/[^a-zA-Z0-9\s\-\.\(\)]*$/, "");
+
+        if (theatreName.length > 3 && theatreName.length < 100) {
+          const normalizedKey = theatreName
+            .toLowerCase()
+            .replace(/[^\w\s]/g, "")
+            .replace(/\s+/g, " ")
+            .trim();
+
+          if (!theatreMap.has(normalizedKey)) {
+            theatreMap.set(normalizedKey, {
+              theatre: theatreName,
+              showtimes: mergeShowtimes(showtimesAt(lines, index)),
+            });
+          }
+        }
+      }
+    }
+  });
+
+  // Additional pass specifically for preferred theatres
+  lines.forEach((line, index) => {
+    const trimmedLine = line.trim();
+
+    // Look specifically for these theatres even without times in the same line
+    if (filters.some((filter) => filter.test(trimmedLine))) {
+      // Look for times in nearby lines
+      const nearbyTimes = [];
+      for (
+        let i = Math.max(0, index - 5);
+        i < Math.min(lines.length, index + 10);
+        i++
+      ) {
+        nearbyTimes.push(...showtimesAt(lines, i));
+      }
+
+      if (nearbyTimes.length > 0) {
+        let theatreName = trimmedLine;
+
+        // Clean up theatre name
+        theatreName = theatreName
+          .replace(/^[^a-zA-Z]*/, "")
+          .replace(/[^a-zA-Z0-9\s\-\.\(\)]*$/, "");
+
+        if (theatreName.length > 3 && theatreName.length < 100) {
+          const normalizedKey = theatreName
+            .toLowerCase()
+            .replace(/[^\w\s]/g, "")
+            .replace(/\s+/g, " ")
+            .trim();
+
+          if (!theatreMap.has(normalizedKey)) {
+            theatreMap.set(normalizedKey, {
+              theatre: theatreName,
+              showtimes: mergeShowtimes(nearbyTimes),
+            });
+          }
+        }
+      }
+    }
+  });
+
+  return Array.from(theatreMap.values());
+}
+
+/**
+ * Determines current status with priority logic
+ */
+function determineStatus(urlAnalysis, pageData, theatres) {
+  if (urlAnalysis.type === "released" && theatres.length > 0) {
+    return "BOOKING_AVAILABLE";
+  }
+  if (
+    urlAnalysis.type === "coming-soon" ||
+    pageData.hasInterestedButton ||
+    pageData.hasReleasingText
+  ) {
+    return "COMING_SOON";
+  }
+  if (pageData.hasBookTicketsButton || urlAnalysis.type === "released") {
+    return "BOOKING_AVAILABLE";
+  }
+  return "UNKNOWN";
+}
+
+// ================================
+// REQUEST BLOCKING
+// ================================
+
+// Ad, analytics and tracking hosts that never carry theatre or showtime data
+const TRACKER_DOMAINS = [
+  "doubleclick.net",
+  "googlesyndication.com",
+  "googleadservices.com",
+  "google-analytics.com",
+  "googletagmanager.com",
+  "googletagservices.com",
+  "amazon-adsystem.com",
+  "facebook.net",
+  "facebook.com",
+  "hotjar.com",
+  "clarity.ms",
+  "criteo.com",
+  "criteo.net",
+  "taboola.com",
+  "outbrain.com",
+  "scorecardresearch.com",
+  "moengage.com",
+  "branch.io",
+  "appsflyer.com",
+  "newrelic.com",
+  "nr-data.net",
+  "sentry.io",
+];
+
+const REQUEST_BLOCKING_PROFILES = {
+  standard: {
+    resourceTypes: ["image", "media", "font"],
+    domains: TRACKER_DOMAINS,
+  },
+  aggressive: {
+    resourceTypes: ["image", "media", "font", "stylesheet"],
+    domains: TRACKER_DOMAINS,
+  },
+};
+
+// Rough transfer sizes, used to estimate what a blocked request would have cost
+const BLOCKED_BYTES_ESTIMATE = {
+  image: 40 * 1024,
+  media: 500 * 1024,
+  font: 30 * 1024,
+  stylesheet: 20 * 1024,
+  script: 30 * 1024,
+};
+const DEFAULT_BLOCKED_BYTES = 5 * 1024;
+
+// Set once blocking is found to cost theatres; every later load is complete
+let requestBlockingSafeMode = null;
+
+/**
+ * Returns the active blocking profile, or null when pages load in full
+ */
+function resolveBlockingProfile() {
+  if (CONFIG.SAFE_MODE || requestBlockingSafeMode) return null;
+
+  const profile = REQUEST_BLOCKING_PROFILES[CONFIG.REQUEST_BLOCKING];
+  if (!profile) return null;
+
+  return {
+    name: CONFIG.REQUEST_BLOCKING,
+    resourceTypes: profile.resourceTypes,
+    domains: [...profile.domains, ...CONFIG.BLOCKED_DOMAINS],
+  };
+}
+
+/**
+ * Whether a request is skipped under a profile; documents are always loaded
+ */
+function shouldBlockRequest(profile, requestUrl, resourceType) {
+  if (!profile || resourceType === "document") return false;
+  if (profile.resourceTypes.includes(resourceType)) return true;
+
+  let hostname;
+  try {
+    hostname = new URL(requestUrl).hostname.toLowerCase();
+  } catch (error) {
+    return false;
+  }
+  return profile.domains.some(
+    (domain) => hostname === domain || hostname.endsWith(`.${domain}`)
+  );
+}
+
+/**
+ * Intercepts a page's requests under a profile and counts what was skipped.
+ * Runs after any other interception handler, leaving handled requests alone.
+ */
+async function installRequestBlocking(page, profile) {
+  const stats = {
+    profile: profile.name,
+    requests: 0,
+    blocked: 0,
+    bytesLoaded: 0,
+    bytesSaved: 0,
+    blockedByType: {},
+  };
+
+  const onRequest = (request) => {
+    if (request.isInterceptResolutionHandled()) return;
+    stats.requests++;
+
+    const resourceType = request.resourceType();
+    if (shouldBlockRequest(profile, request.url(), resourceType)) {
+      stats.blocked++;
+      stats.bytesSaved +=
+        BLOCKED_BYTES_ESTIMATE[resourceType] || DEFAULT_BLOCKED_BYTES;
+      stats.blockedByType[resourceType] =
+        (stats.blockedByType[resourceType] || 0) + 1;
+      request.abort("blockedbyclient");
+    } else {
+      request.continue();
+    }
+  };
+
+  const onResponse = (response) => {
+    const length = parseInt(response.headers()["content-length"], 10);
+    if (!isNaN(length)) stats.bytesLoaded += length;
+  };
+
+  await page.setRequestInterception(true);
+  page.on("request", onRequest);
+  page.on("response", onResponse);
+
+  return {
+    stats,
+
+    /**
+     * Stops intercepting, so a pooled page loads normally for its next user
+     */
+    async dispose() {
+      page.off("request", onRequest);
+      page.off("response", onResponse);
+      await page.setRequestInterception(false).catch(() => {
+        // Page already closed or crashed
+      });
+    },
+  };
+}
+
+/**
+ * Whether a blocked load looks like it lost data: bookings open but no
+ * theatres, or no theatres where the last check of this page had some
+ */
+function isDegradedExtraction(result, previousTheatreCount = 0) {
+  if (result.theatres.length > 0) return false;
+  return (
+    result.currentStatus === "BOOKING_AVAILABLE" || previousTheatreCount > 0
+  );
+}
+
+/**
+ * Turns request blocking off for the rest of the run
+ */
+function enableSafeMode(reason) {
+  if (requestBlockingSafeMode) return;
+  requestBlockingSafeMode = reason;
+  console.log(`🛟 Safe mode on - request blocking disabled: ${reason}`);
+}
+
+/**
+ * Formats a byte count for logs
+ */
+function formatBytes(bytes) {
+  if (bytes >= 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+  if (bytes >= 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${bytes} B`;
+}
+
+// ================================
+// SHOWTIME PAYLOAD EXTRACTION
+// ================================
+
+/**
+ * Returns the first present field out of a list of candidate keys
+ */
+function pickField(record, keys) {
+  const key = keys.find(
+    (candidate) => record[candidate] !== undefined && record[candidate] !== ""
+  );
+  return key ? record[key] : undefined;
+}
+
+/**
+ * Normalizes payload times ("10:30 AM", "22:15", "2025-08-14T22:15:00")
+ */
+function formatPayloadTime(value) {
+  if (typeof value !== "string" && typeof value !== "number") return null;
+  const text = String(value);
+
+  const displayMatch = text.match(/\d{1,2}:\d{2}\s*(am|pm)/i);
+  if (displayMatch) return normalizeShowtimeTime(displayMatch[0]);
+
+  const clockMatch =
+    text.match(/T(\d{2}):(\d{2})/) ||
+    text.match(/^(\d{1,2}):?(\d{2})(?::\d{2})?$/);
+  if (!clockMatch) return null;
+
+  const hours = parseInt(clockMatch[1], 10);
+  const minutes = parseInt(clockMatch[2], 10);
+  if (hours > 23 || minutes > 59) return null;
+
+  return formatClockTime(hours * 60 + minutes);
+}
+
+/**
+ * Walks a JSON payload and collects every venue record that carries shows
+ */
+function findVenueRecords(node, found = []) {
+  if (Array.isArray(node)) {
+    node.forEach((item) => findVenueRecords(item, found));
+  } else if (node && typeof node === "object") {
+    const name = pickField(node, SHOWTIME_PAYLOAD_KEYS.VENUE_NAME);
+    const shows = pickField(node, SHOWTIME_PAYLOAD_KEYS.SHOWS);
+
+    if (typeof name === "string" && Array.isArray(shows)) {
+      found.push(node);
+    } else {
+      Object.values(node).forEach((value) => findVenueRecords(value, found));
+    }
+  }
+  return found;
+}
+
+/**
+ * Builds a showtime record from one API show entry, with its session,
+ * screen, availability and price categories
+ */
+function createPayloadShowtime(show) {
+  const time = formatPayloadTime(pickField(show, SHOWTIME_PAYLOAD_KEYS.TIME));
+  if (!time) return null;
+
+  const categories = (pickField(show, SHOWTIME_PAYLOAD_KEYS.CATEGORIES) || [])
+    .filter((category) => category && typeof category === "object")
+    .map((category) => {
+      const price = parseFloat(
+        pickField(category, SHOWTIME_PAYLOAD_KEYS.PRICE)
+      );
+      return {
+        name: pickField(category, SHOWTIME_PAYLOAD_KEYS.CATEGORY_NAME) || null,
+        price: Number.isNaN(price) ? null : price,
+        availability: normalizeAvailability(
+          pickField(category, SHOWTIME_PAYLOAD_KEYS.AVAILABILITY)
+        ),
+      };
+    });
+
+  // Without a show-level status, derive one from the categories
+  let availability = normalizeAvailability(
+    pickField(show, SHOWTIME_PAYLOAD_KEYS.AVAILABILITY)
+  );
+  const known = categories.filter((category) => category.availability);
+  if (!availability && known.length > 0) {
+    availability = known.every((c) => c.availability === "sold-out")
+      ? "sold-out"
+      : known.some((c) => c.availability === "sold-out")
+      ? "filling-fast"
+      : "available";
+  }
+
+  const screenFormat = pickField(show, SHOWTIME_PAYLOAD_KEYS.FORMAT) || null;
+  const screenName = pickField(show, SHOWTIME_PAYLOAD_KEYS.SCREEN) || null;
+  // Screens are often named after their format ("IMAX", "Audi 4 - 4DX")
+  const { language, formats } = parseShowFormat(
+    [
+      pickField(show, SHOWTIME_PAYLOAD_KEYS.LANGUAGE),
+      screenFormat,
+      screenName,
+    ].join(" ")
+  );
+
+  return createShowtime(time, {
+    sessionId: pickField(show, SHOWTIME_PAYLOAD_KEYS.SESSION_ID) || null,
+    screenFormat,
+    screenName,
+    language,
+    format: formatLabel(formats),
+    availability,
+    categories,
+  });
+}
+
+/**
+ * Builds the { theatre, showtimes } result from captured API payloads
+ */
+function extractFromShowtimePayloads(payloads) {
+  const theatreMap = new Map();
+
+  payloads.forEach((payload) => {
+    findVenueRecords(payload).forEach((venue) => {
+      const theatre = pickField(venue, SHOWTIME_PAYLOAD_KEYS.VENUE_NAME).trim();
+      const venueCode = pickField(venue, SHOWTIME_PAYLOAD_KEYS.VENUE_CODE);
+
+      // One record per session: a venue may run the same time on two screens
+      const showtimes = pickField(venue, SHOWTIME_PAYLOAD_KEYS.SHOWS)
+        .map((show) => createPayloadShowtime(show || {}))
+        .filter(Boolean);
+
+      if (!theatre || showtimes.length === 0) return;
+
+      const key = venueCode || theatreKey(theatre);
+      const existing = theatreMap.get(key);
+      if (existing) {
+        const known = new Set(existing.showtimes.map((s) => s.sessionId));
+        existing.showtimes.push(
+          ...showtimes.filter((s) => !s.sessionId || !known.has(s.sessionId))
+        );
+      } else {
+        theatreMap.set(key, {
+          theatre,
+          venueCode: venueCode || null,
+          showtimes,
+        });
+      }
+    });
+  });
+
+  return Array.from(theatreMap.values());
+}
+
+/**
+ * Records JSON XHR/fetch responses that contain venue and showtime data
+ */
+function captureShowtimePayloads(page) {
+  const payloads = [];
+  const pending = [];
+
+  const onResponse = (response) => {
+    const request = response.request();
+    const contentType = response.headers()["content-type"] || "";
+    if (
+      !["xhr", "fetch"].includes(request.resourceType()) ||
+      !contentType.includes("json")
+    ) {
+      return;
+    }
+
+    pending.push(
+      response
+        .json()
+        .then((body) => {
+          if (findVenueRecords(body).length > 0) {
+            payloads.push(body);
+            console.log(`📡 Showtime payload captured: ${response.url()}`);
+          }
+        })
+        .catch(() => {
+          // Redirects and aborted requests have no readable body
+        })
+    );
+  };
+  page.on("response", onResponse);
+
+  return {
+    async collect() {
+      await Promise.all(pending);
+      return payloads;
+    },
+
+    /**
+     * Stops listening, so a pooled page can be reused
+     */
+    dispose() {
+      page.off("response", onResponse);
+    },
+  };
+}
+
+// Theatre counts from each page's last check, to spot degraded extractions
+const lastTheatreCounts = new Map();
+
+const theatreGaugeLabels = (url) => {
+  const { movieName, releaseDate } = analyzeURL(url);
+  return { movie: movieName || url, date: releaseDate || "" };
+};
+
+/**
+ * Remembers a page's theatre count and publishes it as a gauge labelled by
+ * movie and show date
+ */
+function recordTheatreCount(url, count) {
+  lastTheatreCounts.set(url, count);
+  METRICS.theatres.set(theatreGaugeLabels(url), count);
+}
+
+/**
+ * Forgets the counts of pages no longer checked, like show dates that left
+ * the window or movies taken off the watchlist
+ */
+function forgetStalePages(activeUrls) {
+  const active = new Set(activeUrls);
+  [...lastTheatreCounts.keys()]
+    .filter((url) => !active.has(url))
+    .forEach((url) => {
+      lastTheatreCounts.delete(url);
+      METRICS.theatres.remove(theatreGaugeLabels(url));
+    });
+}
+
+/**
+ * Optimized movie page analysis
+ *
+ * Options: filters (compiled preferred-theatre filters), preparePage, an
+ * async hook run on the fresh page before navigation (used by tests to
+ * replay saved pages through request interception), and requestBlocking,
+ * false to load the page in full.
+ *
+ * A blocked load that comes back degraded is retried in full; if that finds
+ * more theatres, safe mode turns blocking off for the rest of the run. Every
+ * call is counted in the Prometheus metrics.
+ */
+async function analyzeMoviePage(url, options = {}) {
+  const movie = analyzeURL(url).movieName || url;
+  const startedAt = Date.now();
+  try {
+    const result = await analyzeWithSafeMode(url, options);
+    METRICS.scrapes.inc({ movie, result: "success" });
+    recordTheatreCount(url, result.theatres.length);
+    if (result.requestStats.blocked) {
+      METRICS.requestsBlocked.inc({}, result.requestStats.blocked);
+    }
+    return result;
+  } catch (error) {
+    METRICS.scrapes.inc({ movie, result: "failure" });
+    METRICS.failures.inc({ movie, category: classifyError(error).category });
+    throw error;
+  } finally {
+    METRICS.scrapeDuration.observe({}, (Date.now() - startedAt) / 1000);
+  }
+}
+
+/**
+ * Loads a page with request blocking, falling back to a full load when the
+ * blocked result looks degraded
+ */
+async function analyzeWithSafeMode(url, options) {
+  const result = await loadMoviePage(url, options);
+  const previousCount = lastTheatreCounts.get(url) || 0;
+
+  if (
+    result.requestStats &&
+    result.requestStats.blocked > 0 &&
+    isDegradedExtraction(result, previousCount)
+  ) {
+    console.log(
+      "🛟 Extraction looks degraded with request blocking - retrying with a full page load"
+    );
+    const fullResult = await loadMoviePage(url, {
+      ...options,
+      requestBlocking: false,
+    });
+    if (fullResult.theatres.length > result.theatres.length) {
+      enableSafeMode(
+        `${fullResult.theatres.length} theatres with a full load, ${result.theatres.length} with ${result.requestStats.profile} blocking`
+      );
+      return fullResult;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Finds where a coming-soon page's "Book tickets" entry leads: a buytickets
+ * link on the page, or wherever clicking the button lands (redirects and
+ * language variants with their own ET code included). Navigates the page,
+ * so it runs after extraction. Returns null when no booking page is found.
+ */
+async function resolveBookingUrl(page, movieCode) {
+  const findLink = () =>
+    page.evaluate((code) => {
+      const links = [...document.querySelectorAll("a[href]")]
+        .map((link) => link.href)
+        .filter((href) => href.includes("/buytickets/"));
+      return links.find((href) => code && href.includes(code)) || links[0];
+    }, movieCode);
+
+  let bookingUrl = await findLink();
+  if (!bookingUrl) {
+    const clicked = await page.evaluate(() => {
+      const button = [
+        ...document.querySelectorAll("button, a, [role='button'], span, div"),
+      ].find((element) =>
+        /^\s*(book tickets|book now)\s*$/i.test(element.textContent)
+      );
+      if (!button) return false;
+      button.click();
+      return true;
+    });
+    if (!clicked) return null;
+
+    await page
+      .waitForNavigation({ waitUntil: "domcontentloaded", timeout: 15000 })
+      .catch(() => {
+        // Some buttons open a language/format picker instead of navigating
+      });
+    bookingUrl = page.url().includes("/buytickets/")
+      ? page.url()
+      : await findLink();
+  }
+  if (!bookingUrl) return null;
+
+  // Links without a date redirect to the first show date
+  if (!analyzeURL(bookingUrl).releaseDate) {
+    await page.goto(bookingUrl, {
+      waitUntil: "domcontentloaded",
+      timeout: CONFIG.BROWSER_TIMEOUT,
+    });
+    bookingUrl = page.url();
+  }
+
+  const resolved = new URL(bookingUrl);
+  resolved.hash = "";
+  return analyzeURL(resolved.href).type === "released" ? resolved.href : null;
+}
+
+/**
+ * Loads a movie page once and extracts its status and theatres
+ */
+async function loadMoviePage(url, options = {}) {
+  const { filters = [], preparePage = null } = options;
+  console.log("🎬 Analyzing movie page...");
+  console.log(`📍 URL: ${url}`);
+
+  const urlAnalysis = analyzeURL(url);
+  const cityProfile = getCityProfile(urlAnalysis.city);
+  console.log(`🔍 URL Type: ${urlAnalysis.type}`);
+  console.log(
+    `🏙️ City profile: ${cityProfile.key}${
+      cityProfile.key === "generic" && urlAnalysis.city
+        ? ` (no profile for "${urlAnalysis.city}")`
+        : ""
+    }`
+  );
+
+  const browserManager = options.browserManager || getBrowserManager();
+  const page = await browserManager.acquire();
+  const payloadCapture =
+    CONFIG.EXTRACTION_MODE !== "text" ? captureShowtimePayloads(page) : null;
+  let requestBlocking = null;
+  let completed = false;
+
+  try {
+    if (preparePage) {
+      await preparePage(page);
+    }
+
+    const blockingProfile =
+      options.requestBlocking === false ? null : resolveBlockingProfile();
+    if (blockingProfile) {
+      requestBlocking = await installRequestBlocking(page, blockingProfile);
+    }
+
+    console.log("🌐 Loading page...");
+    const loadStartedAt = Date.now();
+
+    let response;
+    try {
+      response = await page.goto(url, {
+        waitUntil: "networkidle2",
+        timeout: CONFIG.BROWSER_TIMEOUT,
+      });
+    } catch (timeoutError) {
+      console.log("⚠️ Trying alternative loading strategy...");
+      response = await page.goto(url, {
+        waitUntil: "domcontentloaded",
+        timeout: CONFIG.BROWSER_TIMEOUT,
+      });
+      await page.waitForTimeout(3000);
+    }
+
+    const loadTimeMs = Date.now() - loadStartedAt;
+    const loadSeconds = (loadTimeMs / 1000).toFixed(1);
+    if (requestBlocking) {
+      const { profile, blocked, requests, bytesSaved, bytesLoaded } =
+        requestBlocking.stats;
+      console.log(
+        `🚧 Request blocking (${profile}): ${blocked}/${requests} requests blocked, ` +
+          `~${formatBytes(bytesSaved)} saved, ${formatBytes(bytesLoaded)} ` +
+          `loaded in ${loadSeconds}s`
+      );
+    } else {
+      console.log(`⏱️ Page loaded in ${loadSeconds}s (no request blocking)`);
+    }
+
+    const pageTitle = await page.title();
+    const currentUrl = await page.url();
+    console.log(`📄 Page title: ${pageTitle}`);
+    console.log(`🔗 Final URL: ${currentUrl}`);
+
+    // Bot protection answers with 403/429 or an interstitial page
+    const status = response ? response.status() : null;
+    if (
+      status === 403 ||
+      status === 429 ||
+      /access denied|attention required|just a moment|captcha/i.test(pageTitle)
+    ) {
+      throw createScrapeError(
+        "blocked",
+        `Page blocked (HTTP ${status || "?"}, title "${pageTitle}")`
+      );
+    }
+
+    const pageData = await page.evaluate(() => {
+      const pageText = document.body.innerText;
+      const pageHTML = document.body.innerHTML;
+
+      // Extract movie title
+      const titleElement =
+        document.querySelector("h1") ||
+        document.querySelector('[data-component-type="movie-title"]') ||
+        document.querySelector(".movie-title") ||
+        document.querySelector("title");
+      const movieTitle = titleElement
+        ? titleElement.textContent.trim()
+        : "Unknown Movie";
+
+      // Status detection
+      const hasInterestedButton =
+        pageText.includes("I'm interested") ||
+        pageText.includes("Mark interested") ||
+        pageHTML.includes("interested");
+      const hasBookTicketsButton =
+        pageText.includes("Book tickets") || pageText.includes("Book now");
+      const hasReleasingText =
+        pageText.includes("Releasing on") || pageText.includes("Releasing");
+
+      // Release date extraction
+      const releaseDateMatch =
+        pageText.match(/Releasing on (\d{1,2} \w{3}, \d{4})/i) ||
+        pageText.match(/(\d{1,2} \w{3}, \d{4})/);
+      const releaseDate = releaseDateMatch ? releaseDateMatch[1] : null;
+
+      // Comprehensive content extraction function
+      const extractAllContent = async () => {
+        let allText = "";
+
+        // Function to expand all possible content
+        const expandAllContent = () => {
+          // Scroll to bottom multiple times to trigger lazy loading
+          for (let i = 0; i < 5; i++) {
+            window.scrollTo(0, document.body.scrollHeight);
+          }
+
+          // Find and click all expansion buttons
+          const allButtons = document.querySelectorAll("button, a, div, span");
+          allButtons.forEach((button) => {
+            const text = button.textContent.toLowerCase();
+            if (
+              text.includes("show more") ||
+              text.includes("load more") ||
+              text.includes("view all") ||
+              text.includes("expand") ||
+              text.includes("see more") ||
+              text.includes("load all") ||
+              text.includes("show all") ||
+              text.includes("view more")
+            ) {
+              try {
+                button.click();
+              } catch (e) {
+                // Ignore click errors
+              }
+            }
+          });
+
+          // Wait for content to load
+          return new Promise((resolve) => setTimeout(resolve, 3000));
+        };
+
+        // Expand content multiple times to ensure we get everything
+        for (let attempt = 0; attempt < 3; attempt++) {
+          await expandAllContent();
+
+          // Get current text content
+          const currentText = document.body.innerText;
+          if (currentText.length > allText.length) {
+            allText = currentText;
+          }
+
+          // Also try to get text from specific theatre-related elements
+          const theatreElements = document.querySelectorAll(
+            '[class*="theatre"], [class*="cinema"], [class*="venue"], [id*="theatre"], [id*="cinema"]'
+          );
+          theatreElements.forEach((element) => {
+            allText += "\n" + element.textContent;
+          });
+        }
+
+        return allText;
+      };
+
+      return extractAllContent().then((bodyText) => ({
+        movieTitle,
+        releaseDate,
+        hasInterestedButton,
+        hasBookTicketsButton,
+        hasReleasingText,
+        bodyText,
+      }));
+    });
+
+    // Prefer structured showtime data from the site's own API responses
+    const networkTheatres = payloadCapture
+      ? extractFromShowtimePayloads(await payloadCapture.collect())
+      : [];
+    const extractionSource =
+      networkTheatres.length > 0 || CONFIG.EXTRACTION_MODE === "network"
+        ? "network"
+        : "text";
+    console.log(
+      `📡 Extraction source: ${extractionSource} (${networkTheatres.length} venues from API payloads)`
+    );
+
+    // Extract theatres using enhanced function
+    let theatres =
+      extractionSource === "network"
+        ? networkTheatres
+        : extractTheatresAndShowtimes(pageData.bodyText, filters, cityProfile);
+
+    // Debug information for theatre extraction
+    console.log(`🔍 Theatre extraction debug:`);
+    console.log(
+      `   📄 Total page lines: ${pageData.bodyText.split("\n").length}`
+    );
+    console.log(`   🎭 Theatres found: ${theatres.length}`);
+    if (theatres.length > 0) {
+      console.log(
+        `   📊 Sample theatres: ${theatres
+          .slice(0, 3)
+          .map((t) => t.theatre)
+          .join(", ")}`
+      );
+    }
+
+    // Additional debug: Check for theatre-related content in page
+    const theatreKeywords = ["theatre", "cinema", "pvr", "inox", "multiplex"];
+    const foundKeywords = theatreKeywords.filter((keyword) =>
+      pageData.bodyText.toLowerCase().includes(keyword)
+    );
+    console.log(
+      `🔍 Theatre keywords found in page: ${foundKeywords.join(", ")}`
+    );
+
+    // Check for time patterns in the page
+    const timeMatches =
+      pageData.bodyText.match(THEATRE_PATTERNS.TIME_REGEX) || [];
+    console.log(`🔍 Time patterns found: ${timeMatches.length}`);
+
+    // Check which preferred theatres appear anywhere in the page
+    const pageLines = pageData.bodyText.split("\n");
+    const filtersSeenInPage = filters
+      .filter((filter) => pageLines.some((line) => filter.test(line)))
+      .map((filter) => filter.label);
+    if (filters.length > 0) {
+      console.log(
+        `🎯 Preferred theatres seen in page: ${
+          filtersSeenInPage.join(", ") || "none"
+        }`
+      );
+    }
+
+    // Enhanced fallback: Try multiple strategies to get complete theatre list
+    if (extractionSource === "text" && theatres.length < 10) {
+      console.log(
+        "🔄 Theatre count seems low, trying comprehensive extraction..."
+      );
+
+      // Strategy 1: Try different page scrolling and expansion
+      const additionalContent = await page.evaluate(() => {
+        // Scroll multiple times to trigger all lazy loading
+        for (let i = 0; i < 10; i++) {
+          window.scrollTo(0, document.body.scrollHeight);
+          window.scrollTo(0, 0);
+        }
+
+        // Click all possible expansion elements
+        const allElements = document.querySelectorAll(
+          "button, a, div, span, li"
+        );
+        allElements.forEach((element) => {
+          const text = element.textContent.toLowerCase();
+          if (
+            text.includes("show") ||
+            text.includes("load") ||
+            text.includes("view") ||
+            text.includes("expand") ||
+            text.includes("more") ||
+            text.includes("all")
+          ) {
+            try {
+              element.click();
+            } catch (e) {
+              // Ignore click errors
+            }
+          }
+        });
+
+        // Wait for content to load
+        return new Promise((resolve) => {
+          setTimeout(() => {
+            // Get all text content including hidden elements
+            let fullText = document.body.innerText;
+
+            // Also get text from specific containers that might contain theatres
+            const containers = document.querySelectorAll(
+              '[class*="venue"], [class*="theatre"], [class*="cinema"], [class*="showtime"], [class*="booking"]'
+            );
+            containers.forEach((container) => {
+              fullText += "\n" + container.textContent;
+            });
+
+            resolve(fullText);
+          }, 5000);
+        });
+      });
+
+      // Strategy 2: Try extraction with additional content
+      const additionalTheatres = extractTheatresAndShowtimes(
+        additionalContent,
+        filters,
+        cityProfile
+      );
+      console.log(
+        `🔄 Additional theatres from enhanced extraction: ${additionalTheatres.length}`
+      );
+
+      // Strategy 3: Try alternative parsing approach for missed theatres
+      const alternativeTheatres = extractTheatresAlternative(
+        additionalContent,
+        filters,
+        cityProfile
+      );
+      console.log(
+        `🔄 Alternative parsing found: ${alternativeTheatres.length} theatres`
+      );
+
+      // Merge all results
+      const allTheatres = [...theatres];
+
+      // Merge additional theatres
+      additionalTheatres.forEach((newTheatre) => {
+        const exists = allTheatres.some(
+          (existing) =>
+            existing.theatre
+              .toLowerCase()
+              .includes(newTheatre.theatre.toLowerCase()) ||
+            newTheatre.theatre
+              .toLowerCase()
+              .includes(existing.theatre.toLowerCase())
+        );
+        if (!exists) {
+          allTheatres.push(newTheatre);
+        }
+      });
+
+      // Merge alternative theatres
+      alternativeTheatres.forEach((newTheatre) => {
         const exists = allTheatres.some(
           (existing) =>
             existing.theatre
@@ -825,294 +3670,3657 @@ async function analyzeMoviePage(url) {
               .toLowerCase()
               .includes(existing.theatre.toLowerCase())
         );
-        if (!exists) {
-          allTheatres.push(newTheatre);
+        if (!exists) {
+          allTheatres.push(newTheatre);
+        }
+      });
+
+      theatres = allTheatres;
+      console.log(
+        `📊 Total theatres after comprehensive extraction: ${theatres.length}`
+      );
+    }
+
+    // Booking pages list one language and format ("Telugu - 2D") for all
+    // shows, and the date being shown is in the final URL
+    const pageFormat = findPageShowFormat(pageData.bodyText);
+    const showDate =
+      analyzeURL(currentUrl).releaseDate || urlAnalysis.releaseDate;
+    theatres = theatres.map((theatre) => ({
+      ...theatre,
+      showtimes: finalizeShowtimes(theatre.showtimes, pageFormat, showDate),
+    }));
+
+    const currentStatus = determineStatus(urlAnalysis, pageData, theatres);
+    const { report } = applyTheatreFilters(theatres, filters);
+    const result = {
+      ...pageData,
+      ...pageFormat,
+      showDate,
+      theatres,
+      currentStatus,
+      pageUrl: url,
+      urlAnalysis,
+      extractionSource,
+      requestStats: {
+        ...(requestBlocking
+          ? { ...requestBlocking.stats }
+          : { profile: "off" }),
+        loadTimeMs,
+      },
+      filterReport: report.map((entry) => ({
+        ...entry,
+        seenInPage: filtersSeenInPage.includes(entry.filter),
+      })),
+    };
+
+    // Console output
+    console.log(`🎬 Movie: ${result.movieTitle}`);
+    console.log(`📅 Release Date: ${result.releaseDate || "Not specified"}`);
+    console.log(`🎯 Status: ${result.currentStatus}`);
+    if (pageFormat.language) {
+      console.log(`🗣️ Shows: ${pageFormat.language} ${pageFormat.format}`);
+    }
+    console.log(`🎭 Theatres found: ${result.theatres.length}`);
+
+    if (result.theatres.length === 0) {
+      console.log(
+        "⏳ Status: Still waiting for release - no theatres showing yet!"
+      );
+    } else {
+      console.log(
+        `🎉 Status: LIVE! Movie is now showing in ${result.theatres.length} theatres!`
+      );
+    }
+
+    // A filter that matches nothing and never appears in the page is likely a typo
+    result.filterReport.forEach((entry) => {
+      if (entry.matches.length > 0) {
+        console.log(
+          `✅ Filter ${entry.filter}: ${entry.matches.length} theatre(s) open`
+        );
+      } else if (entry.seenInPage) {
+        console.log(
+          `⏳ Filter ${entry.filter}: listed on page but not open for booking yet`
+        );
+      } else {
+        console.log(
+          `⚠️ Filter ${entry.filter}: not found anywhere on the page - check for typos`
+        );
+      }
+    });
+
+    // A coming-soon or movie info page that can be booked links to the
+    // real booking page
+    if (urlAnalysis.type !== "released" && pageData.hasBookTicketsButton) {
+      console.log("🎟️ Bookings look open - resolving the booking page...");
+      try {
+        result.bookingUrl = await resolveBookingUrl(
+          page,
+          urlAnalysis.movieCode
+        );
+      } catch (error) {
+        console.error("❌ Could not resolve the booking page:", error.message);
+      }
+      console.log(
+        result.bookingUrl
+          ? `🔀 Booking page: ${result.bookingUrl}`
+          : "⚠️ No booking page found yet"
+      );
+    }
+
+    completed = true;
+    return result;
+  } finally {
+    if (payloadCapture) payloadCapture.dispose();
+    if (requestBlocking) await requestBlocking.dispose();
+    // Pages with custom request handling or an unknown state are not reused
+    await browserManager.release(page, {
+      discard: !completed || Boolean(preparePage),
+    });
+  }
+}
+
+// ================================
+// MOVIE SEARCH
+// ================================
+
+const BOOKMYSHOW_URL = "https://in.bookmyshow.com";
+
+// City explore listings: what is showing now and what is coming
+const MOVIE_LISTINGS = {
+  "now-showing": {
+    status: "now showing",
+    path: (city) => `/explore/movies-${city}`,
+  },
+  "coming-soon": {
+    status: "coming soon",
+    path: (city) => `/explore/upcoming-movies-${city}`,
+  },
+};
+
+const CERTIFICATE_REGEX = /^(U|UA|A|S)(\s?\d{1,2}\+)?$/i;
+
+/**
+ * Parses one listing card ({ href, text }) into a movie entry, or null when
+ * the link is not a movie page
+ */
+function parseListingCard(card, status) {
+  const match = card.href.match(/\/movies\/([^\/]+)\/([^\/]+)\/(ET\d+)/);
+  if (!match) return null;
+
+  const [, city, slug, movieCode] = match;
+  const lines = card.text
+    .split("\n")
+    .map((line) => line.trim())
+    .filter(Boolean);
+  const isLanguageLine = (line) =>
+    line
+      .split(",")
+      .every((part) =>
+        KNOWN_LANGUAGES.some(
+          (language) => language.toLowerCase() === part.trim().toLowerCase()
+        )
+      );
+
+  const certificate = lines.find((line) => CERTIFICATE_REGEX.test(line));
+  const languageLine = lines.find(isLanguageLine);
+  // Ratings, votes and badges sit around the title on the card
+  const title = lines.find(
+    (line) =>
+      line !== certificate &&
+      line !== languageLine &&
+      !/^\d+(\.\d+)?\s*(%|\/10)|votes|likes|promoted|^new$/i.test(line)
+  );
+
+  return {
+    title: title || extractMovieName(card.href),
+    movieCode,
+    languages: languageLine
+      ? languageLine.split(",").map((language) => language.trim())
+      : [],
+    certificate: certificate || null,
+    status,
+    url: `${BOOKMYSHOW_URL}/movies/${city}/${slug}/${movieCode}${
+      status === MOVIE_LISTINGS["coming-soon"].status ? "?type=coming-soon" : ""
+    }`,
+  };
+}
+
+/**
+ * Scrapes a city's explore listing ("now-showing" or "coming-soon") into
+ * movie entries, one per ET code
+ */
+async function scrapeMovieListing(city, listing, options = {}) {
+  const { status, path: listingPath } = MOVIE_LISTINGS[listing];
+  const browserManager = options.browserManager || getBrowserManager();
+  const page = await browserManager.acquire();
+  let completed = false;
+
+  try {
+    await page.goto(`${BOOKMYSHOW_URL}${listingPath(city)}`, {
+      waitUntil: "networkidle2",
+      timeout: CONFIG.BROWSER_TIMEOUT,
+    });
+
+    const cards = await page.evaluate(async () => {
+      // Listings load more cards as they scroll
+      for (let i = 0; i < 8; i++) {
+        window.scrollTo(0, document.body.scrollHeight);
+        await new Promise((resolve) => setTimeout(resolve, 400));
+      }
+      return [...document.querySelectorAll("a[href*='/movies/']")].map(
+        (link) => ({ href: link.href, text: link.innerText || "" })
+      );
+    });
+
+    const entries = new Map();
+    cards.forEach((card) => {
+      const entry = parseListingCard(card, status);
+      if (entry && !entries.has(entry.movieCode)) {
+        entries.set(entry.movieCode, entry);
+      }
+    });
+
+    completed = true;
+    return [...entries.values()];
+  } finally {
+    await browserManager.release(page, { discard: !completed });
+  }
+}
+
+/**
+ * Title without punctuation, case or a trailing "(Telugu)"-style variant tag
+ */
+function normalizeTitle(title) {
+  return title
+    .toLowerCase()
+    .replace(/\([^)]*\)\s*$/, "")
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+/**
+ * Whether a title contains every word of the query
+ */
+function titleMatches(title, query) {
+  const words = normalizeTitle(query).split(" ").filter(Boolean);
+  const padded = ` ${title.toLowerCase().replace(/[^a-z0-9]+/g, " ")} `;
+  return words.every((word) => padded.includes(` ${word} `));
+}
+
+/**
+ * Listing entries whose title contains every word of the query. Entries
+ * sharing a title (dubbed versions) get `variants` set to the group size.
+ */
+function findTitleMatches(entries, query) {
+  const matches = entries.filter((entry) => titleMatches(entry.title, query));
+
+  const groups = new Map();
+  matches.forEach((entry) => {
+    const key = normalizeTitle(entry.title);
+    groups.set(key, (groups.get(key) || 0) + 1);
+  });
+
+  return matches
+    .map((entry) => ({
+      ...entry,
+      variants: groups.get(normalizeTitle(entry.title)),
+    }))
+    .sort(
+      (a, b) =>
+        normalizeTitle(a.title).localeCompare(normalizeTitle(b.title)) ||
+        a.title.localeCompare(b.title)
+    );
+}
+
+/**
+ * One line per search result for the console
+ */
+function formatSearchResult(entry, index) {
+  const details = [
+    entry.movieCode,
+    entry.languages.join(", ") || "language unknown",
+    entry.certificate || "no certificate",
+    entry.status,
+  ];
+  return `${index + 1}. ${entry.title}${
+    entry.variants > 1 ? " 🔀" : ""
+  } - ${details.join(" · ")}\n   ${entry.url}`;
+}
+
+/**
+ * Watchlist edit adding a listing entry. Dubbed variants are named after
+ * their language so names stay unique. Returns the name used.
+ */
+function addListingEntry(data, entry, name = null) {
+  if (data.movies.some((movie) => movie.url === entry.url)) {
+    throw new Error(`${entry.title} (${entry.movieCode}) is already tracked`);
+  }
+
+  const taken = new Set(
+    data.movies.map((movie) => String(movie.name).trim().toLowerCase())
+  );
+  let movieName = name || entry.title;
+  if (!name && taken.has(movieName.toLowerCase()) && entry.languages[0]) {
+    movieName = `${entry.title} (${entry.languages[0]})`;
+  }
+
+  data.movies.push({ name: movieName, url: entry.url });
+  return movieName;
+}
+
+/**
+ * Adds a search result to the watchlist file, creating it if needed.
+ * Returns the name used.
+ */
+function addSearchResultToWatchlist(
+  entry,
+  name = null,
+  filePath = CONFIG.WATCHLIST_FILE
+) {
+  if (!fs.existsSync(filePath)) {
+    fs.writeFileSync(filePath, `${JSON.stringify({ movies: [] }, null, 2)}\n`);
+  }
+
+  let movieName = null;
+  updateWatchlistFile(filePath, (data) => {
+    movieName = addListingEntry(data, entry, name);
+  });
+  return movieName;
+}
+
+/**
+ * `search "<title>" --city <city> [--add <number>] [--name <name>]`
+ */
+async function runSearchCommand(args) {
+  const query = args.find(
+    (arg, index) =>
+      !arg.startsWith("--") && !(index > 0 && args[index - 1].startsWith("--"))
+  );
+  const city = (readOption(args, "city") || "").toLowerCase();
+  if (!query || !city) {
+    throw new Error('Usage: search "<title>" --city <city> [--add <number>]');
+  }
+
+  console.log(`🔎 Searching BookMyShow ${city} for "${query}"...`);
+  const entries = [];
+  try {
+    for (const listing of Object.keys(MOVIE_LISTINGS)) {
+      entries.push(...(await scrapeMovieListing(city, listing)));
+    }
+  } finally {
+    await getBrowserManager().close();
+  }
+
+  const matches = findTitleMatches(entries, query);
+  if (matches.length === 0) {
+    console.log(
+      `😕 No movie matching "${query}" among ${entries.length} listed in ${city}`
+    );
+    return;
+  }
+
+  console.log(`\n🎬 ${matches.length} match(es):`);
+  matches.forEach((entry, index) =>
+    console.log(formatSearchResult(entry, index))
+  );
+  if (matches.some((entry) => entry.variants > 1)) {
+    console.log(
+      "\n🔀 Several movies share a title (usually dubbed versions) - check the language and ET code"
+    );
+  }
+
+  let choice = readOption(args, "add");
+  if (!choice && process.stdin.isTTY) {
+    const readline = require("readline/promises");
+    const prompt = readline.createInterface({
+      input: process.stdin,
+      output: process.stdout,
+    });
+    choice = await prompt.question(
+      "\nAdd which one to the watchlist? (number, Enter to skip) "
+    );
+    prompt.close();
+  }
+  if (!choice || !choice.trim()) return;
+
+  const entry = matches[parseInt(choice, 10) - 1];
+  if (!entry) throw new Error(`"${choice}" is not one of the results`);
+
+  const name = addSearchResultToWatchlist(entry, readOption(args, "name"));
+  console.log(`✅ Added ${name} to ${CONFIG.WATCHLIST_FILE}`);
+}
+
+// ================================
+// CATALOGUE WATCHER
+// ================================
+
+const CATALOGUE_RULE_FIELDS = ["keywords", "actors", "languages"];
+
+/**
+ * Options of one catalogue rule: name -> validator returning an error or null
+ */
+const CATALOGUE_RULE_OPTIONS = {
+  name: (value) =>
+    typeof value === "string" && value.trim() ? null : "must be a string",
+  keywords: (value) => isStringList(value),
+  actors: (value) => isStringList(value),
+  languages: (value) => isStringList(value),
+  autoAdd: (value) =>
+    typeof value === "boolean" ? null : "must be true or false",
+};
+
+/**
+ * Options of the "catalogue" setting: name -> validator
+ */
+const CATALOGUE_OPTIONS = {
+  city: (value) =>
+    typeof value === "string" && /^[a-z0-9-]+$/i.test(value)
+      ? null
+      : 'must be a BookMyShow city slug such as "hyderabad"',
+  listings: (value) =>
+    Array.isArray(value) &&
+    value.length > 0 &&
+    value.every((listing) => MOVIE_LISTINGS[listing])
+      ? null
+      : `must be a list of ${Object.keys(MOVIE_LISTINGS).join(", ")}`,
+  intervalMinutes: (value) =>
+    Number.isFinite(value) && value > 0 ? null : "must be a positive number",
+  rules: (value) => validateCatalogueRules(value),
+};
+
+/**
+ * Validates the catalogue rules, reporting every problem at once
+ */
+function validateCatalogueRules(value) {
+  if (!Array.isArray(value) || value.length === 0) {
+    return "must be a non-empty list of rules";
+  }
+
+  const problems = [];
+  value.forEach((rule, index) => {
+    const label = `[${index}]`;
+    if (!rule || typeof rule !== "object" || Array.isArray(rule)) {
+      problems.push(`${label} must be an object`);
+      return;
+    }
+
+    if (!CATALOGUE_RULE_FIELDS.some((field) => rule[field])) {
+      problems.push(
+        `${label} needs one of ${CATALOGUE_RULE_FIELDS.join(", ")}`
+      );
+    }
+    Object.entries(rule).forEach(([option, optionValue]) => {
+      const validate = CATALOGUE_RULE_OPTIONS[option];
+      const problem = validate
+        ? validate(optionValue)
+        : "is not a known option";
+      if (problem) problems.push(`${label} "${option}" ${problem}`);
+    });
+  });
+
+  return problems.length > 0 ? problems.join("; ") : null;
+}
+
+/**
+ * Validates the "catalogue" setting
+ */
+function validateCatalogue(value) {
+  if (!value || typeof value !== "object" || Array.isArray(value)) {
+    return 'must be { "city": ..., "rules": [...] }';
+  }
+
+  const problems = ["city", "rules"]
+    .filter((option) => value[option] === undefined)
+    .map((option) => `"${option}" is required`);
+  Object.entries(value).forEach(([option, optionValue]) => {
+    const validate = CATALOGUE_OPTIONS[option];
+    const problem = validate ? validate(optionValue) : "is not a known option";
+    if (problem) problems.push(`"${option}" ${problem}`);
+  });
+
+  return problems.length > 0 ? problems.join("; ") : null;
+}
+
+/**
+ * Rule name for logs and alerts
+ */
+function describeCatalogueRule(rule) {
+  return (
+    rule.name ||
+    CATALOGUE_RULE_FIELDS.filter((field) => rule[field])
+      .map((field) => `${field}: ${rule[field].join(" / ")}`)
+      .join(", ")
+  );
+}
+
+/**
+ * Rules a catalogue entry satisfies. Every field a rule sets must match:
+ * one of its keywords in the title, one of its actors in the cast and one
+ * of its languages among the listed ones.
+ */
+function matchCatalogueRules(entry, rules) {
+  const languages = entry.languages.map((language) => language.toLowerCase());
+  const cast = entry.cast || [];
+
+  return rules.filter(
+    (rule) =>
+      (!rule.keywords ||
+        rule.keywords.some((keyword) => titleMatches(entry.title, keyword))) &&
+      (!rule.actors ||
+        rule.actors.some((actor) =>
+          cast.some((name) => titleMatches(name, actor))
+        )) &&
+      (!rule.languages ||
+        rule.languages.some((language) =>
+          languages.includes(language.toLowerCase())
+        ))
+  );
+}
+
+/**
+ * Known titles by ET code, or an empty catalogue when there is no file yet
+ */
+function loadCatalogue(filePath = CONFIG.CATALOGUE_FILE) {
+  if (!fs.existsSync(filePath)) return {};
+
+  try {
+    return JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (error) {
+    console.warn(
+      `⚠️ Ignoring unreadable catalogue ${filePath}:`,
+      error.message
+    );
+    return {};
+  }
+}
+
+/**
+ * Writes the catalogue atomically
+ */
+function saveCatalogue(catalogue, filePath = CONFIG.CATALOGUE_FILE) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tempPath = `${filePath}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(catalogue, null, 2));
+  fs.renameSync(tempPath, filePath);
+}
+
+/**
+ * Folds scraped listing entries into the catalogue: known titles get their
+ * status and URL refreshed, unknown ones are added. Returns the new entries.
+ */
+function mergeCatalogue(catalogue, entries, now = new Date()) {
+  const seenAt = now.toISOString();
+  const seen = new Set();
+  const fresh = [];
+
+  entries.forEach((entry) => {
+    // A title in several listings keeps its first one
+    if (seen.has(entry.movieCode)) return;
+    seen.add(entry.movieCode);
+
+    const known = catalogue[entry.movieCode];
+    if (known) {
+      Object.assign(known, {
+        title: entry.title,
+        status: entry.status,
+        url: entry.url,
+        lastSeenAt: seenAt,
+      });
+      return;
+    }
+
+    catalogue[entry.movieCode] = {
+      ...entry,
+      firstSeenAt: seenAt,
+      lastSeenAt: seenAt,
+    };
+    fresh.push(catalogue[entry.movieCode]);
+  });
+
+  return fresh;
+}
+
+/**
+ * Cast names listed on a movie page
+ */
+async function scrapeMovieCast(url, options = {}) {
+  const browserManager = options.browserManager || getBrowserManager();
+  const page = await browserManager.acquire();
+  let completed = false;
+
+  try {
+    await page.goto(url, {
+      waitUntil: "networkidle2",
+      timeout: CONFIG.BROWSER_TIMEOUT,
+    });
+    const cast = await page.evaluate(() =>
+      [...document.querySelectorAll("a[href*='/person/']")]
+        .map((link) => (link.innerText || "").split("\n")[0].trim())
+        .filter(Boolean)
+    );
+
+    completed = true;
+    return [...new Set(cast)];
+  } finally {
+    await browserManager.release(page, { discard: !completed });
+  }
+}
+
+/**
+ * Alert for a new title that matched catalogue rules
+ */
+function composeCatalogueAlert(entry, city, rules, added) {
+  const cityName = city.replace(/\b\w/g, (letter) => letter.toUpperCase());
+  let text = `🆕 *${escapeMarkup(
+    entry.title
+  )}* is now listed in ${cityName}\n\n`;
+  text += `📌 ${entry.status}\n`;
+  if (entry.languages.length > 0) {
+    text += `🗣️ ${entry.languages.join(", ")}\n`;
+  }
+  if (entry.certificate) text += `🎞️ ${entry.certificate}\n`;
+  text += `🎯 Matched: ${escapeMarkup(
+    rules.map(describeCatalogueRule).join("; ")
+  )}\n`;
+  if (added) text += `➕ Added to the watchlist as ${escapeMarkup(added)}\n`;
+  text += `🔗 [Movie Page](${entry.url})`;
+
+  return {
+    event: "catalogue_match",
+    subject: `${entry.title} - new on BookMyShow ${cityName}`,
+    text,
+    details: {
+      city,
+      movieCode: entry.movieCode,
+      title: entry.title,
+      status: entry.status,
+      languages: entry.languages,
+      url: entry.url,
+      rules: rules.map(describeCatalogueRule),
+      addedAs: added,
+    },
+  };
+}
+
+/**
+ * One catalogue pass: scrapes the city's listings, records titles not seen
+ * before and alerts on the ones matching a rule, adding them to the
+ * watchlist when the rule says so. The first pass, with no catalogue yet,
+ * only records. Returns the new titles and the matches.
+ */
+async function runCataloguePass(catalogueSettings, options = {}) {
+  const filePath = options.filePath || CONFIG.CATALOGUE_FILE;
+  const browserManager = options.browserManager || getBrowserManager();
+  const trackedMovies = options.movies || [];
+  const addMovie =
+    options.addMovie || ((entry) => addSearchResultToWatchlist(entry));
+  const send =
+    options.send ||
+    ((notification) =>
+      deliverNotification(notification, alertNotifiers(options.settings)));
+  const city = catalogueSettings.city.toLowerCase();
+  const { rules } = catalogueSettings;
+
+  console.log(`📚 Scanning BookMyShow ${city} listings for new titles...`);
+  const entries = [];
+  for (const listing of catalogueSettings.listings ||
+    Object.keys(MOVIE_LISTINGS)) {
+    entries.push(
+      ...(await scrapeMovieListing(city, listing, { browserManager }))
+    );
+  }
+
+  const catalogue = loadCatalogue(filePath);
+  // The first scan only learns what is listed already; alerts are for
+  // titles that appear after it
+  const seeding = Object.keys(catalogue).length === 0;
+  let fresh = mergeCatalogue(catalogue, entries);
+  if (seeding) {
+    saveCatalogue(catalogue, filePath);
+    console.log(
+      `📚 First scan: recorded ${fresh.length} titles, alerts start with the next scan`
+    );
+    return { listed: entries.length, fresh: [], matches: [], seeded: true };
+  }
+  console.log(
+    `📚 ${entries.length} titles listed, ${fresh.length} new since the last scan`
+  );
+
+  // The cast is only on the movie page, so it is read once per new title.
+  // A title whose cast could not be read stays out of the catalogue and is
+  // treated as new again on the next scan.
+  if (rules.some((rule) => rule.actors)) {
+    const unread = [];
+    for (const entry of fresh) {
+      try {
+        entry.cast = await scrapeMovieCast(entry.url, { browserManager });
+      } catch (error) {
+        console.warn(
+          `⚠️ Could not read the cast of ${entry.title}, retrying next scan:`,
+          error.message
+        );
+        delete catalogue[entry.movieCode];
+        unread.push(entry);
+      }
+    }
+    fresh = fresh.filter((entry) => !unread.includes(entry));
+  }
+  saveCatalogue(catalogue, filePath);
+
+  // Watchlist URLs may be booking pages, so titles are compared by ET code
+  const trackedCodes = new Set(
+    trackedMovies.map((movie) => analyzeURL(movie.url).movieCode)
+  );
+  const matches = [];
+  for (const entry of fresh) {
+    const matched = matchCatalogueRules(entry, rules);
+    if (matched.length === 0) continue;
+
+    console.log(
+      `🎯 ${entry.title} (${entry.movieCode}) matches ${matched
+        .map(describeCatalogueRule)
+        .join("; ")}`
+    );
+    let added = null;
+    if (
+      matched.some((rule) => rule.autoAdd) &&
+      !trackedCodes.has(entry.movieCode)
+    ) {
+      try {
+        added = addMovie(entry);
+        trackedCodes.add(entry.movieCode);
+        console.log(`➕ Added ${added} to the watchlist`);
+      } catch (error) {
+        console.error(`❌ Could not add ${entry.title}:`, error.message);
+      }
+    }
+
+    try {
+      await send(composeCatalogueAlert(entry, city, matched, added));
+    } catch (error) {
+      console.error("❌ Could not send catalogue alert:", error.message);
+    }
+    matches.push({ entry, rules: matched, added });
+  }
+
+  return { listed: entries.length, fresh, matches };
+}
+
+/**
+ * `catalogue`: one pass with the watchlist's "catalogue" setting
+ */
+async function runCatalogueCommand() {
+  const { settings, movies } = loadWatchlist();
+  if (!settings.catalogue) {
+    throw new Error(
+      `${CONFIG.WATCHLIST_FILE} has no "catalogue" setting with a city and rules`
+    );
+  }
+
+  try {
+    const { matches } = await runCataloguePass(settings.catalogue, {
+      movies,
+      settings,
+    });
+    console.log(`✅ Catalogue scan done: ${matches.length} new match(es)`);
+  } finally {
+    await getBrowserManager().close();
+  }
+}
+
+// ================================
+// CHANGE DETECTION
+// ================================
+
+/**
+ * Normalizes a theatre name for comparison between scrapes
+ */
+function theatreKey(name) {
+  return name
+    .toLowerCase()
+    .replace(/[^\w\s]/g, "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Normalizes a showtime for comparison ("10:30 am" === "10:30 AM")
+ */
+function showtimeKey(showtime) {
+  return showtimeTime(showtime).toUpperCase().replace(/\s+/g, "");
+}
+
+/**
+ * Compares two theatre lists and reports what changed
+ */
+function diffTheatres(previous = [], current = []) {
+  const previousByKey = new Map(
+    previous.map((theatre) => [theatreKey(theatre.theatre), theatre])
+  );
+  const currentKeys = new Set(
+    current.map((theatre) => theatreKey(theatre.theatre))
+  );
+
+  const addedTheatres = [];
+  const changedTheatres = [];
+
+  current.forEach((theatre) => {
+    const before = previousByKey.get(theatreKey(theatre.theatre));
+    if (!before) {
+      addedTheatres.push(theatre);
+      return;
+    }
+
+    const beforeTimes = new Set(before.showtimes.map(showtimeKey));
+    const currentTimes = new Set(theatre.showtimes.map(showtimeKey));
+    const addedShowtimes = theatre.showtimes.filter(
+      (time) => !beforeTimes.has(showtimeKey(time))
+    );
+    const removedShowtimes = before.showtimes.filter(
+      (time) => !currentTimes.has(showtimeKey(time))
+    );
+
+    if (addedShowtimes.length > 0 || removedShowtimes.length > 0) {
+      changedTheatres.push({
+        theatre: theatre.theatre,
+        addedShowtimes,
+        removedShowtimes,
+      });
+    }
+  });
+
+  const removedTheatres = previous.filter(
+    (theatre) => !currentKeys.has(theatreKey(theatre.theatre))
+  );
+
+  return {
+    addedTheatres,
+    removedTheatres,
+    changedTheatres,
+    hasAdditions:
+      addedTheatres.length > 0 ||
+      changedTheatres.some((change) => change.addedShowtimes.length > 0),
+    hasChanges:
+      addedTheatres.length > 0 ||
+      removedTheatres.length > 0 ||
+      changedTheatres.length > 0,
+  };
+}
+
+/**
+ * Decides whether a check result warrants a notification, and of which kind.
+ * With preferred-theatre filters, only preferred theatres can trigger alerts.
+ */
+function planNotification(movieData, lastState, filters = []) {
+  const current = applyTheatreFilters(movieData.theatres, filters);
+  const previous = applyTheatreFilters(
+    (lastState && lastState.theatres) || [],
+    filters
+  );
+  const diff = diffTheatres(previous.preferred, current.preferred);
+  const isFirstOpening =
+    current.preferred.length > 0 && previous.preferred.length === 0;
+  const fullListing = isFirstOpening || CONFIG.FULL_LISTING;
+
+  return {
+    diff,
+    fullListing,
+    isFirstOpening,
+    preferred: current.preferred,
+    others: current.others,
+    newOthers: diffTheatres(previous.others, current.others).addedTheatres,
+    shouldNotify:
+      current.preferred.length > 0 && (fullListing || diff.hasAdditions),
+  };
+}
+
+// ================================
+// MESSAGE TEMPLATE FUNCTIONS
+// ================================
+
+/**
+ * Creates movie-specific celebration messages
+ */
+function createCelebrationMessage(movieData, movieInfo) {
+  const { name, emoji } = movieInfo;
+  const theatreCount = movieData.theatres.length;
+
+  const messages = {
+    Coolie: `🚂 *COOLIE BOOKING NOW LIVE!* 💪🎉\n\n🔥 ALL ABOARD! The Coolie train has arrived!\n🎬 Action packed journey begins in ${theatreCount} theatres!\n\n🚂 *COOLIE THEATRES (Train stations):*\n\n`,
+    "War 2": `💥 *WAR 2 BOOKING NOW LIVE!* 🔥🎉\n\n⚔️ THE BATTLE BEGINS! War has been declared!\n🎬 Epic warfare starts in ${theatreCount} theatres!\n\n💥 *WAR 2 THEATRES (Battlefields):*\n\n`,
+  };
+
+  return (
+    messages[name] ||
+    `🎬 *${escapeMarkup(
+      movieData.movieTitle
+    )}* 🎉\n\n🎭 Now showing in ${theatreCount} theatres!\n\n🎪 *THEATRES & SHOWTIMES:*\n\n`
+  );
+}
+
+/**
+ * Creates a compact "what changed" message from a theatre diff
+ */
+function createChangeMessage(movieData, diff) {
+  let message = `🎬 *${escapeMarkup(
+    movieData.movieTitle
+  )}* - booking update\n\n`;
+
+  if (diff.addedTheatres.length > 0) {
+    message += `🆕 *New theatres (${diff.addedTheatres.length}):*\n`;
+    diff.addedTheatres.forEach((theatre) => {
+      message += `• *${escapeMarkup(theatre.theatre)}*\n   ⏰ ${formatShowtimes(
+        theatre.showtimes
+      )}\n`;
+    });
+    message += "\n";
+  }
+
+  const withNewShows = diff.changedTheatres.filter(
+    (change) => change.addedShowtimes.length > 0
+  );
+  if (withNewShows.length > 0) {
+    message += `⏰ *New showtimes:*\n`;
+    withNewShows.forEach((change) => {
+      message += `• *${escapeMarkup(change.theatre)}*: ${formatShowtimes(
+        change.addedShowtimes
+      )}\n`;
+    });
+    message += "\n";
+  }
+
+  const withRemovedShows = diff.changedTheatres.filter(
+    (change) => change.removedShowtimes.length > 0
+  );
+  if (withRemovedShows.length > 0) {
+    message += `➖ *Showtimes gone:*\n`;
+    withRemovedShows.forEach((change) => {
+      message += `• ${escapeMarkup(change.theatre)}: ${change.removedShowtimes
+        .map(showtimeTime)
+        .join(", ")}\n`;
+    });
+    message += "\n";
+  }
+
+  if (diff.removedTheatres.length > 0) {
+    message += `🚫 *No longer listed:* ${diff.removedTheatres
+      .map((theatre) => escapeMarkup(theatre.theatre))
+      .join(", ")}\n\n`;
+  }
+
+  return message;
+}
+
+/**
+ * Creates call-to-action messages
+ */
+function createCallToAction(movieName) {
+  const actions = {
+    Coolie:
+      "🚂 All aboard the Coolie express!\n💪 Don't miss this action ride!",
+    "War 2":
+      "💥 War 2 has launched after the epic wait!\n🔥 Time to join the battle!",
+  };
+
+  return actions[movieName] || "🍿 Don't miss out - grab your tickets now!";
+}
+
+/**
+ * Identifies which watchlist movie this is
+ */
+function identifyMovie(url, movies = []) {
+  return movies.find(
+    (movie) =>
+      movie.url.includes(movie.name.toLowerCase().replace(/\s+/g, "-")) &&
+      url.includes(movie.name.toLowerCase().replace(/\s+/g, "-"))
+  );
+}
+
+// ================================
+// TELEGRAM NOTIFICATION
+// ================================
+
+/**
+ * Calls a Telegram Bot API method (CONFIG.TELEGRAM_API_URL can point at a
+ * local stand-in)
+ */
+async function callTelegram(method, params = {}, requestOptions = {}) {
+  const response = await axios.post(
+    `${CONFIG.TELEGRAM_API_URL}/bot${CONFIG.TELEGRAM_BOT_TOKEN}/${method}`,
+    params,
+    requestOptions
+  );
+
+  if (!response.data.ok) {
+    throw new Error(`Telegram API error: ${response.data.description}`);
+  }
+  return response.data.result;
+}
+
+const TELEGRAM_MESSAGE_LIMIT = 4096;
+
+/**
+ * Rate limits (429) and server or network errors are worth retrying;
+ * other errors (bad chat, blocked bot, bad markup) are not
+ */
+function isTransientTelegramError(error) {
+  if (!error.response) return true;
+  return error.response.status === 429 || error.response.status >= 500;
+}
+
+/**
+ * Calls the API, waiting out 429 retry_after and backing off on transient
+ * errors up to CONFIG.TELEGRAM_MAX_RETRIES times
+ */
+async function callTelegramWithRetry(method, params) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await callTelegram(method, params);
+    } catch (error) {
+      if (
+        !isTransientTelegramError(error) ||
+        attempt >= CONFIG.TELEGRAM_MAX_RETRIES
+      ) {
+        throw error;
+      }
+
+      const data = (error.response && error.response.data) || {};
+      const retryAfter = data.parameters && data.parameters.retry_after;
+      const delay =
+        retryAfter !== undefined
+          ? retryAfter * 1000
+          : CONFIG.TELEGRAM_RETRY_BASE_MS * 2 ** attempt;
+      console.log(
+        `⏳ Telegram ${
+          error.response ? error.response.status : error.code || "error"
+        } - retrying in ${(delay / 1000).toFixed(1)}s`
+      );
+      await new Promise((resolve) => setTimeout(resolve, delay));
+    }
+  }
+}
+
+/**
+ * Splits a message into ordered chunks under the limit, numbering them.
+ * Markup is split first and each chunk rendered on its own, so no tag or
+ * entity is ever cut in half.
+ */
+function chunkMessage(
+  text,
+  limit = TELEGRAM_MESSAGE_LIMIT,
+  render = (chunk) => chunk
+) {
+  const chunks = splitMessage(text, limit - 12, render).map(render);
+  return chunks.length === 1
+    ? chunks
+    : chunks.map((chunk, index) => `${chunk}\n(${index + 1}/${chunks.length})`);
+}
+
+let telegramQueue = null;
+let telegramQueueTail = Promise.resolve();
+let nextTelegramQueueId = 1;
+const telegramOutcomes = new Map();
+
+/**
+ * Outgoing messages, restored from CONFIG.TELEGRAM_QUEUE_FILE on first use
+ */
+function loadTelegramQueue() {
+  if (telegramQueue) return telegramQueue;
+
+  telegramQueue = [];
+  if (fs.existsSync(CONFIG.TELEGRAM_QUEUE_FILE)) {
+    try {
+      telegramQueue = JSON.parse(
+        fs.readFileSync(CONFIG.TELEGRAM_QUEUE_FILE, "utf8")
+      );
+      if (telegramQueue.length > 0) {
+        console.log(
+          `📥 Restored ${telegramQueue.length} unsent Telegram message(s)`
+        );
+      }
+    } catch (error) {
+      console.error(
+        `⚠️ Ignoring unreadable Telegram queue ${CONFIG.TELEGRAM_QUEUE_FILE}:`,
+        error.message
+      );
+    }
+  }
+  return telegramQueue;
+}
+
+/**
+ * Rewrites the queue file atomically
+ */
+function saveTelegramQueue() {
+  fs.mkdirSync(path.dirname(CONFIG.TELEGRAM_QUEUE_FILE), { recursive: true });
+  const tempPath = `${CONFIG.TELEGRAM_QUEUE_FILE}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(telegramQueue, null, 2));
+  fs.renameSync(tempPath, CONFIG.TELEGRAM_QUEUE_FILE);
+}
+
+/**
+ * Sends queued messages in order. Stops at the first transient failure so
+ * later chunks never overtake earlier ones; undeliverable ones are dropped.
+ */
+async function drainTelegramQueue() {
+  const queue = loadTelegramQueue();
+
+  while (queue.length > 0) {
+    const entry = queue[0];
+    try {
+      await callTelegramWithRetry("sendMessage", entry.params);
+      queue.shift();
+      saveTelegramQueue();
+      if (telegramOutcomes.has(entry.id)) {
+        telegramOutcomes.set(entry.id, { sent: true });
+      }
+    } catch (error) {
+      if (isTransientTelegramError(error)) {
+        entry.attempts++;
+        entry.lastError = error.message;
+        saveTelegramQueue();
+        console.error(
+          `📥 Telegram unavailable - ${queue.length} message(s) kept for the next attempt:`,
+          error.message
+        );
+        return;
+      }
+
+      queue.shift();
+      saveTelegramQueue();
+      console.error(
+        "❌ Dropping undeliverable Telegram message:",
+        error.message
+      );
+      if (telegramOutcomes.has(entry.id)) {
+        telegramOutcomes.set(entry.id, { error });
+      }
+    }
+  }
+}
+
+/**
+ * Retries queued messages; concurrent calls run one after another
+ */
+function flushTelegramQueue() {
+  const run = telegramQueueTail.then(drainTelegramQueue);
+  telegramQueueTail = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Queues messages on disk and sends them in order. Resolves with
+ * { sent, queued }; rejects if Telegram refused a message outright.
+ */
+async function queueTelegramMessages(texts, options = {}) {
+  const queue = loadTelegramQueue();
+  const ids = texts.map((text) => {
+    const id = `${Date.now()}-${nextTelegramQueueId++}`;
+    telegramOutcomes.set(id, null);
+    queue.push({
+      id,
+      params: { chat_id: CONFIG.TELEGRAM_CHAT_ID, ...options, text },
+      queuedAt: new Date().toISOString(),
+      attempts: 0,
+    });
+    return id;
+  });
+  saveTelegramQueue();
+
+  await flushTelegramQueue();
+
+  const outcomes = ids.map((id) => telegramOutcomes.get(id));
+  ids.forEach((id) => telegramOutcomes.delete(id));
+
+  const rejected = outcomes.find((outcome) => outcome && outcome.error);
+  if (rejected) throw rejected.error;
+
+  const queued = outcomes.filter((outcome) => !outcome).length;
+  if (queued > 0) {
+    console.log(`📥 ${queued} Telegram message(s) queued for retry`);
+  }
+  return { sent: ids.length - queued, queued };
+}
+
+/**
+ * Sends a plain-text message to the configured chat, split if too long
+ */
+async function sendTelegramMessage(text, options = {}) {
+  return queueTelegramMessages(chunkMessage(text), options);
+}
+
+/**
+ * Builds the notification for one check result. The text uses a small
+ * markup (*bold*, [text](url), backslash escapes) that each channel renders.
+ */
+function composeNotification(
+  movieData,
+  isStatusChange = false,
+  movieInfo = null,
+  plan = null
+) {
+  let message;
+  const listed = plan ? plan.preferred : movieData.theatres;
+
+  if (
+    plan &&
+    !plan.fullListing &&
+    movieData.currentStatus === "BOOKING_AVAILABLE" &&
+    movieData.theatres.length > 0
+  ) {
+    message = createChangeMessage(movieData, plan.diff);
+  } else if (
+    movieData.currentStatus === "BOOKING_AVAILABLE" &&
+    movieData.theatres.length > 0
+  ) {
+    if (isStatusChange && movieInfo) {
+      message = createCelebrationMessage(movieData, movieInfo);
+    } else {
+      message = `🎬 *${escapeMarkup(
+        movieData.movieTitle
+      )}* 🎉\n\n🎭 Now showing in ${
+        movieData.theatres.length
+      } theatres!\n\n🎪 *THEATRES & SHOWTIMES:*\n\n`;
+    }
+
+    // Add theatre details
+    listed.forEach((theatre, index) => {
+      message += `${index + 1}. 🎭 *${escapeMarkup(
+        theatre.theatre
+      )}*\n   ⏰ ${formatShowtimes(
+        theatre.showtimes
+      )}\n   🎟️ ${describeBookable(theatre.showtimes)}\n\n`;
+    });
+
+    // Add call to action
+    if (isStatusChange && movieInfo) {
+      message += createCallToAction(movieInfo.name);
+    }
+  } else {
+    message = `❓ *${escapeMarkup(
+      movieData.movieTitle
+    )}* - Status Unknown\n\n🔍 Unable to determine booking status\n`;
+  }
+
+  // Later dates often open after day one, so say which date this is
+  if (movieData.showDate) {
+    message =
+      `📅 *${formatShowDate(movieData.showDate)}*${
+        plan && plan.fullListing ? " - bookings just opened!" : ""
+      }\n\n` + message;
+  }
+
+  // Non-preferred theatres are only summarised
+  if (plan && plan.others.length > 0) {
+    message += `🏢 Other theatres open: ${plan.others.length}${
+      plan.newOthers.length > 0 ? ` (${plan.newOthers.length} new)` : ""
+    }\n\n`;
+  }
+
+  message += `🔗 [Movie Page](${movieData.pageUrl})\n`;
+  message += `⏰ Last checked: ${new Date().toLocaleString("en-IN", {
+    timeZone: "Asia/Kolkata",
+  })}`;
+
+  if (movieData.theatres.length > 0) {
+    message += `\n📊 Total theatres: ${movieData.theatres.length}`;
+  }
+
+  return {
+    subject: `${movieData.movieTitle}${
+      movieData.showDate ? ` (${formatShowDate(movieData.showDate)})` : ""
+    } - ${
+      movieData.currentStatus === "BOOKING_AVAILABLE"
+        ? "bookings open"
+        : movieData.currentStatus
+    }`,
+    text: message,
+    movieData,
+    movieInfo,
+    plan,
+    isStatusChange,
+  };
+}
+
+// ================================
+// NOTIFICATION CHANNELS
+// ================================
+
+/**
+ * Splits markup at line breaks into chunks whose rendered text is at most
+ * `limit` characters. Lines too long on their own break between words and
+ * markup tokens, never inside one.
+ */
+function splitMessage(text, limit, render = (chunk) => chunk) {
+  const fits = (chunk) => render(chunk).length <= limit;
+  const chunks = [];
+  let current = "";
+
+  text.split("\n").forEach((line) => {
+    const candidate = current ? `${current}\n${line}` : line;
+    if (fits(candidate)) {
+      current = candidate;
+      return;
+    }
+    if (current) chunks.push(current);
+    current = line;
+    if (fits(line)) return;
+
+    const pieces = splitLongLine(line, fits);
+    chunks.push(...pieces.slice(0, -1));
+    current = pieces[pieces.length - 1];
+  });
+
+  if (current) chunks.push(current);
+  return chunks;
+}
+
+/**
+ * Breaks one line into pieces that fit, at spaces and markup token edges.
+ * Only a single word or token too long by itself is cut mid-way.
+ */
+function splitLongLine(line, fits) {
+  // Markup tokens, words with their trailing space, or single characters
+  const atoms =
+    line.match(new RegExp(`${MARKUP_TOKEN.source}|[^\\s\\\\[*]+\\s*|.`, "g")) ||
+    [];
+  const pieces = [];
+  let current = "";
+
+  for (let atom of atoms) {
+    if (fits(current + atom)) {
+      current += atom;
+      continue;
+    }
+    if (current) pieces.push(current);
+    current = "";
+    while (!fits(atom)) {
+      let cut = atom.length - 1;
+      while (cut > 1 && !fits(atom.slice(0, cut))) cut = Math.floor(cut / 2);
+      pieces.push(atom.slice(0, cut));
+      atom = atom.slice(cut);
+    }
+    current = atom;
+  }
+
+  if (current) pieces.push(current);
+  return pieces;
+}
+
+/**
+ * Escapes scraped text (theatre names, titles) for the message markup
+ */
+function escapeMarkup(text) {
+  return String(text).replace(/[\\*_[\]`]/g, "\\$&");
+}
+
+// Escaped character | [label](url) | *bold*
+const MARKUP_TOKEN =
+  /\\(.)|\[((?:\\.|[^\]\\\n])+)\]\(([^)\s]+)\)|\*((?:\\.|[^*\\\n])+)\*/g;
+
+/**
+ * Renders the message markup with per-channel text, bold and link rules
+ */
+function renderMarkup(markup, rules) {
+  const regex = new RegExp(MARKUP_TOKEN.source, "g");
+  let output = "";
+  let lastIndex = 0;
+  let match;
+
+  while ((match = regex.exec(markup)) !== null) {
+    output += rules.text(markup.slice(lastIndex, match.index));
+    const [, escaped, label, url, bold] = match;
+    if (escaped !== undefined) {
+      output += rules.text(escaped);
+    } else if (label !== undefined) {
+      output += rules.link(renderMarkup(label, rules), url);
+    } else {
+      output += rules.bold(renderMarkup(bold, rules));
+    }
+    lastIndex = regex.lastIndex;
+  }
+
+  return output + rules.text(markup.slice(lastIndex));
+}
+
+const escapeHtml = (text) =>
+  text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+const HTML_RULES = {
+  text: escapeHtml,
+  bold: (inner) => `<b>${inner}</b>`,
+  link: (label, url) => `<a href="${escapeHtml(url)}">${label}</a>`,
+};
+
+/**
+ * Markup to Telegram HTML (parse_mode "HTML")
+ */
+function toTelegramHtml(text) {
+  return renderMarkup(text, HTML_RULES);
+}
+
+/**
+ * Markup to Discord markdown (**bold**, backslash escapes)
+ */
+function toDiscordMarkdown(text) {
+  return renderMarkup(text, {
+    text: (plain) => plain.replace(/[\\*_~`|]/g, "\\$&"),
+    bold: (inner) => `**${inner}**`,
+    link: (label, url) => `[${label}](${url})`,
+  });
+}
+
+/**
+ * Markup to Slack mrkdwn (<url|text> links)
+ */
+function toSlackMrkdwn(text) {
+  return renderMarkup(text, {
+    text: (plain) =>
+      plain.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;"),
+    bold: (inner) => `*${inner}*`,
+    link: (label, url) => `<${url}|${label}>`,
+  });
+}
+
+/**
+ * Markup to plain text
+ */
+function toPlainText(text) {
+  return renderMarkup(text, {
+    text: (plain) => plain,
+    bold: (inner) => inner,
+    link: (label, url) => `${label}: ${url}`,
+  });
+}
+
+/**
+ * Markup to a minimal HTML email body
+ */
+function toEmailHtml(text) {
+  const html = renderMarkup(text, HTML_RULES).replace(/\n/g, "<br>\n");
+  return `<div style="font-family: sans-serif">${html}</div>`;
+}
+
+/**
+ * Telegram chat (TELEGRAM_CHAT_ID unless a subscriber's chat is given),
+ * sent as HTML in numbered chunks through the retrying disk queue
+ */
+function createTelegramNotifier(chatId = CONFIG.TELEGRAM_CHAT_ID) {
+  return {
+    name: "telegram",
+    send: (notification) =>
+      queueTelegramMessages(
+        chunkMessage(notification.text, TELEGRAM_MESSAGE_LIMIT, toTelegramHtml),
+        {
+          chat_id: chatId,
+          parse_mode: "HTML",
+          disable_web_page_preview: false,
+        }
+      ),
+  };
+}
+
+/**
+ * Discord channel webhook; posts are capped at 2000 characters
+ */
+function createDiscordNotifier(webhookUrl = CONFIG.DISCORD_WEBHOOK_URL) {
+  return {
+    name: "discord",
+    async send(notification) {
+      const chunks = splitMessage(notification.text, 2000, toDiscordMarkdown);
+      for (const chunk of chunks) {
+        await axios.post(webhookUrl, { content: toDiscordMarkdown(chunk) });
+      }
+    },
+  };
+}
+
+/**
+ * Slack incoming webhook
+ */
+function createSlackNotifier(webhookUrl = CONFIG.SLACK_WEBHOOK_URL) {
+  return {
+    name: "slack",
+    send: (notification) =>
+      axios.post(webhookUrl, { text: toSlackMrkdwn(notification.text) }),
+  };
+}
+
+/**
+ * SMTP email via nodemailer (loaded on first send). Pass `transport` to
+ * override the SMTP_* settings with any nodemailer transport.
+ */
+function createEmailNotifier(options = {}) {
+  const settings = {
+    host: CONFIG.SMTP_HOST,
+    port: CONFIG.SMTP_PORT,
+    secure: CONFIG.SMTP_SECURE,
+    user: CONFIG.SMTP_USER,
+    pass: CONFIG.SMTP_PASS,
+    from: CONFIG.EMAIL_FROM,
+    to: CONFIG.EMAIL_TO,
+    ...options,
+  };
+  let transporter = null;
+
+  return {
+    name: "email",
+    async send(notification) {
+      if (!transporter) {
+        const nodemailer = require("nodemailer");
+        transporter = nodemailer.createTransport(
+          settings.transport || {
+            host: settings.host,
+            port: settings.port,
+            secure: settings.secure,
+            auth: settings.user
+              ? { user: settings.user, pass: settings.pass }
+              : undefined,
+          }
+        );
+      }
+
+      return transporter.sendMail({
+        from: settings.from,
+        to: settings.to,
+        subject: notification.subject,
+        text: toPlainText(notification.text),
+        html: toEmailHtml(notification.text),
+      });
+    },
+  };
+}
+
+/**
+ * Generic JSON webhook carrying the structured result plus plain text
+ */
+function createWebhookNotifier(webhookUrl = CONFIG.WEBHOOK_URL) {
+  return {
+    name: "webhook",
+    send(notification) {
+      const { movieData, movieInfo, plan, isStatusChange, subject, text } =
+        notification;
+      if (!movieData) {
+        return axios.post(webhookUrl, {
+          event: notification.event,
+          ...notification.details,
+          subject,
+          text: toPlainText(text),
+          sentAt: new Date().toISOString(),
+        });
+      }
+
+      return axios.post(webhookUrl, {
+        event: "movie_update",
+        movie: movieInfo ? movieInfo.name : movieData.movieTitle,
+        movieTitle: movieData.movieTitle,
+        status: movieData.currentStatus,
+        showDate: movieData.showDate || null,
+        pageUrl: movieData.pageUrl,
+        statusChange: Boolean(isStatusChange),
+        fullListing: plan ? plan.fullListing : true,
+        theatres: plan ? plan.preferred : movieData.theatres,
+        otherTheatres: plan ? plan.others.length : 0,
+        changes: plan && !plan.fullListing ? plan.diff : null,
+        subject,
+        text: toPlainText(text),
+        sentAt: new Date().toISOString(),
+      });
+    },
+  };
+}
+
+/**
+ * Notification channels: each is enabled when all its settings are present
+ */
+const NOTIFIER_BACKENDS = {
+  telegram: {
+    settings: ["TELEGRAM_BOT_TOKEN", "TELEGRAM_CHAT_ID"],
+    create: createTelegramNotifier,
+  },
+  discord: {
+    settings: ["DISCORD_WEBHOOK_URL"],
+    create: () => createDiscordNotifier(),
+  },
+  slack: {
+    settings: ["SLACK_WEBHOOK_URL"],
+    create: () => createSlackNotifier(),
+  },
+  email: {
+    settings: ["SMTP_HOST", "EMAIL_FROM", "EMAIL_TO"],
+    create: () => createEmailNotifier(),
+  },
+  webhook: {
+    settings: ["WEBHOOK_URL"],
+    create: () => createWebhookNotifier(),
+  },
+};
+
+/**
+ * Names of the channels whose settings are all present
+ */
+function configuredNotifierNames() {
+  return Object.keys(NOTIFIER_BACKENDS).filter((name) =>
+    NOTIFIER_BACKENDS[name].settings.every((setting) => CONFIG[setting])
+  );
+}
+
+let activeNotifiers = null;
+
+/**
+ * Configured notifiers, created once and reused between checks
+ */
+function createNotifiers() {
+  if (!activeNotifiers) {
+    activeNotifiers = configuredNotifierNames().map((name) =>
+      NOTIFIER_BACKENDS[name].create()
+    );
+  }
+  return activeNotifiers;
+}
+
+/**
+ * Sends one check result to every channel at once. A failing channel is
+ * logged and skipped; this only throws when every channel failed.
+ */
+async function sendNotification(
+  movieData,
+  isStatusChange = false,
+  movieInfo = null,
+  plan = null,
+  notifiers = createNotifiers()
+) {
+  return deliverNotification(
+    composeNotification(movieData, isStatusChange, movieInfo, plan),
+    notifiers
+  );
+}
+
+/**
+ * Sends a composed notification ({ subject, text, ... }) to every channel
+ */
+async function deliverNotification(
+  notification,
+  notifiers = createNotifiers()
+) {
+  console.log(
+    `📣 Sending notification to ${notifiers
+      .map((notifier) => notifier.name)
+      .join(", ")}...`
+  );
+  const results = await Promise.allSettled(
+    notifiers.map((notifier) => notifier.send(notification))
+  );
+
+  const delivered = [];
+  const failed = [];
+  results.forEach((result, index) => {
+    const { name } = notifiers[index];
+    if (result.status === "fulfilled") {
+      console.log(`✅ ${name} notification sent`);
+      METRICS.notifications.inc({ channel: name });
+      delivered.push(name);
+    } else {
+      METRICS.notificationFailures.inc({ channel: name });
+      console.error(`❌ ${name} notification failed:`, result.reason.message);
+      if (result.reason.response) {
+        console.error(`${name} response:`, result.reason.response.data);
+      }
+      failed.push({ channel: name, error: result.reason.message });
+    }
+  });
+
+  if (failed.length > 0 && delivered.length === 0) {
+    throw new Error(
+      `Every notification channel failed (${failed
+        .map((failure) => failure.channel)
+        .join(", ")})`
+    );
+  }
+
+  return { delivered, failed };
+}
+
+// ================================
+// SUBSCRIBERS
+// ================================
+
+/**
+ * Subscriber delivery targets: option name -> notifier factory
+ */
+const SUBSCRIBER_CHANNELS = {
+  chatId: (value) => createTelegramNotifier(String(value)),
+  email: (value) => createEmailNotifier({ to: value }),
+  discordWebhook: (value) => createDiscordNotifier(value),
+  slackWebhook: (value) => createSlackNotifier(value),
+  webhook: (value) => createWebhookNotifier(value),
+};
+
+const isStringList = (value) =>
+  Array.isArray(value) && value.every((item) => typeof item === "string")
+    ? null
+    : "must be a list of strings";
+
+/**
+ * Per-subscriber options: name -> validator returning an error or null
+ */
+const SUBSCRIBER_OPTIONS = {
+  name: (value) =>
+    typeof value === "string" && value.trim() ? null : "is required",
+  movies: isStringList,
+  preferredTheatres: (value) => validateTheatreFilters(value),
+  languages: isStringList,
+  formats: isStringList,
+  quietHours: (value) =>
+    value &&
+    parseClockTime(value.from) !== null &&
+    parseClockTime(value.to) !== null
+      ? null
+      : 'must be { "from": "HH:MM", "to": "HH:MM" }',
+};
+
+/**
+ * Validates the "subscribers" setting, reporting every problem at once
+ */
+function validateSubscribers(value) {
+  if (!Array.isArray(value)) return "must be a list of subscribers";
+
+  const problems = [];
+  const seenNames = new Set();
+  value.forEach((subscriber, index) => {
+    const label = `[${index}]`;
+    if (!subscriber || typeof subscriber !== "object") {
+      problems.push(`${label} must be an object`);
+      return;
+    }
+
+    if (!Object.keys(SUBSCRIBER_CHANNELS).some((key) => subscriber[key])) {
+      problems.push(
+        `${label} needs one of ${Object.keys(SUBSCRIBER_CHANNELS).join(", ")}`
+      );
+    }
+    if (subscriber.name === undefined) {
+      problems.push(`${label} "name" is required`);
+    } else if (seenNames.has(String(subscriber.name).toLowerCase())) {
+      problems.push(`${label} duplicate subscriber "${subscriber.name}"`);
+    }
+    seenNames.add(String(subscriber.name).toLowerCase());
+
+    Object.entries(subscriber).forEach(([option, optionValue]) => {
+      if (SUBSCRIBER_CHANNELS[option]) return;
+      const validate = SUBSCRIBER_OPTIONS[option];
+      const problem = validate
+        ? validate(optionValue)
+        : "is not a known option";
+      if (problem) problems.push(`${label} "${option}" ${problem}`);
+    });
+  });
+
+  return problems.length > 0 ? problems.join("; ") : null;
+}
+
+/**
+ * "23:30" -> minutes after midnight, or null
+ */
+function parseClockTime(value) {
+  const match = String(value).match(/^([01]?\d|2[0-3]):([0-5]\d)$/);
+  return match ? parseInt(match[1], 10) * 60 + parseInt(match[2], 10) : null;
+}
+
+/**
+ * Whether `now` falls in the quiet hours (India time; may span midnight)
+ */
+function isQuietTime(quietHours, now = new Date()) {
+  if (!quietHours) return false;
+
+  const [hours, minutes] = now
+    .toLocaleTimeString("en-GB", { timeZone: "Asia/Kolkata", hour12: false })
+    .split(":")
+    .map(Number);
+  const current = hours * 60 + minutes;
+  const from = parseClockTime(quietHours.from);
+  const to = parseClockTime(quietHours.to);
+
+  return from <= to
+    ? current >= from && current < to
+    : current >= from || current < to;
+}
+
+/**
+ * Whether a subscriber follows a movie (no "movies" list means every movie)
+ */
+function subscribesTo(subscriber, movie) {
+  if (!subscriber.movies) return true;
+  if (!movie) return false;
+  return subscriber.movies.some(
+    (entry) =>
+      entry.toLowerCase() === movie.name.toLowerCase() || entry === movie.url
+  );
+}
+
+/**
+ * A subscriber's own preferred theatres replace the shared env/watchlist
+ * ones; without them the shared filters apply
+ */
+function resolveSubscriberFilters(subscriber, movie, settings = {}) {
+  return subscriber.preferredTheatres
+    ? subscriber.preferredTheatres.map(compileTheatreFilter)
+    : resolveTheatreFilters(movie, settings);
+}
+
+/**
+ * Filters used while scraping: the shared ones plus every following
+ * subscriber's, so each subscriber's theatres are recognised in the page
+ */
+function resolveExtractionFilters(movie, settings = {}) {
+  const specs = [
+    ...CONFIG.PREFERRED_THEATRES,
+    ...(settings.preferredTheatres || []),
+    ...((movie && movie.preferredTheatres) || []),
+  ];
+  (settings.subscribers || [])
+    .filter((subscriber) => subscribesTo(subscriber, movie))
+    .forEach((subscriber) =>
+      specs.push(...(subscriber.preferredTheatres || []))
+    );
+
+  const filters = specs.map(compileTheatreFilter);
+  return filters.filter(
+    (filter, index) =>
+      filters.findIndex((other) => other.label === filter.label) === index
+  );
+}
+
+/**
+ * Whether a value matches any wanted entry. Anything passes when nothing is
+ * wanted; an unknown value never matches, as in matchesShowRequirement.
+ */
+function matchesWanted(value, wanted) {
+  if (!wanted || wanted.length === 0) return true;
+  if (!value) return false;
+  const text = value.toLowerCase();
+  return wanted.some((entry) => text.includes(entry.toLowerCase()));
+}
+
+/**
+ * Keeps only the showtimes in a subscriber's languages and formats
+ */
+function filterForSubscriber(movieData, subscriber) {
+  if (!subscriber.languages && !subscriber.formats) return movieData;
+
+  const theatres = (movieData.theatres || [])
+    .map((theatre) => ({
+      ...theatre,
+      showtimes: theatre.showtimes.filter((showtime) => {
+        const show = typeof showtime === "string" ? {} : showtime;
+        return (
+          matchesWanted(
+            show.language || movieData.language,
+            subscriber.languages
+          ) &&
+          matchesWanted(show.format || show.screenFormat, subscriber.formats)
+        );
+      }),
+    }))
+    .filter((theatre) => theatre.showtimes.length > 0);
+
+  return { ...movieData, theatres };
+}
+
+const subscriberNotifiers = new Map();
+const DEFAULT_HOLD_KEY = "default channels";
+
+/**
+ * Notifiers for a subscriber's channels, created once per channel setup
+ */
+function getSubscriberNotifiers(subscriber) {
+  const channels = Object.keys(SUBSCRIBER_CHANNELS).filter(
+    (key) => subscriber[key]
+  );
+  const cacheKey = JSON.stringify(channels.map((key) => subscriber[key]));
+
+  if (!subscriberNotifiers.has(cacheKey)) {
+    subscriberNotifiers.set(
+      cacheKey,
+      channels.map((key) => SUBSCRIBER_CHANNELS[key](subscriber[key]))
+    );
+  }
+  return subscriberNotifiers.get(cacheKey);
+}
+
+/**
+ * Channels for alerts about the monitor itself (failing checks, recoveries,
+ * catalogue finds): the default channels, or every subscriber's when the
+ * watchlist only has subscribers
+ */
+function alertNotifiers(settings = {}) {
+  const notifiers = createNotifiers();
+  if (notifiers.length > 0) return notifiers;
+  return [
+    ...new Set((settings.subscribers || []).flatMap(getSubscriberNotifiers)),
+  ];
+}
+
+/**
+ * Fans one scrape result out to every subscriber following the movie, each
+ * with their own filters. Alerts during quiet hours are held for later.
+ * Returns true when anyone was (or will be) notified.
+ */
+async function notifySubscribers(
+  movieData,
+  lastState,
+  movieInfo,
+  settings,
+  isStatusChange = false,
+  now = new Date()
+) {
+  const audience = (settings.subscribers || []).filter((subscriber) =>
+    subscribesTo(subscriber, movieInfo)
+  );
+  if (audience.length === 0) {
+    console.log(`👥 No subscriber follows ${movieData.movieTitle}`);
+    return false;
+  }
+
+  let notified = 0;
+  for (const subscriber of audience) {
+    const view = filterForSubscriber(movieData, subscriber);
+    const plan = planNotification(
+      view,
+      lastState && filterForSubscriber(lastState, subscriber),
+      resolveSubscriberFilters(subscriber, movieInfo, settings)
+    );
+    if (!plan.shouldNotify) continue;
+
+    const quietHours = activeQuietHours(plan, settings, subscriber, now);
+    if (quietHours) {
+      console.log(`🌙 Holding alert for ${subscriber.name} (quiet hours)`);
+      holdNotification(subscriber.name, quietHours, subscriber, [
+        view,
+        isStatusChange,
+        movieInfo,
+        plan,
+      ]);
+      notified++;
+      continue;
+    }
+
+    try {
+      await sendNotification(
+        view,
+        isStatusChange,
+        movieInfo,
+        plan,
+        getSubscriberNotifiers(subscriber)
+      );
+      notified++;
+    } catch (error) {
+      console.error(`❌ Could not notify ${subscriber.name}:`, error.message);
+    }
+  }
+
+  console.log(`👥 Notified ${notified}/${audience.length} subscribers`);
+  return notified > 0;
+}
+
+/**
+ * Quiet hours holding an alert right now, or null to send it. "Booking just
+ * opened" always goes through; the subscriber's own quiet hours replace the
+ * watchlist's.
+ */
+function activeQuietHours(
+  plan,
+  settings = {},
+  subscriber = null,
+  now = new Date()
+) {
+  if (plan.isFirstOpening) return null;
+
+  const quietHours =
+    subscriber && subscriber.quietHours
+      ? subscriber.quietHours
+      : settings.quietHours;
+  return isQuietTime(quietHours, now) ? quietHours : null;
+}
+
+/**
+ * Alerts waiting for quiet hours to end, read from CONFIG.HELD_ALERTS_FILE
+ */
+function loadHeldNotifications() {
+  if (!fs.existsSync(CONFIG.HELD_ALERTS_FILE)) return [];
+
+  try {
+    return JSON.parse(fs.readFileSync(CONFIG.HELD_ALERTS_FILE, "utf8"));
+  } catch (error) {
+    console.error(
+      `⚠️ Ignoring unreadable held alerts ${CONFIG.HELD_ALERTS_FILE}:`,
+      error.message
+    );
+    return [];
+  }
+}
+
+/**
+ * Rewrites the held alerts file atomically
+ */
+function saveHeldNotifications(held) {
+  fs.mkdirSync(path.dirname(CONFIG.HELD_ALERTS_FILE), { recursive: true });
+  const tempPath = `${CONFIG.HELD_ALERTS_FILE}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(held, null, 2));
+  fs.renameSync(tempPath, CONFIG.HELD_ALERTS_FILE);
+}
+
+/**
+ * Keeps an alert (sendNotification arguments) until its quiet hours end.
+ * `subscriber` is null for the default channels. Only the fields the
+ * message is built from are stored, not the scraped page text.
+ */
+function holdNotification(
+  key,
+  quietHours,
+  subscriber,
+  [movieData, isStatusChange, movieInfo, plan]
+) {
+  const { movieTitle, currentStatus, pageUrl, showDate, theatres } = movieData;
+  const args = [
+    {
+      movieTitle,
+      currentStatus,
+      pageUrl,
+      showDate: showDate || null,
+      theatres,
+    },
+    isStatusChange,
+    movieInfo && { name: movieInfo.name, emoji: movieInfo.emoji },
+    plan,
+  ];
+  saveHeldNotifications([
+    ...loadHeldNotifications(),
+    { key, quietHours, subscriber, args },
+  ]);
+}
+
+/**
+ * Delivers alerts held during quiet hours that have now ended
+ */
+async function flushHeldNotifications(now = new Date()) {
+  const held = loadHeldNotifications();
+  const due = held.filter((entry) => !isQuietTime(entry.quietHours, now));
+  if (due.length === 0) return;
+
+  saveHeldNotifications(held.filter((entry) => !due.includes(entry)));
+  for (const key of new Set(due.map((entry) => entry.key))) {
+    const alerts = due.filter((entry) => entry.key === key);
+    console.log(`☀️ Delivering ${alerts.length} held alert(s) to ${key}`);
+    for (const { subscriber, args } of alerts) {
+      try {
+        await sendNotification(
+          ...args,
+          subscriber ? getSubscriberNotifiers(subscriber) : createNotifiers()
+        );
+      } catch (error) {
+        console.error(`❌ Could not notify ${key}:`, error.message);
+      }
+    }
+  }
+}
+
+// ================================
+// ERROR ALERTS
+// ================================
+
+/**
+ * Failure categories, checked in order; the first match wins
+ */
+const ERROR_CATEGORIES = [
+  {
+    category: "blocked",
+    label: "🛑 Blocked page",
+    test: (error) =>
+      /page blocked|access denied|captcha|attention required|forbidden|too many requests/i.test(
+        error.message
+      ),
+  },
+  {
+    category: "timeout",
+    label: "⏱️ Timeout",
+    test: (error) =>
+      error.name === "TimeoutError" || /time(d)? ?out/i.test(error.message),
+  },
+  {
+    category: "navigation",
+    label: "🧭 Navigation error",
+    test: (error) =>
+      /net::ERR_|navigat|frame was detached|ECONNRESET|ENOTFOUND|ECONNREFUSED|browser has disconnected|Target closed/i.test(
+        error.message
+      ),
+  },
+  {
+    category: "telegram",
+    label: "📵 Telegram/notification failure",
+    test: (error) =>
+      /telegram|notification channel/i.test(error.message) ||
+      Boolean(error.response),
+  },
+  {
+    category: "parse",
+    label: "🧩 Parse failure",
+    test: (error) =>
+      error instanceof TypeError ||
+      error instanceof SyntaxError ||
+      /evaluation failed|parse|unexpected token/i.test(error.message),
+  },
+];
+
+/**
+ * Creates an error tagged with a known category
+ */
+function createScrapeError(category, message) {
+  const error = new Error(message);
+  error.category = category;
+  return error;
+}
+
+/**
+ * Classifies a check failure: { category, label }
+ */
+function classifyError(error) {
+  const known = ERROR_CATEGORIES.find(
+    (entry) => entry.category === error.category
+  );
+  const match = known || ERROR_CATEGORIES.find((entry) => entry.test(error));
+  return match
+    ? { category: match.category, label: match.label }
+    : { category: "unknown", label: "❓ Unexpected error" };
+}
+
+/**
+ * Tracks consecutive failures per check and alerts once a streak reaches
+ * the threshold. Repeats are suppressed until the category changes, and a
+ * "recovered" message follows the next success.
+ */
+function createErrorAlerter(options = {}) {
+  const threshold = options.threshold || CONFIG.ERROR_ALERT_THRESHOLD;
+  const send =
+    options.send ||
+    ((notification) =>
+      deliverNotification(notification, alertNotifiers(options.settings)));
+  const streaks = new Map();
+
+  const timestamp = (date) =>
+    date.toLocaleString("en-IN", { timeZone: "Asia/Kolkata" });
+
+  const deliver = async (notification) => {
+    try {
+      await send(notification);
+    } catch (error) {
+      console.error("❌ Could not send error alert:", error.message);
+    }
+  };
+
+  return {
+    /**
+     * Records a failed check; returns true when an alert was sent
+     */
+    async recordFailure(key, label, error, pageUrl = null) {
+      const { category, label: categoryLabel } = classifyError(error);
+      const streak = streaks.get(key) || {
+        failures: 0,
+        since: new Date(),
+        alertedCategory: null,
+      };
+      streak.failures++;
+      streak.category = category;
+      streaks.set(key, streak);
+
+      console.log(
+        `⚠️ ${label}: ${categoryLabel} (${streak.failures} in a row, alert at ${threshold})`
+      );
+      if (streak.failures < threshold || streak.alertedCategory === category) {
+        return false;
+      }
+
+      streak.alertedCategory = category;
+      let text = `🚨 *${escapeMarkup(label)}* check failing (${
+        streak.failures
+      } in a row)\n\n`;
+      text += `${categoryLabel}\n`;
+      text += `❌ ${escapeMarkup(error.message)}\n`;
+      text += `⏰ Failing since: ${timestamp(streak.since)}`;
+      if (pageUrl) text += `\n🔗 [Movie Page](${pageUrl})`;
+
+      await deliver({
+        event: "check_failing",
+        subject: `${label} - check failing (${category})`,
+        text,
+        details: {
+          key,
+          label,
+          category,
+          failures: streak.failures,
+          error: error.message,
+          since: streak.since.toISOString(),
+        },
+      });
+      return true;
+    },
+
+    /**
+     * Records a successful check; returns true when a recovery was sent
+     */
+    async recordSuccess(key, label) {
+      const streak = streaks.get(key);
+      streaks.delete(key);
+      if (!streak || !streak.alertedCategory) return false;
+
+      await deliver({
+        event: "check_recovered",
+        subject: `${label} - recovered`,
+        text: `✅ *${escapeMarkup(label)}* checks recovered after ${
+          streak.failures
+        } failure(s)\n\n⏰ Failing since: ${timestamp(streak.since)}`,
+        details: {
+          key,
+          label,
+          failures: streak.failures,
+          since: streak.since.toISOString(),
+        },
+      });
+      return true;
+    },
+  };
+}
+
+// ================================
+// TELEGRAM COMMANDS
+// ================================
+
+const TELEGRAM_COMMAND_HELP = [
+  "/add <url> [name] - start tracking a movie",
+  "/remove <name> - stop tracking a movie",
+  "/list - show tracked movies",
+  "/status <name> - check a movie right now",
+  "/pause [name] - pause all monitoring, or one movie",
+  "/resume [name] - resume all monitoring, or one movie",
+].join("\n");
+
+/**
+ * Finds a watchlist movie by exact name, then by unique partial match.
+ * Returns { movie } or { error }.
+ */
+function findWatchlistMovie(movies, query) {
+  const needle = (query || "").trim().toLowerCase();
+  if (!needle) return { error: "Please give a movie name." };
+
+  const exact = movies.find((movie) => movie.name.toLowerCase() === needle);
+  if (exact) return { movie: exact };
+
+  const partial = movies.filter((movie) =>
+    movie.name.toLowerCase().includes(needle)
+  );
+  if (partial.length === 1) return { movie: partial[0] };
+  if (partial.length > 1) {
+    return {
+      error: `"${query}" matches ${partial
+        .map((movie) => movie.name)
+        .join(", ")} - be more specific.`,
+    };
+  }
+  return { error: `No tracked movie matches "${query}". Try /list.` };
+}
+
+/**
+ * Pauses or resumes one watchlist movie through the watchlist file
+ */
+function setMoviePaused(watchlist, url, paused) {
+  watchlist.update((data) => {
+    const entry = data.movies.find((item) => item.url === url);
+    if (paused) {
+      entry.paused = true;
+    } else {
+      delete entry.paused;
+    }
+  });
+}
+
+/**
+ * Latest saved state for a movie (any show date)
+ */
+function latestMovieState(states, url) {
+  return [...states.entries()]
+    .filter(([key]) => isStateKeyFor(key, url))
+    .map(([, state]) => state)
+    .sort((a, b) => String(b.checkedAt).localeCompare(String(a.checkedAt)))[0];
+}
+
+/**
+ * Creates the command handler that long-polls getUpdates. Only messages from
+ * CONFIG.TELEGRAM_CHAT_ID are obeyed; watchlist edits are written to the file.
+ */
+function createTelegramCommandBot(watchlist, options = {}) {
+  const states = options.states || new Map();
+  const analyze = options.analyze || analyzeMoviePage;
+  let offset = 0;
+  let running = false;
+  let controller = null;
+  let loop = null;
+
+  const commands = {
+    add(args) {
+      const [url, ...nameParts] = args;
+      if (!url || !/^https?:\/\/\S+\/movies\//.test(url)) {
+        return "Usage: /add <BookMyShow movie URL> [name]";
+      }
+      if (watchlist.movies.some((movie) => movie.url === url)) {
+        return "That URL is already being tracked.";
+      }
+
+      const name = nameParts.join(" ").trim() || extractMovieName(url);
+      if (!name) return "Could not read a movie name - add one after the URL.";
+
+      watchlist.update((data) => {
+        data.movies.push({ name, url });
+      });
+      return `${DEFAULT_MOVIE_EMOJI} Now tracking ${name}. It will be checked in the next cycle.`;
+    },
+
+    remove(args) {
+      const { movie, error } = findWatchlistMovie(
+        watchlist.movies,
+        args.join(" ")
+      );
+      if (error) return error;
+
+      watchlist.update((data) => {
+        data.movies = data.movies.filter((entry) => entry.url !== movie.url);
+      });
+      return `🗑️ Stopped tracking ${movie.name}.`;
+    },
+
+    list() {
+      const { movies, settings } = watchlist;
+      if (movies.length === 0) return "The watchlist is empty. Use /add <url>.";
+
+      const lines = movies.map((movie, index) => {
+        const state = latestMovieState(states, movie.url);
+        return `${index + 1}. ${movie.emoji} ${movie.name}${
+          movie.paused ? " (paused)" : ""
+        } - ${state ? state.currentStatus : "not checked yet"}`;
+      });
+      if (settings.paused) lines.unshift("⏸️ Monitoring is paused.\n");
+      return lines.join("\n");
+    },
+
+    async status(args) {
+      const { movie, error } = findWatchlistMovie(
+        watchlist.movies,
+        args.join(" ")
+      );
+      if (error) return error;
+
+      const [target] = resolveShowDateTargets(movie);
+      const movieData = await analyze(target ? target.url : movie.url, {
+        filters: resolveTheatreFilters(movie, watchlist.settings),
+      });
+
+      const lines = [
+        `${movie.emoji} ${movie.name}: ${movieData.currentStatus}`,
+        `🎭 ${movieData.theatres.length} theatres`,
+      ];
+      movieData.theatres.slice(0, 10).forEach((theatre) => {
+        lines.push(
+          `• ${theatre.theatre}: ${formatShowtimes(theatre.showtimes)}`
+        );
+      });
+      if (movieData.theatres.length > 10) {
+        lines.push(`…and ${movieData.theatres.length - 10} more`);
+      }
+      return lines.join("\n");
+    },
+
+    pause(args) {
+      return setPaused(args, true);
+    },
+
+    resume(args) {
+      return setPaused(args, false);
+    },
+
+    help() {
+      return `🤖 Commands:\n${TELEGRAM_COMMAND_HELP}`;
+    },
+  };
+  commands.start = commands.help;
+
+  const setPaused = (args, paused) => {
+    const verb = paused ? "Paused" : "Resumed";
+
+    if (args.length === 0) {
+      watchlist.update((data) => {
+        if (paused) {
+          data.paused = true;
+        } else {
+          delete data.paused;
         }
       });
+      return `${paused ? "⏸️" : "▶️"} ${verb} all monitoring.`;
+    }
 
-      theatres = allTheatres;
-      console.log(
-        `📊 Total theatres after comprehensive extraction: ${theatres.length}`
-      );
+    const { movie, error } = findWatchlistMovie(
+      watchlist.movies,
+      args.join(" ")
+    );
+    if (error) return error;
+
+    setMoviePaused(watchlist, movie.url, paused);
+    return `${paused ? "⏸️" : "▶️"} ${verb} ${movie.name}.`;
+  };
+
+  /**
+   * Runs one update's command and replies in the same chat
+   */
+  const handleUpdate = async (update) => {
+    const message = update.message;
+    if (!message || typeof message.text !== "string") return;
+    if (String(message.chat.id) !== String(CONFIG.TELEGRAM_CHAT_ID)) {
+      console.log(`🚫 Ignoring command from chat ${message.chat.id}`);
+      return;
     }
 
-    // Determine current status with priority logic
-    let currentStatus;
-    if (urlAnalysis.type === "released" && theatres.length > 0) {
-      currentStatus = "BOOKING_AVAILABLE";
-    } else if (
-      urlAnalysis.type === "coming-soon" ||
-      pageData.hasInterestedButton ||
-      pageData.hasReleasingText
-    ) {
-      currentStatus = "COMING_SOON";
-    } else if (
-      pageData.hasBookTicketsButton ||
-      urlAnalysis.type === "released"
-    ) {
-      currentStatus = "BOOKING_AVAILABLE";
-    } else {
-      currentStatus = "UNKNOWN";
+    const [command, ...args] = message.text.trim().split(/\s+/);
+    if (!command.startsWith("/")) return;
+    const name = command.slice(1).split("@")[0].toLowerCase();
+    const run = commands[name] || commands.help;
+
+    console.log(`🤖 Telegram command: ${message.text}`);
+    let reply;
+    try {
+      reply = await run(args);
+    } catch (error) {
+      console.error(`❌ Command ${command} failed:`, error.message);
+      reply = `❌ ${command} failed: ${error.message}`;
     }
 
-    const result = {
-      ...pageData,
-      theatres,
-      currentStatus,
-      pageUrl: url,
-      urlAnalysis,
+    try {
+      await sendTelegramMessage(reply, {
+        reply_to_message_id: message.message_id,
+      });
+    } catch (error) {
+      console.error("❌ Failed to reply to command:", error.message);
+    }
+  };
+
+  const poll = async () => {
+    while (running) {
+      try {
+        const updates = await callTelegram(
+          "getUpdates",
+          {
+            offset,
+            timeout: CONFIG.TELEGRAM_POLL_TIMEOUT,
+            allowed_updates: ["message"],
+          },
+          {
+            timeout: (CONFIG.TELEGRAM_POLL_TIMEOUT + 10) * 1000,
+            signal: controller.signal,
+          }
+        );
+
+        for (const update of updates) {
+          offset = update.update_id + 1;
+          await handleUpdate(update);
+        }
+      } catch (error) {
+        if (!running) break;
+        console.error("❌ Telegram polling failed:", error.message);
+        await new Promise((resolve) => setTimeout(resolve, CONFIG.RETRY_DELAY));
+      }
+    }
+  };
+
+  return {
+    handleUpdate,
+
+    start() {
+      if (running) return;
+      running = true;
+      controller = new AbortController();
+      console.log("🤖 Listening for Telegram commands");
+      loop = poll();
+    },
+
+    async stop() {
+      running = false;
+      if (controller) controller.abort();
+      await loop;
+    },
+  };
+}
+
+// ================================
+// STATUS SERVER & METRICS
+// ================================
+
+const SCRAPE_DURATION_BUCKETS = [1, 2.5, 5, 10, 20, 30, 45, 60, 90, 120];
+
+/**
+ * Escapes a Prometheus label value
+ */
+function escapeLabelValue(value) {
+  return String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, "\\n");
+}
+
+/**
+ * Renders a label set as {name="value",...}
+ */
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return "";
+  return `{${entries
+    .map(([name, value]) => `${name}="${escapeLabelValue(value)}"`)
+    .join(",")}}`;
+}
+
+/**
+ * Minimal Prometheus registry with labelled counters, gauges and histograms
+ */
+function createMetricsRegistry() {
+  const families = new Map();
+
+  const define = (name, type, help, extra = {}) => {
+    const family = { name, type, help, series: new Map(), ...extra };
+    families.set(name, family);
+    return family;
+  };
+
+  const seriesKey = (labels) => JSON.stringify(Object.entries(labels).sort());
+
+  const seriesFor = (family, labels, init) => {
+    const key = seriesKey(labels);
+    if (!family.series.has(key)) {
+      family.series.set(key, { labels, ...init() });
+    }
+    return family.series.get(key);
+  };
+
+  return {
+    counter(name, help) {
+      const family = define(name, "counter", help);
+      return {
+        inc(labels = {}, value = 1) {
+          seriesFor(family, labels, () => ({ value: 0 })).value += value;
+        },
+      };
+    },
+
+    gauge(name, help) {
+      const family = define(name, "gauge", help);
+      return {
+        set(labels, value) {
+          seriesFor(family, labels, () => ({ value: 0 })).value = value;
+        },
+
+        /**
+         * Drops a series that no longer applies
+         */
+        remove(labels) {
+          family.series.delete(seriesKey(labels));
+        },
+      };
+    },
+
+    histogram(name, help, buckets) {
+      const family = define(name, "histogram", help, { buckets });
+      return {
+        observe(labels, value) {
+          const entry = seriesFor(family, labels, () => ({
+            counts: buckets.map(() => 0),
+            sum: 0,
+            count: 0,
+          }));
+          buckets.forEach((bucket, index) => {
+            if (value <= bucket) entry.counts[index]++;
+          });
+          entry.sum += value;
+          entry.count++;
+        },
+      };
+    },
+
+    /**
+     * Prometheus text exposition format
+     */
+    render() {
+      const lines = [];
+      families.forEach((family) => {
+        lines.push(`# HELP ${family.name} ${family.help}`);
+        lines.push(`# TYPE ${family.name} ${family.type}`);
+        family.series.forEach((entry) => {
+          if (family.type !== "histogram") {
+            lines.push(
+              `${family.name}${formatLabels(entry.labels)} ${entry.value}`
+            );
+            return;
+          }
+          family.buckets.forEach((bucket, index) => {
+            lines.push(
+              `${family.name}_bucket${formatLabels({
+                ...entry.labels,
+                le: bucket,
+              })} ${entry.counts[index]}`
+            );
+          });
+          lines.push(
+            `${family.name}_bucket${formatLabels({
+              ...entry.labels,
+              le: "+Inf",
+            })} ${entry.count}`
+          );
+          lines.push(
+            `${family.name}_sum${formatLabels(entry.labels)} ${entry.sum}`
+          );
+          lines.push(
+            `${family.name}_count${formatLabels(entry.labels)} ${entry.count}`
+          );
+        });
+      });
+      return `${lines.join("\n")}\n`;
+    },
+  };
+}
+
+const metrics = createMetricsRegistry();
+const METRICS = {
+  scrapes: metrics.counter(
+    "bms_scrapes_total",
+    "Movie page scrapes by movie and result"
+  ),
+  failures: metrics.counter(
+    "bms_scrape_failures_total",
+    "Failed movie page scrapes by movie and error category"
+  ),
+  scrapeDuration: metrics.histogram(
+    "bms_scrape_duration_seconds",
+    "Time to load a movie page and extract its theatres",
+    SCRAPE_DURATION_BUCKETS
+  ),
+  theatres: metrics.gauge(
+    "bms_theatres_found",
+    "Theatres found by the latest scrape of a movie and show date"
+  ),
+  requestsBlocked: metrics.counter(
+    "bms_requests_blocked_total",
+    "Requests skipped by the request blocking profile"
+  ),
+  notifications: metrics.counter(
+    "bms_notifications_sent_total",
+    "Notifications delivered by channel"
+  ),
+  notificationFailures: metrics.counter(
+    "bms_notification_failures_total",
+    "Notifications that failed by channel"
+  ),
+};
+
+/**
+ * Tracks monitoring cycles for /healthz. A cycle succeeds when it finishes
+ * and at least one of its checks worked.
+ */
+function createHealthTracker() {
+  const startedAt = new Date();
+  let lastCycle = null;
+  let lastSuccessAt = null;
+
+  return {
+    recordCycle({ checks = 0, failures = 0, error = null } = {}) {
+      const ok = !error && (checks === 0 || failures < checks);
+      lastCycle = {
+        finishedAt: new Date(),
+        ok,
+        checks,
+        failures,
+        error: error ? error.message : null,
+      };
+      if (ok) lastSuccessAt = lastCycle.finishedAt;
+    },
+
+    check(now = new Date()) {
+      // Two missed intervals before the bot counts as stuck
+      const maxAgeMs =
+        (CONFIG.HEALTH_MAX_AGE_MINUTES || CONFIG.CHECK_INTERVAL_MINUTES * 2) *
+        60 *
+        1000;
+      const since = lastCycle ? lastCycle.finishedAt : startedAt;
+      const ageMs = now - since;
+      const healthy = lastCycle
+        ? lastCycle.ok && ageMs <= maxAgeMs
+        : ageMs <= maxAgeMs;
+
+      return {
+        healthy,
+        state: !lastCycle ? "starting" : lastCycle.ok ? "ok" : "failing",
+        startedAt: startedAt.toISOString(),
+        lastCycle: lastCycle
+          ? { ...lastCycle, finishedAt: lastCycle.finishedAt.toISOString() }
+          : null,
+        lastSuccessAt: lastSuccessAt ? lastSuccessAt.toISOString() : null,
+        maxAgeSeconds: Math.round(maxAgeMs / 1000),
+      };
+    },
+  };
+}
+
+const monitorHealth = createHealthTracker();
+
+/**
+ * Current status of every watched movie, with one entry per show date
+ */
+function describeWatchStatus(movies, states) {
+  return movies.map((movie) => {
+    const dates = [...states.entries()]
+      .filter(([key]) => isStateKeyFor(key, movie.url))
+      .map(([, state]) => ({
+        showDate: state.showDate || null,
+        status: state.currentStatus,
+        theatreCount: (state.theatres || []).length,
+        checkedAt: state.checkedAt,
+      }));
+    const latest = latestMovieState(states, movie.url);
+
+    return {
+      name: movie.name,
+      url: movie.url,
+      releaseDate: movie.releaseDate || null,
+      paused: Boolean(movie.paused),
+      status: latest ? latest.currentStatus : "UNCHECKED",
+      theatreCount: latest ? (latest.theatres || []).length : 0,
+      lastCheckedAt: latest ? latest.checkedAt : null,
+      dates,
     };
+  });
+}
 
-    // Console output
-    console.log(`🎬 Movie: ${result.movieTitle}`);
-    console.log(`📅 Release Date: ${result.releaseDate || "Not specified"}`);
-    console.log(`🎯 Status: ${result.currentStatus}`);
-    console.log(`🎭 Theatres found: ${result.theatres.length}`);
+/**
+ * Sends a JSON or text response
+ */
+function sendResponse(response, { status = 200, type, headers = {}, body }) {
+  const json = typeof body !== "string";
+  const payload = json ? `${JSON.stringify(body, null, 2)}\n` : body;
+  response.writeHead(status, {
+    "Content-Type": type || (json ? "application/json" : "text/plain"),
+    "Content-Length": Buffer.byteLength(payload),
+    ...headers,
+  });
+  response.end(payload);
+}
 
-    if (result.theatres.length === 0) {
-      console.log(
-        "⏳ Status: Still waiting for release - no theatres showing yet!"
+/**
+ * Reads a URL-encoded form body (dashboard buttons). Bodies over `limit`
+ * fail with a 413 status for the server to answer with.
+ */
+async function readForm(request, limit = 64 * 1024) {
+  let body = "";
+  for await (const chunk of request) {
+    body += chunk;
+    if (body.length > limit) {
+      const error = new Error("Request body too large");
+      error.status = 413;
+      throw error;
+    }
+  }
+  return new URLSearchParams(body);
+}
+
+/**
+ * Embedded HTTP server with /healthz, /status, Prometheus /metrics and the
+ * dashboard. `watchlist` is anything with a `movies` array (a watchlist
+ * source works, so edits show up live), `states` the monitor's state Map and
+ * `recheck(movie)` the dashboard's immediate check.
+ */
+function createStatusServer(options) {
+  const {
+    watchlist,
+    states,
+    recheck = null,
+    health = monitorHealth,
+    registry = metrics,
+    dashboard = CONFIG.DASHBOARD,
+  } = options;
+
+  const routes = {
+    ...(dashboard
+      ? createDashboardRoutes({ watchlist, states, health, recheck })
+      : {}),
+    "GET /healthz": () => {
+      const report = health.check();
+      return { status: report.healthy ? 200 : 503, body: report };
+    },
+    "GET /status": () => ({
+      body: {
+        health: health.check(),
+        movies: describeWatchStatus(watchlist.movies, states),
+      },
+    }),
+    "GET /metrics": () => ({
+      type: "text/plain; version=0.0.4",
+      body: registry.render(),
+    }),
+  };
+
+  const server = http.createServer(async (request, response) => {
+    let url;
+    try {
+      url = new URL(request.url, "http://localhost");
+    } catch (error) {
+      sendResponse(response, { status: 400, body: { error: "Bad request" } });
+      return;
+    }
+
+    const { pathname, searchParams } = url;
+    const route = routes[`${request.method} ${pathname}`];
+    if (!route) {
+      sendResponse(response, { status: 404, body: { error: "Not found" } });
+      return;
+    }
+
+    try {
+      const form =
+        request.method === "POST"
+          ? await readForm(request)
+          : new URLSearchParams();
+      sendResponse(
+        response,
+        await route(request, { query: searchParams, form })
       );
-    } else {
+    } catch (error) {
+      console.error(`❌ ${request.method} ${pathname} failed:`, error.message);
+      sendResponse(response, {
+        status: error.status || 500,
+        body: { error: error.message },
+      });
+    }
+  });
+
+  return {
+    server,
+
+    /**
+     * Starts listening; resolves with the bound address
+     */
+    listen(port = CONFIG.STATUS_PORT, host = CONFIG.STATUS_HOST) {
+      return new Promise((resolve, reject) => {
+        server.once("error", reject);
+        server.listen(port, host, () => {
+          server.off("error", reject);
+          resolve(server.address());
+        });
+      });
+    },
+
+    close() {
+      return new Promise((resolve) => server.close(() => resolve()));
+    },
+  };
+}
+
+/**
+ * Starts the status server when STATUS_PORT is set
+ */
+async function startStatusServer(watchlist, states, recheck = null) {
+  if (!CONFIG.STATUS_PORT) return null;
+
+  const statusServer = createStatusServer({ watchlist, states, recheck });
+  try {
+    const { port } = await statusServer.listen();
+    console.log(
+      `📊 Status server on http://${
+        CONFIG.STATUS_HOST
+      }:${port} (/healthz, /status, /metrics${
+        CONFIG.DASHBOARD ? ", dashboard at /" : ""
+      })`
+    );
+    return statusServer;
+  } catch (error) {
+    console.error(`❌ Could not start status server: ${error.message}`);
+    return null;
+  }
+}
+
+// ================================
+// DASHBOARD
+// ================================
+
+const DASHBOARD_STYLE = `
+body { font-family: system-ui, sans-serif; margin: 2rem auto; max-width: 960px; padding: 0 1rem; color: #222; }
+table { border-collapse: collapse; width: 100%; margin: 1rem 0; }
+th, td { border-bottom: 1px solid #ddd; padding: 0.4rem 0.6rem; text-align: left; vertical-align: top; }
+.status { font-weight: 600; }
+.BOOKING_AVAILABLE { color: #137333; }
+.COMING_SOON { color: #b06000; }
+.UNKNOWN, .UNCHECKED { color: #666; }
+.banner { background: #fff4e5; padding: 0.6rem 1rem; border-radius: 4px; }
+form { display: inline; }
+button { margin-right: 0.5rem; }
+`;
+
+/**
+ * Formats an ISO timestamp in IST
+ */
+function formatTimestamp(iso) {
+  return iso
+    ? new Date(iso).toLocaleString("en-IN", { timeZone: "Asia/Kolkata" })
+    : "never";
+}
+
+/**
+ * Wraps dashboard content in the shared page layout
+ */
+function renderDashboardPage(title, content, { refreshSeconds } = {}) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+${
+  refreshSeconds
+    ? `<meta http-equiv="refresh" content="${refreshSeconds}">`
+    : ""
+}
+<title>${escapeHtml(title)}</title>
+<style>${DASHBOARD_STYLE}</style>
+</head>
+<body>
+${content}
+</body>
+</html>
+`;
+}
+
+/**
+ * Renders a status with its colour class
+ */
+function renderStatus(status) {
+  return `<span class="status ${escapeHtml(status)}">${escapeHtml(
+    status
+  )}</span>`;
+}
+
+/**
+ * A POST button carrying the movie URL
+ */
+function renderActionButton(action, url, label) {
+  return `<form method="post" action="/movie/${action}"><input type="hidden" name="url" value="${escapeHtml(
+    url
+  )}"><button type="submit">${label}</button></form>`;
+}
+
+/**
+ * Watchlist overview: one row per movie
+ */
+function renderMovieList(watchlist, states, health) {
+  const movies = describeWatchStatus(watchlist.movies, states);
+  const report = health.check();
+
+  const rows = movies.map(
+    (movie) => `<tr>
+<td><a href="/movie?url=${encodeURIComponent(movie.url)}">${escapeHtml(
+      movie.name
+    )}</a>${movie.paused ? " ⏸️" : ""}</td>
+<td>${renderStatus(movie.status)}</td>
+<td>${escapeHtml(String(movie.releaseDate || "-"))}</td>
+<td>${movie.theatreCount}</td>
+<td>${escapeHtml(formatTimestamp(movie.lastCheckedAt))}</td>
+</tr>`
+  );
+
+  return renderDashboardPage(
+    "BookMyShow Monitor",
+    `<h1>🎬 BookMyShow Monitor</h1>
+<p>Health: ${escapeHtml(report.state)} · last cycle ${escapeHtml(
+      formatTimestamp(report.lastCycle && report.lastCycle.finishedAt)
+    )}</p>
+${
+  watchlist.settings && watchlist.settings.paused
+    ? '<p class="banner">⏸️ Monitoring is paused</p>'
+    : ""
+}
+<table>
+<tr><th>Movie</th><th>Status</th><th>Release date</th><th>Theatres</th><th>Last check</th></tr>
+${rows.join("\n") || '<tr><td colspan="5">The watchlist is empty</td></tr>'}
+</table>`
+  );
+}
+
+/**
+ * One movie: actions, theatres and showtimes per show date, and the
+ * timeline of status changes
+ */
+function renderMovieDetail(movie, states, { checking, editable }) {
+  const dated = [...states.entries()]
+    .filter(([key]) => isStateKeyFor(key, movie.url))
+    .map(([, state]) => state)
+    .sort((a, b) => String(a.showDate).localeCompare(String(b.showDate)));
+
+  const actions = CONFIG.DASHBOARD_PASSWORD
+    ? [renderActionButton("recheck", movie.url, "🔄 Re-check now")]
+    : ["Set DASHBOARD_PASSWORD to re-check or pause from here"];
+  if (CONFIG.DASHBOARD_PASSWORD && editable) {
+    actions.push(
+      movie.paused
+        ? renderActionButton("resume", movie.url, "▶️ Resume")
+        : renderActionButton("pause", movie.url, "⏸️ Pause")
+    );
+  }
+
+  const sections = dated.map((state) => {
+    const rows = (state.theatres || []).map(
+      (theatre) =>
+        `<tr><td>${escapeHtml(theatre.theatre)}</td><td>${escapeHtml(
+          formatShowtimes(theatre.showtimes)
+        )}</td><td>${escapeHtml(describeBookable(theatre.showtimes))}</td></tr>`
+    );
+    return `<h2>${escapeHtml(
+      state.showDate ? formatShowDate(state.showDate) : "Theatres"
+    )} · ${renderStatus(state.currentStatus)}</h2>
+<p>Checked ${escapeHtml(formatTimestamp(state.checkedAt))}</p>
+${
+  rows.length > 0
+    ? `<table>\n<tr><th>Theatre</th><th>Showtimes</th><th>Bookable</th></tr>\n${rows.join(
+        "\n"
+      )}\n</table>`
+    : "<p>No theatres yet</p>"
+}`;
+  });
+
+  const timeline = dated
+    .flatMap((state) =>
+      (state.statusHistory || []).map((entry) => ({
+        ...entry,
+        showDate: state.showDate,
+      }))
+    )
+    .sort((a, b) => String(b.at).localeCompare(String(a.at)))
+    .map(
+      (entry) =>
+        `<li>${escapeHtml(formatTimestamp(entry.at))} · ${
+          entry.showDate
+            ? `${escapeHtml(formatShowDate(entry.showDate))} · `
+            : ""
+        }${renderStatus(entry.status)}</li>`
+    );
+
+  return renderDashboardPage(
+    movie.name,
+    `<p><a href="/">← All movies</a></p>
+<h1>${escapeHtml(movie.name)}${movie.paused ? " ⏸️" : ""}</h1>
+<p><a href="${escapeHtml(movie.url)}">${escapeHtml(movie.url)}</a></p>
+${
+  movie.followedFrom
+    ? `<p>🔀 Switched from <a href="${escapeHtml(
+        movie.followedFrom
+      )}">the coming-soon page</a> on ${escapeHtml(
+        formatTimestamp(movie.followedAt)
+      )}</p>`
+    : ""
+}
+${checking ? '<p class="banner">🔄 Re-check in progress…</p>' : ""}
+<p>${actions.join("")}</p>
+${sections.join("\n") || "<p>Not checked yet</p>"}
+<h2>Status timeline</h2>
+<ul>${timeline.join("\n") || "<li>No status changes recorded</li>"}</ul>`,
+    { refreshSeconds: checking ? 10 : null }
+  );
+}
+
+/**
+ * Whether a request carries the dashboard password (any username)
+ */
+function isDashboardAuthorized(request) {
+  if (!CONFIG.DASHBOARD_PASSWORD) return true;
+
+  const [scheme, encoded] = (request.headers.authorization || "").split(" ");
+  if (scheme !== "Basic" || !encoded) return false;
+  const credentials = Buffer.from(encoded, "base64").toString();
+  // Compare digests so the check takes the same time for any guess
+  const digest = (value) => crypto.createHash("sha256").update(value).digest();
+  return crypto.timingSafeEqual(
+    digest(credentials.slice(credentials.indexOf(":") + 1)),
+    digest(CONFIG.DASHBOARD_PASSWORD)
+  );
+}
+
+/**
+ * Whether a POST comes from the dashboard itself. A missing Origin is
+ * allowed (curl, older browsers); "null" or a malformed one is not.
+ */
+function isSameOriginPost(request) {
+  const { origin } = request.headers;
+  if (request.method !== "POST" || origin === undefined) return true;
+  try {
+    return new URL(origin).host === request.headers.host;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Dashboard routes for the status server. `recheck(movie)` runs an immediate
+ * check; pause and resume need a watchlist source with update().
+ */
+function createDashboardRoutes({ watchlist, states, health, recheck }) {
+  const checking = new Set();
+  const editable = typeof watchlist.update === "function";
+
+  const findMovie = (url) =>
+    watchlist.movies.find((movie) => movie.url === url);
+  const notFound = () => ({
+    status: 404,
+    type: "text/html; charset=utf-8",
+    body: renderDashboardPage(
+      "Not found",
+      '<p>That movie is not on the watchlist. <a href="/">Back</a></p>'
+    ),
+  });
+  const backToMovie = (url) => ({
+    status: 303,
+    headers: { Location: `/movie?url=${encodeURIComponent(url)}` },
+    body: "",
+  });
+
+  const setPaused =
+    (paused) =>
+    (request, { form }) => {
+      const movie = findMovie(form.get("url"));
+      if (!movie || !editable) return notFound();
+
+      setMoviePaused(watchlist, movie.url, paused);
       console.log(
-        `🎉 Status: LIVE! Movie is now showing in ${result.theatres.length} theatres!`
+        `${paused ? "⏸️ Paused" : "▶️ Resumed"} ${
+          movie.name
+        } from the dashboard`
       );
-    }
+      return backToMovie(movie.url);
+    };
 
-    return result;
-  } finally {
-    await browser.close();
-  }
+  const routes = {
+    "GET /": () => ({
+      type: "text/html; charset=utf-8",
+      body: renderMovieList(watchlist, states, health),
+    }),
+
+    "GET /movie": (request, { query }) => {
+      const movie = findMovie(query.get("url"));
+      if (!movie) return notFound();
+      return {
+        type: "text/html; charset=utf-8",
+        body: renderMovieDetail(movie, states, {
+          checking: checking.has(movie.url),
+          editable,
+        }),
+      };
+    },
+
+    // Runs in the background; the detail page refreshes until it is done
+    "POST /movie/recheck": (request, { form }) => {
+      const movie = findMovie(form.get("url"));
+      if (!movie || !recheck) return notFound();
+
+      if (!checking.has(movie.url)) {
+        checking.add(movie.url);
+        console.log(
+          `🔄 Re-check of ${movie.name} requested from the dashboard`
+        );
+        Promise.resolve()
+          .then(() => recheck(movie))
+          .catch((error) => {
+            console.error(
+              `❌ Re-check of ${movie.name} failed:`,
+              error.message
+            );
+          })
+          .finally(() => checking.delete(movie.url));
+      }
+      return backToMovie(movie.url);
+    },
+
+    "POST /movie/pause": setPaused(true),
+    "POST /movie/resume": setPaused(false),
+  };
+
+  // Password check, actions only with a password, and no form posts from
+  // other sites
+  return Object.fromEntries(
+    Object.entries(routes).map(([route, handler]) => [
+      route,
+      (request, context) => {
+        if (!isDashboardAuthorized(request)) {
+          return {
+            status: 401,
+            headers: { "WWW-Authenticate": 'Basic realm="BookMyShow Monitor"' },
+            body: "Authentication required\n",
+          };
+        }
+        if (request.method === "POST" && !CONFIG.DASHBOARD_PASSWORD) {
+          return {
+            status: 403,
+            body: "Set DASHBOARD_PASSWORD to use dashboard actions\n",
+          };
+        }
+        if (!isSameOriginPost(request)) {
+          return { status: 403, body: "Cross-site request refused\n" };
+        }
+        return handler(request, context);
+      },
+    ])
+  );
 }
 
 // ================================
-// MESSAGE TEMPLATE FUNCTIONS
+// MONITORING FUNCTIONS
 // ================================
 
 /**
- * Creates movie-specific celebration messages
+ * Delay in ms until a time, kept within what setTimeout accepts
  */
-function createCelebrationMessage(movieData, movieInfo) {
-  const { name, emoji } = movieInfo;
-  const theatreCount = movieData.theatres.length;
-
-  const messages = {
-    Coolie: `🚂 *COOLIE BOOKING NOW LIVE!* 💪🎉\n\n🔥 ALL ABOARD! The Coolie train has arrived!\n🎬 Action packed journey begins in ${theatreCount} theatres!\n\n🚂 *COOLIE THEATRES (Train stations):*\n\n`,
-    "War 2": `💥 *WAR 2 BOOKING NOW LIVE!* 🔥🎉\n\n⚔️ THE BATTLE BEGINS! War has been declared!\n🎬 Epic warfare starts in ${theatreCount} theatres!\n\n💥 *WAR 2 THEATRES (Battlefields):*\n\n`,
-  };
-
-  return (
-    messages[name] ||
-    `🎬 *${movieData.movieTitle}* 🎉\n\n🎭 Now showing in ${theatreCount} theatres!\n\n🎪 *THEATRES & SHOWTIMES:*\n\n`
-  );
+function delayUntil(date) {
+  return Math.min(Math.max(date.getTime() - Date.now(), 0), 2 ** 31 - 1);
 }
 
 /**
- * Creates call-to-action messages
+ * When to retry after a failed check
  */
-function createCallToAction(movieName) {
-  const actions = {
-    Coolie:
-      "🚂 All aboard the Coolie express!\n💪 Don't miss this action ride!",
-    "War 2":
-      "💥 War 2 has launched after the epic wait!\n🔥 Time to join the battle!",
+function errorRetryTime() {
+  return {
+    at: new Date(Date.now() + CONFIG.ERROR_RETRY_MINUTES * MINUTE_MS),
+    reason: "retrying after an error",
   };
-
-  return actions[movieName] || "🍿 Don't miss out - grab your tickets now!";
 }
 
 /**
- * Identifies which hardcoded movie this is
+ * Shared handling of one check result: status change, notification and
+ * console report. Returns the state record to persist.
  */
-function identifyMovie(url) {
-  return HARDCODED_MOVIES.find(
-    (movie) =>
-      movie.url.includes(movie.name.toLowerCase().replace(/\s+/g, "-")) &&
-      url.includes(movie.name.toLowerCase().replace(/\s+/g, "-"))
-  );
-}
+async function handleMovieResult(
+  movieData,
+  lastState,
+  filters,
+  movieInfo,
+  settings = {}
+) {
+  const isStatusChange =
+    lastState && lastState.currentStatus !== movieData.currentStatus;
+
+  if (isStatusChange) {
+    console.log(
+      `🚨 STATUS CHANGE: ${lastState.currentStatus} → ${movieData.currentStatus}`
+    );
+  }
 
-// ================================
-// TELEGRAM NOTIFICATION
-// ================================
+  // Full listing on first opening, otherwise only what changed
+  await recordSnapshot(movieData, movieInfo);
+
+  // Alerts only cover the language/format combinations and time windows
+  // the movie asks for
+  const wanted =
+    movieInfo &&
+    [movieInfo.shows, movieInfo.times]
+      .filter(Boolean)
+      .map((list) => list.join(" or "))
+      .join(", ");
+  const view = selectWantedShows(movieData, movieInfo);
+  const lastView = lastState && selectWantedShows(lastState, movieInfo);
+  if (wanted) {
+    const countShows = (theatres) =>
+      theatres.reduce((total, theatre) => total + theatre.showtimes.length, 0);
+    console.log(
+      `🎞️ ${countShows(view.theatres)}/${countShows(
+        movieData.theatres
+      )} shows match ${wanted}`
+    );
+  }
+
+  const muted = movieInfo && movieInfo.notify === false;
+  const plan = planNotification(view, lastView, filters);
+  let notified = false;
+  if (!muted && settings.subscribers && settings.subscribers.length > 0) {
+    notified = await notifySubscribers(
+      view,
+      lastView,
+      movieInfo,
+      settings,
+      isStatusChange
+    );
+  } else if (!muted && plan.shouldNotify) {
+    const quietHours = activeQuietHours(plan, settings);
+    if (quietHours) {
+      console.log(
+        `🌙 Quiet hours until ${quietHours.to} - holding this alert (only "booking just opened" goes out now)`
+      );
+      holdNotification(DEFAULT_HOLD_KEY, quietHours, null, [
+        view,
+        isStatusChange,
+        movieInfo,
+        plan,
+      ]);
+    } else {
+      console.log(
+        `📱 Notifying (${
+          plan.fullListing ? "full listing" : "changes only"
+        })...`
+      );
+      await sendNotification(view, isStatusChange, movieInfo, plan);
+    }
+    notified = true;
+  } else if (wanted && movieData.theatres.length > 0) {
+    console.log(
+      `🔕 No newly bookable shows matching ${wanted} - no notification sent`
+    );
+  } else if (movieData.theatres.length === 0) {
+    console.log(
+      "⏳ No theatres found yet - waiting for booking to open (no notification sent)"
+    );
+  } else {
+    console.log(
+      "🔕 No new preferred theatres or showtimes - no notification sent"
+    );
+  }
+
+  // Display results
+  if (movieData.theatres.length > 0) {
+    console.log("\n🎭 Theatre Results (where the movie is playing):");
+    console.log("=============================================");
+    movieData.theatres.forEach((theatre, index) => {
+      console.log(`${index + 1}. 🎬 ${theatre.theatre}`);
+      console.log(
+        `   ⏰ Showtimes: ${formatShowtimes(
+          theatre.showtimes
+        )} (${describeBookable(theatre.showtimes)})`
+      );
+    });
+    console.log(
+      `\n🎉 Movie is now showing in ${movieData.theatres.length} theatres!`
+    );
+  } else {
+    console.log("\n⏳ Status Update:");
+    console.log("================");
+    console.log("🎬 Movie is still preparing for release...");
+    console.log("⏳ Waiting for theatres to start showing!");
+    console.log("🍿 Patience - the show will begin soon!");
+  }
+
+  return toMovieState(movieData, lastState, notified);
+}
 
 /**
- * Optimized Telegram notification system
+ * Monitors every movie in the watchlist, reloading it between cycles
  */
-async function sendTelegramNotification(movieData, isStatusChange = false) {
-  try {
-    const movieInfo = identifyMovie(movieData.pageUrl);
-    let message;
+async function monitorAllMovies(watchlist, runOnce = false) {
+  const stateStore = createStateStore();
+  const lastStatuses = await stateStore.load();
+  // Subscribers can change between cycles, so alerts read them when sent
+  const alerter = createErrorAlerter({
+    send: (notification) =>
+      deliverNotification(notification, alertNotifiers(watchlist.settings)),
+  });
+  console.log(`💾 Restored state for ${lastStatuses.size} movies`);
 
-    if (
-      movieData.currentStatus === "BOOKING_AVAILABLE" &&
-      movieData.theatres.length > 0
-    ) {
-      if (isStatusChange && movieInfo) {
-        message = createCelebrationMessage(movieData, movieInfo);
-      } else {
-        message = `🎬 *${movieData.movieTitle}* 🎉\n\n🎭 Now showing in ${movieData.theatres.length} theatres!\n\n🎪 *THEATRES & SHOWTIMES:*\n\n`;
-      }
+  if (
+    !runOnce &&
+    CONFIG.TELEGRAM_COMMANDS &&
+    configuredNotifierNames().includes("telegram")
+  ) {
+    createTelegramCommandBot(watchlist, { states: lastStatuses }).start();
+  }
 
-      // Add theatre details
-      movieData.theatres.forEach((theatre, index) => {
-        message += `${index + 1}. 🎭 *${
-          theatre.theatre
-        }*\n   ⏰ ${theatre.showtimes.join(", ")}\n\n`;
-      });
+  const labelFor = (movie, target) =>
+    `${movie.name}${target.date ? ` (${formatShowDate(target.date)})` : ""}`;
 
-      // Add call to action
-      if (isStatusChange && movieInfo) {
-        message += createCallToAction(movieInfo.name);
+  // One show date of one movie: scrape, notify and persist. Resolves to
+  // { theatres } or, when the check failed, { error }.
+  const checkTarget = async (movie, target) => {
+    const key = stateKey(movie.url, target.date);
+    const label = labelFor(movie, target);
+
+    try {
+      const movieData = await analyzeMoviePage(target.url, {
+        filters: resolveExtractionFilters(movie, watchlist.settings),
+      });
+      movieData.showDate = target.date;
+
+      const movieState = await handleMovieResult(
+        movieData,
+        lastStatuses.get(key),
+        resolveTheatreFilters(movie, watchlist.settings),
+        movie,
+        watchlist.settings
+      );
+      lastStatuses.set(key, movieState);
+      await stateStore.save(key, movieState);
+      console.log(`✅ ${label} checked`);
+
+      // The booking page takes over; its first check sees the status change
+      if (movieData.bookingUrl) {
+        const followed = followBookingUrl(
+          watchlist,
+          movie,
+          movieData.bookingUrl
+        );
+        if (followed) {
+          const [next] = resolveShowDateTargets(followed);
+          if (next) {
+            const nextKey = stateKey(followed.url, next.date);
+            lastStatuses.set(nextKey, movieState);
+            await stateStore.save(nextKey, movieState);
+          }
+        }
       }
-    } else {
-      message = `❓ *${movieData.movieTitle}* - Status Unknown\n\n🔍 Unable to determine booking status\n`;
+      return { theatres: movieData.theatres };
+    } catch (error) {
+      console.error(`❌ Error checking ${label}:`, error.message);
+      return { error };
     }
+  };
 
-    message += `🔗 [Movie Page](${movieData.pageUrl})\n`;
-    message += `⏰ Last checked: ${new Date().toLocaleString("en-IN", {
-      timeZone: "Asia/Kolkata",
-    })}`;
-
-    if (movieData.theatres.length > 0) {
-      message += `\n📊 Total theatres: ${movieData.theatres.length}`;
+  // One failure streak per movie, so a blocked site that fails every show
+  // date sends one alert naming the dates and one recovery, not one each
+  const recordChecks = async (movie, outcomes) => {
+    const failed = outcomes.filter((outcome) => outcome.error);
+    if (failed.length === 0) {
+      await alerter.recordSuccess(movie.url, movie.name);
+      return;
     }
 
-    console.log("📱 Sending Telegram notification...");
-
-    const response = await axios.post(
-      `https://api.telegram.org/bot${CONFIG.TELEGRAM_BOT_TOKEN}/sendMessage`,
-      {
-        chat_id: CONFIG.TELEGRAM_CHAT_ID,
-        text: message,
-        parse_mode: "Markdown",
-        disable_web_page_preview: false,
-      }
+    const dates = failed
+      .filter(({ target }) => target.date)
+      .map(({ target }) => formatShowDate(target.date));
+    const label =
+      dates.length > 0 ? `${movie.name} (${dates.join(", ")})` : movie.name;
+    await alerter.recordFailure(
+      movie.url,
+      label,
+      failed[0].error,
+      failed[0].target.url
     );
+  };
 
-    if (response.data.ok) {
-      console.log("✅ Telegram notification sent successfully!");
-    } else {
-      throw new Error(`Telegram API error: ${response.data.description}`);
-    }
-  } catch (error) {
-    console.error("❌ Failed to send Telegram notification:", error.message);
-    if (error.response) {
-      console.error("Telegram API response:", error.response.data);
-    }
-    throw error;
+  if (!runOnce) {
+    await startStatusServer(watchlist, lastStatuses, async (movie) => {
+      const outcomes = [];
+      for (const target of resolveShowDateTargets(movie)) {
+        outcomes.push({ target, ...(await checkTarget(movie, target)) });
+      }
+      await recordChecks(movie, outcomes);
+    });
   }
-}
-
-// ================================
-// MONITORING FUNCTIONS
-// ================================
 
-/**
- * Calculates monitoring interval
- */
-function calculateMonitoringInterval() {
-  const intervalMs = CONFIG.CHECK_INTERVAL_MINUTES * 60 * 1000;
-  console.log(`⏰ Next check in ${CONFIG.CHECK_INTERVAL_MINUTES} minutes`);
-  return intervalMs;
-}
+  // When each movie is next due; movies missing here are due now
+  const nextChecks = new Map();
+  let nextCatalogueScan = new Date(0);
+  const scanCatalogue = async () => {
+    const catalogue = watchlist.settings.catalogue;
+    if (!catalogue || nextCatalogueScan > new Date()) return;
 
-/**
- * Monitors all hardcoded movies
- */
-async function monitorAllMovies(movies, runOnce = false) {
-  const lastStatuses = new Map();
+    const intervalMinutes =
+      catalogue.intervalMinutes || CONFIG.CATALOGUE_INTERVAL_MINUTES;
+    nextCatalogueScan = new Date(Date.now() + intervalMinutes * MINUTE_MS);
+    try {
+      // Added titles land in watchlist.movies and are checked this cycle
+      await runCataloguePass(catalogue, {
+        movies: watchlist.movies,
+        settings: watchlist.settings,
+        addMovie: (entry) => {
+          let name = null;
+          watchlist.update((data) => {
+            name = addListingEntry(data, entry);
+          });
+          return name;
+        },
+      });
+    } catch (error) {
+      console.error("❌ Catalogue scan failed:", error.message);
+    }
+    console.log(
+      `📚 Next catalogue scan ${formatScheduleTime(nextCatalogueScan)}`
+    );
+  };
+  const statesFor = (movie) =>
+    [...lastStatuses.entries()]
+      .filter(([key]) => isStateKeyFor(key, movie.url))
+      .map(([, state]) => state);
 
   const processAllMovies = async () => {
     try {
-      console.log("🔄 Starting multi-movie check cycle...");
-      console.log("=====================================\n");
+      const { removed } = watchlist.refresh();
+      forgetStalePages(
+        watchlist.movies.flatMap((movie) =>
+          resolveShowDateTargets(movie).map((target) => target.url)
+        )
+      );
+      for (const movie of removed) {
+        nextChecks.delete(movie.url);
+        for (const key of [...lastStatuses.keys()]) {
+          if (isStateKeyFor(key, movie.url)) {
+            lastStatuses.delete(key);
+            await stateStore.remove(key);
+          }
+        }
+      }
+      if (watchlist.settings.paused) {
+        console.log("⏸️ Monitoring is paused - send /resume to continue");
+      }
+      if (CONFIG.TELEGRAM_BOT_TOKEN) await flushTelegramQueue();
+      await flushHeldNotifications();
+      if (!watchlist.settings.paused) await scanCatalogue();
+      const cycleStart = new Date();
+      const movies = (
+        watchlist.settings.paused
+          ? []
+          : watchlist.movies.filter((movie) => {
+              if (movie.paused) console.log(`⏸️ Skipping paused ${movie.name}`);
+              return !movie.paused;
+            })
+      ).filter(
+        (movie) =>
+          !nextChecks.has(movie.url) || nextChecks.get(movie.url) <= cycleStart
+      );
 
-      for (let i = 0; i < movies.length; i++) {
-        const movie = movies[i];
-        console.log(
-          `${movie.emoji} Checking ${movie.name} (${i + 1}/${movies.length}):`
-        );
-        console.log("━".repeat(44) + "\n");
+      if (movies.length > 0) {
+        console.log("🔄 Starting multi-movie check cycle...");
+        console.log("=====================================\n");
+      }
 
-        try {
-          const movieData = await analyzeMoviePage(movie.url);
-          const lastStatus = lastStatuses.get(movie.url);
-          const isStatusChange =
-            lastStatus && lastStatus.currentStatus !== movieData.currentStatus;
-
-          if (isStatusChange) {
-            console.log(
-              `🚨 STATUS CHANGE: ${lastStatus.currentStatus} → ${movieData.currentStatus}`
-            );
-          }
+      // One check per due movie and show date, a few at a time
+      const checks = movies.flatMap((movie) => {
+        const targets = resolveShowDateTargets(movie);
+        if (targets.length === 0) {
+          console.log(
+            `⏭️ ${movie.name}: every watched show date is in the past - skipping`
+          );
+        }
+        return targets.map((target) => ({ movie, target }));
+      });
+      console.log(
+        `🧵 ${checks.length} checks, up to ${CONFIG.MAX_CONCURRENT_CHECKS} at a time`
+      );
 
-          // Send notification only when theatres are found
-          if (
-            movieData.theatres.length > 0 &&
-            (isStatusChange ||
-              !lastStatus ||
-              movieData.currentStatus === "BOOKING_AVAILABLE")
-          ) {
-            console.log(
-              "📱 Sending Telegram notification for theatre availability..."
-            );
-            await sendTelegramNotification(movieData, isStatusChange);
-          } else if (movieData.theatres.length === 0) {
-            console.log(
-              "⏳ No theatres found yet - waiting for booking to open (no notification sent)"
-            );
-          }
+      const results = await runWithConcurrency(
+        checks,
+        CONFIG.MAX_CONCURRENT_CHECKS,
+        async ({ movie, target }, index) => {
+          console.log(
+            `${movie.emoji} Checking ${labelFor(movie, target)} (${index + 1}/${
+              checks.length
+            }):`
+          );
+          console.log("━".repeat(44) + "\n");
 
-          // Display results
-          if (movieData.theatres.length > 0) {
-            console.log("\n🎭 Theatre Results (where the movie is playing):");
-            console.log("=============================================");
-            movieData.theatres.forEach((theatre, index) => {
-              console.log(`${index + 1}. 🎬 ${theatre.theatre}`);
-              console.log(`   ⏰ Showtimes: ${theatre.showtimes.join(", ")}`);
-            });
-            console.log(
-              `\n🎉 Movie is now showing in ${movieData.theatres.length} theatres!`
-            );
-          } else {
-            console.log("\n⏳ Status Update:");
-            console.log("================");
-            console.log("🎬 Movie is still preparing for release...");
-            console.log("⏳ Waiting for theatres to start showing!");
-            console.log("🍿 Patience - the show will begin soon!");
-          }
+          const outcome = await checkTarget(movie, target);
+
+          // Stay polite to the site between this worker's checks
+          await new Promise((resolve) =>
+            setTimeout(resolve, CONFIG.RETRY_DELAY)
+          );
+          return { movie, target, ...outcome };
+        }
+      );
+
+      for (const movie of movies) {
+        await recordChecks(
+          movie,
+          results.filter((result) => result.movie === movie)
+        );
+      }
+
+      movies.forEach((movie) => {
+        const dateResults = results.filter(
+          (result) => result.movie === movie && result.theatres
+        );
+        if (dateResults.length < 2) return;
 
-          lastStatuses.set(movie.url, movieData);
-          console.log("✅ Single run completed successfully!");
+        console.log(`\n📅 ${movie.name} by show date:`);
+        dateResults.forEach(({ target, theatres }) => {
+          const shows = theatres.reduce(
+            (total, theatre) => total + theatre.showtimes.length,
+            0
+          );
+          console.log(
+            `   ${formatShowDate(target.date)}: ${
+              theatres.length
+            } theatres, ${shows} shows`
+          );
+        });
+      });
 
-          if (i < movies.length - 1) {
-            console.log("⏳ Waiting 3 seconds before next movie...\n");
-            await new Promise((resolve) =>
-              setTimeout(resolve, CONFIG.RETRY_DELAY)
+      // Each movie's own schedule decides its next check; one that cannot
+      // be scheduled retries later without holding up the rest
+      movies.forEach((movie) => {
+        const failed = results.some(
+          (result) => result.movie === movie && !result.theatres
+        );
+        let next = errorRetryTime();
+        if (!failed) {
+          try {
+            next = nextCheckTime(movie, watchlist.settings, statesFor(movie));
+          } catch (error) {
+            console.error(
+              `❌ Could not schedule ${movie.name}: ${error.message}`
             );
           }
-        } catch (error) {
-          console.error(`❌ Error checking ${movie.name}:`, error.message);
         }
-      }
+        nextChecks.set(movie.url, next.at);
+        console.log(
+          `🗓️ ${movie.name}: next check ${formatScheduleTime(next.at)} (${
+            next.reason
+          })`
+        );
+      });
 
-      console.log("\n✅ Multi-movie check cycle completed!");
+      monitorHealth.recordCycle({
+        checks: results.length,
+        failures: results.filter((result) => !result.theatres).length,
+      });
+      if (movies.length > 0) {
+        console.log("\n✅ Multi-movie check cycle completed!");
+      }
 
       if (!runOnce) {
-        const interval = calculateMonitoringInterval();
-        console.log(
-          `⏱️ Next multi-movie check in ${CONFIG.CHECK_INTERVAL_MINUTES} minutes`
+        // Wake for the earliest due movie, and regularly for watchlist edits
+        // and held alerts
+        const wakeAt = new Date(
+          Math.min(
+            Date.now() + CONFIG.SCHEDULER_MAX_SLEEP_MINUTES * MINUTE_MS,
+            ...watchlist.movies.map((movie) =>
+              nextChecks.has(movie.url)
+                ? nextChecks.get(movie.url).getTime()
+                : Date.now()
+            )
+          )
         );
-        setTimeout(processAllMovies, interval);
+        setTimeout(processAllMovies, Math.max(delayUntil(wakeAt), 1000));
       } else {
+        await stateStore.close();
+        await getBrowserManager().close();
         console.log("🎬 Single run of all movies completed successfully!");
       }
     } catch (error) {
       console.error("❌ Error in multi-movie monitoring:", error.message);
+      monitorHealth.recordCycle({ error });
       if (!runOnce) {
-        console.log("🔄 Retrying in 10 minutes...");
-        setTimeout(processAllMovies, 10 * 60 * 1000);
+        const retry = errorRetryTime();
+        console.log(`🔄 Retrying at ${formatScheduleTime(retry.at)}...`);
+        setTimeout(processAllMovies, delayUntil(retry.at));
+      } else {
+        await stateStore.close();
+        await getBrowserManager().close();
       }
     }
   };
@@ -1121,138 +7329,172 @@ async function monitorAllMovies(movies, runOnce = false) {
 }
 
 /**
- * Smart scraper for single movie monitoring
+ * Smart scraper for single movie monitoring. Resolves once the first check
+ * (the only one with runOnce) is done.
  */
-async function smartScraper(movieUrl, runOnce = false) {
-  const lastStatus = { currentStatus: null };
+async function smartScraper(
+  movieUrl,
+  runOnce = false,
+  movieInfo = null,
+  settings = {},
+  options = {}
+) {
+  const filters = resolveTheatreFilters(movieInfo, settings);
+  const extractionFilters = resolveExtractionFilters(movieInfo, settings);
+  const stateStore = options.stateStore || createStateStore();
+  const analyze = options.analyze || analyzeMoviePage;
+  const alerter = createErrorAlerter({ settings });
+  const label =
+    (movieInfo && movieInfo.name) || analyzeURL(movieUrl).movieName || movieUrl;
+  let lastStatus = (await stateStore.load()).get(movieUrl) || null;
+  if (lastStatus) {
+    console.log(
+      `💾 Restored last status: ${lastStatus.currentStatus} (checked ${lastStatus.checkedAt})`
+    );
+  }
 
-  const processMovie = async () => {
-    try {
-      console.log("🔄 Processing movie...");
-      const movieData = await analyzeMoviePage(movieUrl);
-      const isStatusChange =
-        lastStatus.currentStatus &&
-        lastStatus.currentStatus !== movieData.currentStatus;
+  const states = new Map(lastStatus ? [[movieUrl, lastStatus]] : []);
+  // Switches from a coming-soon URL to its booking page once bookings open.
+  // State stays under movieUrl and remembers the page, so a restart carries
+  // on from the booking page instead of announcing the opening again.
+  let pageUrl = (lastStatus && lastStatus.pageUrl) || movieUrl;
+  if (pageUrl !== movieUrl) {
+    console.log(`🔀 Continuing on the booking page ${pageUrl}`);
+  }
 
-      if (isStatusChange) {
-        console.log(
-          `🚨 STATUS CHANGE: ${lastStatus.currentStatus} → ${movieData.currentStatus}`
-        );
-      }
+  const checkMovie = async () => {
+    const movieData = await analyze(pageUrl, {
+      filters: extractionFilters,
+    });
 
-      // Send notification only when theatres are found
-      if (
-        movieData.theatres.length > 0 &&
-        (isStatusChange ||
-          !lastStatus.currentStatus ||
-          movieData.currentStatus === "BOOKING_AVAILABLE")
-      ) {
-        console.log(
-          "📱 Sending Telegram notification for theatre availability..."
-        );
-        await sendTelegramNotification(movieData, isStatusChange);
-      } else if (movieData.theatres.length === 0) {
-        console.log(
-          "⏳ No theatres found yet - waiting for booking to open (no notification sent)"
-        );
-      }
+    lastStatus = await handleMovieResult(
+      movieData,
+      lastStatus,
+      filters,
+      movieInfo,
+      settings
+    );
+    await stateStore.save(movieUrl, lastStatus);
+    states.set(movieUrl, lastStatus);
 
-      // Display results
-      if (movieData.theatres.length > 0) {
-        console.log("\n🎭 Theatre Results (where the movie is playing):");
-        console.log("=============================================");
-        movieData.theatres.forEach((theatre, index) => {
-          console.log(`${index + 1}. 🎬 ${theatre.theatre}`);
-          console.log(`   ⏰ Showtimes: ${theatre.showtimes.join(", ")}`);
-        });
-        console.log(
-          `\n🎉 Movie is now showing in ${movieData.theatres.length} theatres!`
-        );
-      } else {
-        console.log("\n⏳ Status Update:");
-        console.log("================");
-        console.log("🎬 Movie is still preparing for release...");
-        console.log("⏳ Waiting for theatres to start showing!");
-        console.log("🍿 Patience - the show will begin soon!");
-      }
+    if (movieData.bookingUrl) {
+      console.log(
+        `🔀 Switching from ${pageUrl} to the booking page ${movieData.bookingUrl}`
+      );
+      pageUrl = movieData.bookingUrl;
+      await checkMovie();
+    }
+  };
+
+  // The status server sees this one movie as a watchlist of its own
+  if (!runOnce) {
+    await startStatusServer(
+      { movies: [movieInfo || { name: label, url: movieUrl }] },
+      states,
+      () => checkMovie()
+    );
+  }
 
-      lastStatus.currentStatus = movieData.currentStatus;
+  const processMovie = async () => {
+    try {
+      console.log("🔄 Processing movie...");
+      if (CONFIG.TELEGRAM_BOT_TOKEN) await flushTelegramQueue();
+      await flushHeldNotifications();
+      await checkMovie();
+      monitorHealth.recordCycle({ checks: 1 });
+      await alerter.recordSuccess(movieUrl, label);
 
       if (!runOnce) {
-        const interval = calculateMonitoringInterval();
+        const next = nextCheckTime(movieInfo || { url: movieUrl }, settings, [
+          lastStatus,
+        ]);
         console.log(
-          `⏱️ Next check in ${CONFIG.CHECK_INTERVAL_MINUTES} minutes`
+          `⏱️ Next check ${formatScheduleTime(next.at)} (${next.reason})`
         );
-        setTimeout(processMovie, interval);
+        setTimeout(processMovie, delayUntil(next.at));
       } else {
+        await stateStore.close();
+        await getBrowserManager().close();
         console.log("✅ Single run completed successfully!");
       }
     } catch (error) {
       console.error("❌ Error processing movie:", error.message);
-
-      // Send error notification
-      try {
-        const errorMessage = `🚨 *Smart Scraper Error*\n\nError: ${
-          error.message
-        }\n\nTime: ${new Date().toLocaleString("en-IN", {
-          timeZone: "Asia/Kolkata",
-        })}`;
-        await sendTelegramNotification(
-          {
-            movieTitle: "Scraper Error",
-            currentStatus: "ERROR",
-            pageUrl: movieUrl,
-            theatres: [],
-          },
-          true
-        );
-      } catch (telegramError) {
-        console.error(
-          "Failed to send error notification:",
-          telegramError.message
-        );
-      }
+      monitorHealth.recordCycle({ checks: 1, failures: 1 });
+      await alerter.recordFailure(movieUrl, label, error, movieUrl);
 
       if (!runOnce) {
-        console.log("🔄 Retrying in 10 minutes...");
-        setTimeout(processMovie, 10 * 60 * 1000);
+        const retry = errorRetryTime();
+        console.log(`🔄 Retrying at ${formatScheduleTime(retry.at)}...`);
+        setTimeout(processMovie, delayUntil(retry.at));
+      } else {
+        await stateStore.close();
+        await getBrowserManager().close();
       }
     }
   };
 
-  processMovie();
+  return processMovie();
 }
 
 // ================================
 // MAIN ENTRY POINT
 // ================================
 
-if (require.main === module) {
+if (require.main === module && process.argv[2] === "export") {
+  runExportCommand(process.argv.slice(3)).catch((error) => {
+    console.error(`❌ Export failed: ${error.message}`);
+    process.exit(1);
+  });
+} else if (require.main === module && process.argv[2] === "search") {
+  runSearchCommand(process.argv.slice(3)).catch((error) => {
+    console.error(`❌ Search failed: ${error.message}`);
+    process.exit(1);
+  });
+} else if (require.main === module && process.argv[2] === "catalogue") {
+  runCatalogueCommand().catch((error) => {
+    console.error(`❌ Catalogue scan failed: ${error.message}`);
+    process.exit(1);
+  });
+} else if (require.main === module) {
   const args = process.argv.slice(2);
   const runOnce = args.includes("--once");
-  const useHardcoded =
+  if (args.includes("--full-listing")) {
+    CONFIG.FULL_LISTING = true;
+  }
+  const useWatchlist =
     args.includes("--all") ||
     args.includes("--kingdom") ||
     args.length === 0 ||
     (args.length === 1 && args[0] === "--once");
 
   let movieUrl = args.find((arg) => arg.startsWith("http"));
+  let watchlist = null;
 
   // Display startup information
-  if (useHardcoded || !movieUrl) {
-    console.log("🎬 Using hardcoded movie URLs for automatic monitoring");
+  if (useWatchlist || !movieUrl) {
+    try {
+      watchlist = createWatchlistSource();
+    } catch (error) {
+      console.error(`❌ Could not load watchlist: ${error.message}`);
+      console.log(
+        "💡 Create watchlist.json (or set WATCHLIST_FILE to a .json/.yaml file)"
+      );
+      process.exit(1);
+    }
+
+    console.log(`🎬 Using watchlist ${watchlist.filePath}`);
     console.log(
-      `📋 Monitoring ${HARDCODED_MOVIES.length} movies: ${HARDCODED_MOVIES.map(
-        (m) => m.name
-      ).join(", ")}`
+      `📋 Monitoring ${watchlist.movies.length} movies: ${watchlist.movies
+        .map((m) => m.name)
+        .join(", ")}`
     );
   }
 
-  if (!movieUrl && !useHardcoded) {
-    console.error("❌ Please provide a movie URL or use hardcoded monitoring");
+  if (!movieUrl && !useWatchlist) {
+    console.error("❌ Please provide a movie URL or use watchlist monitoring");
     console.log("\nUsage:");
     console.log(
-      "  node smart-scraper.js                    # Monitor all hardcoded movies"
+      "  node smart-scraper.js                    # Monitor all watchlist movies"
     );
     console.log(
       "  node smart-scraper.js --all              # Monitor all movies (explicit)"
@@ -1261,21 +7503,49 @@ if (require.main === module) {
       '  node smart-scraper.js "MOVIE_URL"        # Monitor specific movie'
     );
     console.log('  node smart-scraper.js "MOVIE_URL" --once # Single run only');
+    console.log(
+      "  --full-listing                           # Always send every theatre, not just changes"
+    );
+    console.log(
+      "  node smart-scraper.js export --movie Coolie --from 2025-08-01 --format csv"
+    );
+    console.log(
+      '  node smart-scraper.js search "War 2" --city hyderabad  # Find and add a movie'
+    );
+    console.log(
+      "  node smart-scraper.js catalogue          # Scan city listings for titles matching the catalogue rules"
+    );
+    console.log(
+      "\nThe watchlist is read from WATCHLIST_FILE (default: watchlist.json)"
+    );
     process.exit(1);
   }
 
   console.log("🚀 BookMyShow Smart Scraper");
   console.log("============================");
 
-  if (useHardcoded || !movieUrl) {
+  if (watchlist) {
     console.log("🎬 MULTI-MOVIE MONITORING");
-    console.log(`📋 Tracking ${HARDCODED_MOVIES.length} Epic Movies:`);
-    HARDCODED_MOVIES.forEach((movie, index) => {
+    console.log(`📋 Tracking ${watchlist.movies.length} Epic Movies:`);
+    watchlist.movies.forEach((movie, index) => {
       console.log(
         `${index + 1}. ${movie.emoji} ${movie.name} - ${movie.releaseDate}`
       );
     });
     console.log("🎯 Will alert when any movie booking opens");
+    console.log("📝 Watchlist edits are picked up before each check cycle");
+    if (watchlist.settings.catalogue) {
+      console.log(
+        `📚 Watching ${watchlist.settings.catalogue.city} listings for new titles (${watchlist.settings.catalogue.rules.length} rules)`
+      );
+    }
+    if (
+      !runOnce &&
+      CONFIG.TELEGRAM_COMMANDS &&
+      configuredNotifierNames().includes("telegram")
+    ) {
+      console.log("🤖 Manage it from Telegram: /add /remove /list /status");
+    }
   } else {
     console.log(`📍 Movie URL: ${movieUrl}`);
   }
@@ -1283,21 +7553,87 @@ if (require.main === module) {
   console.log(`🔄 Mode: ${runOnce ? "Single Run" : "Continuous Monitoring"}`);
   console.log("");
 
-  validateConfig();
+  const known = watchlist || loadOptionalWatchlist();
+  validateConfig(known.settings);
 
   // Start monitoring
-  if (useHardcoded || !movieUrl) {
-    monitorAllMovies(HARDCODED_MOVIES, runOnce);
+  if (watchlist) {
+    monitorAllMovies(watchlist, runOnce);
   } else {
-    smartScraper(movieUrl, runOnce);
+    smartScraper(
+      movieUrl,
+      runOnce,
+      identifyMovie(movieUrl, known.movies),
+      known.settings
+    );
   }
 }
 
 module.exports = {
   analyzeURL,
   analyzeMoviePage,
-  sendTelegramNotification,
+  isTheatreLine,
+  extractTheatresAndShowtimes,
+  extractTheatresAlternative,
+  determineStatus,
+  getCityProfile,
+  extractFromShowtimePayloads,
+  captureShowtimePayloads,
+  parseShowFormat,
+  findPageShowFormat,
+  applyPageShowFormat,
+  filterShows,
+  filterForSubscriber,
+  finalizeShowtimes,
+  parseTimeWindow,
+  filterTimeWindows,
+  selectWantedShows,
+  shouldBlockRequest,
+  installRequestBlocking,
+  composeNotification,
+  sendNotification,
+  sendTelegramMessage,
+  flushTelegramQueue,
+  classifyError,
+  createErrorAlerter,
+  createNotifiers,
+  createTelegramNotifier,
+  createDiscordNotifier,
+  createSlackNotifier,
+  createEmailNotifier,
+  createWebhookNotifier,
+  notifySubscribers,
+  flushHeldNotifications,
+  isQuietTime,
   smartScraper,
+  loadWatchlist,
+  loadOptionalWatchlist,
+  createWatchlistSource,
+  parseListingCard,
+  findTitleMatches,
+  addSearchResultToWatchlist,
+  matchCatalogueRules,
+  mergeCatalogue,
+  runCataloguePass,
+  followBookingUrl,
+  createTelegramCommandBot,
+  createBrowserManager,
+  createMetricsRegistry,
+  recordTheatreCount,
+  forgetStalePages,
+  createHealthTracker,
+  createStatusServer,
+  getBrowserManager,
+  nextCronTime,
+  nextCheckTime,
+  createStateStore,
+  recordSnapshot,
+  exportHistory,
+  diffTheatres,
+  planNotification,
+  resolveShowDateTargets,
+  compileTheatreFilter,
+  applyTheatreFilters,
+  validateConfig,
   CONFIG,
-  HARDCODED_MOVIES,
 };
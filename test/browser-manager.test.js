@@ -0,0 +1,134 @@
+const { describe, it, before, after, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const { EventEmitter } = require("events");
+const { createBrowserManager } = require("../smart-scraper");
+
+/**
+ * Minimal stand-in for a Puppeteer browser: enough for the pool logic
+ */
+function createFakeBrowser() {
+  const browser = new EventEmitter();
+  let connected = true;
+  browser.pages = [];
+
+  browser.isConnected = () => connected;
+  browser.newPage = async () => {
+    const page = new EventEmitter();
+    let closed = false;
+    page.browser = () => browser;
+    page.isClosed = () => closed;
+    page.close = async () => {
+      closed = true;
+    };
+    page.setUserAgent = async () => {};
+    page.setViewport = async () => {};
+    browser.pages.push(page);
+    return page;
+  };
+  browser.crash = () => {
+    connected = false;
+    browser.emit("disconnected");
+  };
+  browser.close = async () => {
+    connected = false;
+  };
+  return browser;
+}
+
+describe("createBrowserManager", () => {
+  before(() => {
+    mock.method(console, "log", () => {});
+    mock.method(console, "error", () => {});
+  });
+  after(() => mock.restoreAll());
+
+  const setup = (options = {}) => {
+    const browsers = [];
+    const manager = createBrowserManager({
+      maxPages: 2,
+      maxUses: 3,
+      ...options,
+      launch: async () => {
+        browsers.push(createFakeBrowser());
+        return browsers.at(-1);
+      },
+    });
+    return { manager, browsers };
+  };
+
+  it("reuses one browser and its pages", async () => {
+    const { manager, browsers } = setup();
+
+    const first = await manager.acquire();
+    await manager.release(first);
+    const second = await manager.acquire();
+    await manager.release(second);
+
+    assert.equal(browsers.length, 1);
+    assert.equal(first, second);
+    assert.equal(manager.stats.pagesCreated, 1);
+  });
+
+  it("never hands out more pages than the pool size", async () => {
+    const { manager } = setup();
+    let running = 0;
+    let peak = 0;
+
+    await Promise.all(
+      Array.from({ length: 6 }, async () => {
+        const page = await manager.acquire();
+        running++;
+        peak = Math.max(peak, running);
+        await new Promise((resolve) => setTimeout(resolve, 5));
+        running--;
+        await manager.release(page);
+      })
+    );
+
+    assert.equal(peak, 2);
+    assert.equal(manager.stats.pagesCreated, 2);
+  });
+
+  it("recycles a page after its maximum number of uses", async () => {
+    const { manager } = setup({ maxPages: 1 });
+
+    const pages = [];
+    for (let i = 0; i < 4; i++) {
+      const page = await manager.acquire();
+      pages.push(page);
+      await manager.release(page);
+    }
+
+    assert.equal(pages[0], pages[2]);
+    assert.notEqual(pages[2], pages[3]);
+    assert.equal(pages[0].isClosed(), true);
+    assert.equal(manager.stats.pagesRecycled, 1);
+  });
+
+  it("relaunches the browser after a crash", async () => {
+    const { manager, browsers } = setup();
+
+    const page = await manager.acquire();
+    browsers[0].crash();
+    await manager.release(page);
+
+    const fresh = await manager.acquire();
+    assert.equal(browsers.length, 2);
+    assert.equal(fresh.browser(), browsers[1]);
+    assert.equal(manager.stats.crashes, 1);
+  });
+
+  it("closes discarded and crashed pages instead of pooling them", async () => {
+    const { manager } = setup();
+
+    const discarded = await manager.acquire();
+    await manager.release(discarded, { discard: true });
+    const crashed = await manager.acquire();
+    crashed.emit("error", new Error("Page crashed!"));
+    await manager.release(crashed);
+
+    assert.equal(discarded.isClosed(), true);
+    assert.equal(crashed.isClosed(), true);
+    assert.equal(manager.stats.pagesCreated, 2);
+  });
+});
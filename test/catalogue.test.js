@@ -0,0 +1,293 @@
+const { describe, it, before, after, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  parseListingCard,
+  matchCatalogueRules,
+  mergeCatalogue,
+  runCataloguePass,
+  addSearchResultToWatchlist,
+  loadWatchlist,
+} = require("../smart-scraper");
+
+const MOVIES = "https://in.bookmyshow.com/movies/hyderabad";
+
+const LISTINGS = {
+  "/explore/movies-hyderabad": [
+    { href: `${MOVIES}/war-2/ET00356501`, text: "War 2\nUA16+\nHindi" },
+  ],
+  "/explore/upcoming-movies-hyderabad": [
+    {
+      href: `${MOVIES}/dragon/ET00431234`,
+      text: "Dragon\nUA\nTelugu, Hindi",
+    },
+    {
+      href: `${MOVIES}/the-raja-saab/ET00383474`,
+      text: "The Raja Saab\nUA\nTelugu",
+    },
+    { href: `${MOVIES}/war-2/ET00356501`, text: "War 2\nUA16+\nHindi" },
+  ],
+};
+
+const CAST = {
+  ET00431234: ["N. T. Rama Rao Jr.", "Rukmini Vasanth"],
+  ET00383474: ["Prabhas", "Malavika Mohanan"],
+};
+
+/**
+ * Browser manager double serving listing cards and cast lists by URL; movie
+ * pages in `castFailures` fail once
+ */
+function createListingBrowser(listings = LISTINGS, castFailures = new Set()) {
+  const visited = [];
+  const page = {
+    url: null,
+    async goto(url) {
+      page.url = url;
+      visited.push(url);
+    },
+    async evaluate() {
+      const { pathname } = new URL(page.url);
+      const code = pathname.match(/ET\d+/);
+      if (code && castFailures.delete(code[0])) {
+        throw new Error("Navigation timeout of 45000 ms exceeded");
+      }
+      return code ? CAST[code[0]] || [] : listings[pathname] || [];
+    },
+  };
+
+  return {
+    visited,
+    async acquire() {
+      return page;
+    },
+    async release() {},
+  };
+}
+
+describe("catalogue setting", () => {
+  it("reports every problem with the city and rules", () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "bms-catalogue-"));
+    const file = path.join(dir, "watchlist.json");
+    fs.writeFileSync(
+      file,
+      JSON.stringify({
+        catalogue: {
+          city: "hyderabad",
+          listings: ["trending"],
+          rules: [{ autoAdd: "yes" }, { keywords: "dragon" }],
+        },
+        movies: [],
+      })
+    );
+
+    try {
+      assert.throws(
+        () => loadWatchlist(file),
+        (error) =>
+          /"listings" must be a list of now-showing, coming-soon/.test(
+            error.message
+          ) &&
+          /\[0\] needs one of keywords, actors, languages/.test(
+            error.message
+          ) &&
+          /\[0\] "autoAdd" must be true or false/.test(error.message) &&
+          /\[1\] "keywords" must be a list of strings/.test(error.message)
+      );
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe("matchCatalogueRules", () => {
+  const dragon = {
+    ...parseListingCard(
+      LISTINGS["/explore/upcoming-movies-hyderabad"][0],
+      "coming soon"
+    ),
+    cast: CAST.ET00431234,
+  };
+
+  it("needs every field a rule sets to match", () => {
+    const rules = [
+      { name: "NTR", actors: ["Rama Rao Jr"] },
+      { keywords: ["dragon"], languages: ["tamil"] },
+      { keywords: ["war", "dragon"], languages: ["Telugu"] },
+    ];
+
+    assert.deepEqual(matchCatalogueRules(dragon, rules), [rules[0], rules[2]]);
+  });
+});
+
+describe("mergeCatalogue", () => {
+  it("returns only unseen ET codes and refreshes known ones", () => {
+    const catalogue = {};
+    const upcoming = parseListingCard(
+      LISTINGS["/explore/upcoming-movies-hyderabad"][2],
+      "coming soon"
+    );
+    const showing = parseListingCard(
+      LISTINGS["/explore/movies-hyderabad"][0],
+      "now showing"
+    );
+
+    const first = mergeCatalogue(catalogue, [upcoming, upcoming]);
+    const second = mergeCatalogue(catalogue, [showing]);
+
+    assert.deepEqual(
+      first.map((entry) => entry.movieCode),
+      ["ET00356501"]
+    );
+    assert.deepEqual(second, []);
+    assert.equal(catalogue.ET00356501.status, "now showing");
+    assert.equal(catalogue.ET00356501.url, `${MOVIES}/war-2/ET00356501`);
+  });
+});
+
+describe("runCataloguePass", () => {
+  let dir;
+
+  before(() => {
+    mock.method(console, "log", () => {});
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "bms-catalogue-"));
+  });
+
+  after(() => {
+    mock.restoreAll();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  // A catalogue from an earlier scan, so the titles above count as new
+  const seedCatalogue = (filePath) =>
+    fs.writeFileSync(
+      filePath,
+      JSON.stringify({
+        ET00000001: { title: "Older Film", movieCode: "ET00000001" },
+      })
+    );
+
+  it("only records what is listed on the first scan", async () => {
+    const filePath = path.join(dir, "first-scan.json");
+    const sent = [];
+    const added = [];
+
+    const result = await runCataloguePass(
+      { city: "hyderabad", rules: [{ keywords: ["war"], autoAdd: true }] },
+      {
+        filePath,
+        browserManager: createListingBrowser(),
+        addMovie: (entry) => added.push(entry),
+        send: async (notification) => sent.push(notification),
+      }
+    );
+
+    assert.equal(result.seeded, true);
+    assert.deepEqual(result.matches, []);
+    assert.deepEqual([sent, added], [[], []]);
+    assert.deepEqual(
+      Object.keys(JSON.parse(fs.readFileSync(filePath, "utf8"))).sort(),
+      ["ET00356501", "ET00383474", "ET00431234"]
+    );
+  });
+
+  it("retries the cast of a title whose page failed", async () => {
+    const filePath = path.join(dir, "cast-retry.json");
+    seedCatalogue(filePath);
+    const sent = [];
+    const browserManager = createListingBrowser(
+      LISTINGS,
+      new Set(["ET00383474"])
+    );
+    const run = () =>
+      runCataloguePass(
+        { city: "hyderabad", rules: [{ actors: ["Prabhas"] }] },
+        {
+          filePath,
+          browserManager,
+          send: async (notification) => sent.push(notification),
+        }
+      );
+
+    const first = await run();
+    assert.deepEqual(first.matches, []);
+    assert.equal(
+      JSON.parse(fs.readFileSync(filePath, "utf8")).ET00383474,
+      undefined
+    );
+
+    const second = await run();
+    assert.deepEqual(
+      second.matches.map(({ entry }) => entry.title),
+      ["The Raja Saab"]
+    );
+    assert.equal(sent.length, 1);
+  });
+
+  it("alerts on new matches, adds auto-add ones once and remembers titles", async () => {
+    const filePath = path.join(dir, "catalogue.json");
+    seedCatalogue(filePath);
+    const watchlistFile = path.join(dir, "watchlist.json");
+    fs.writeFileSync(
+      watchlistFile,
+      JSON.stringify({
+        movies: [
+          {
+            name: "War 2",
+            url: `${MOVIES}/war-2/buytickets/ET00356501/20250814`,
+          },
+        ],
+      })
+    );
+    const settings = {
+      city: "Hyderabad",
+      rules: [
+        { name: "Prabhas", actors: ["prabhas"], autoAdd: true },
+        { keywords: ["dragon", "war"] },
+      ],
+    };
+    const sent = [];
+    const browserManager = createListingBrowser();
+    const run = () =>
+      runCataloguePass(settings, {
+        filePath,
+        browserManager,
+        movies: loadWatchlist(watchlistFile).movies,
+        addMovie: (entry) =>
+          addSearchResultToWatchlist(entry, null, watchlistFile),
+        send: async (notification) => sent.push(notification),
+      });
+
+    const result = await run();
+
+    assert.equal(result.listed, 4);
+    assert.equal(result.fresh.length, 3);
+    assert.deepEqual(
+      result.matches.map(({ entry, added }) => [entry.title, added]),
+      [
+        ["War 2", null],
+        ["Dragon", null],
+        ["The Raja Saab", "The Raja Saab"],
+      ]
+    );
+    assert.deepEqual(
+      sent.map((notification) => notification.event),
+      ["catalogue_match", "catalogue_match", "catalogue_match"]
+    );
+    assert.match(sent[2].text, /Added to the watchlist/);
+    assert.deepEqual(
+      loadWatchlist(watchlistFile).movies.map((movie) => movie.name),
+      ["War 2", "The Raja Saab"]
+    );
+
+    const stored = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    assert.deepEqual(stored.ET00383474.cast, CAST.ET00383474);
+
+    sent.length = 0;
+    const again = await run();
+    assert.deepEqual(again.fresh, []);
+    assert.deepEqual(sent, []);
+  });
+});
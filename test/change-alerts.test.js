@@ -0,0 +1,128 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  diffTheatres,
+  planNotification,
+  composeNotification,
+  compileTheatreFilter,
+  CONFIG,
+} = require("../smart-scraper");
+
+const theatre = (name, times) => ({
+  theatre: name,
+  showtimes: times.map((time) => ({
+    time,
+    availability: "available",
+    categories: [],
+  })),
+});
+
+const movieData = (theatres) => ({
+  movieTitle: "Coolie",
+  currentStatus: "BOOKING_AVAILABLE",
+  pageUrl:
+    "https://in.bookmyshow.com/movies/hyderabad/coolie/buytickets/ET00395817/20250814",
+  theatres,
+});
+
+const before = [
+  theatre("AMB Cinemas: Gachibowli", ["10:30 AM", "02:15 PM"]),
+  theatre("PVR: Nexus Mall, Kukatpally", ["11:15 AM"]),
+];
+
+describe("diffTheatres", () => {
+  it("reports new theatres, new and gone showtimes, and dropped theatres", () => {
+    const diff = diffTheatres(before, [
+      theatre("amb cinemas gachibowli", ["10:30 am", "06:45 PM"]),
+      theatre("Prasads Multiplex: Hyderabad", ["09:00 AM"]),
+    ]);
+
+    assert.deepEqual(
+      diff.addedTheatres.map((added) => added.theatre),
+      ["Prasads Multiplex: Hyderabad"]
+    );
+    assert.deepEqual(
+      diff.changedTheatres.map((change) => [
+        change.theatre,
+        change.addedShowtimes.map((show) => show.time),
+        change.removedShowtimes.map((show) => show.time),
+      ]),
+      [["amb cinemas gachibowli", ["06:45 PM"], ["02:15 PM"]]]
+    );
+    assert.deepEqual(
+      diff.removedTheatres.map((removed) => removed.theatre),
+      ["PVR: Nexus Mall, Kukatpally"]
+    );
+    assert.equal(diff.hasAdditions, true);
+  });
+
+  it("sees no additions when shows only go away", () => {
+    const diff = diffTheatres(before, [before[0]]);
+
+    assert.equal(diff.hasChanges, true);
+    assert.equal(diff.hasAdditions, false);
+    assert.equal(diffTheatres(before, before).hasChanges, false);
+  });
+});
+
+describe("planNotification", () => {
+  it("sends the full listing when booking first opens", () => {
+    const plan = planNotification(movieData(before), null);
+
+    assert.equal(plan.isFirstOpening, true);
+    assert.equal(plan.fullListing, true);
+    assert.equal(plan.shouldNotify, true);
+  });
+
+  it("only alerts on additions afterwards, as a change message", () => {
+    const unchanged = planNotification(movieData(before), movieData(before));
+    assert.equal(unchanged.shouldNotify, false);
+    assert.equal(
+      planNotification(movieData([before[0]]), movieData(before)).shouldNotify,
+      false
+    );
+
+    const current = movieData([
+      theatre("AMB Cinemas: Gachibowli", ["10:30 AM", "02:15 PM", "09:45 PM"]),
+      before[1],
+    ]);
+    const plan = planNotification(current, movieData(before));
+    assert.equal(plan.shouldNotify, true);
+    assert.equal(plan.fullListing, false);
+
+    const { text } = composeNotification(current, false, null, plan);
+    assert.match(text, /booking update/);
+    assert.match(
+      text,
+      /New showtimes:\*\n• \*AMB Cinemas: Gachibowli\*: 🟢 09:45 PM/
+    );
+    assert.doesNotMatch(text, /PVR/);
+  });
+
+  it("sends the full listing every time with FULL_LISTING", () => {
+    const saved = CONFIG.FULL_LISTING;
+    CONFIG.FULL_LISTING = true;
+    try {
+      const plan = planNotification(movieData(before), movieData(before));
+      assert.equal(plan.fullListing, true);
+      assert.equal(plan.shouldNotify, true);
+    } finally {
+      CONFIG.FULL_LISTING = saved;
+    }
+  });
+
+  it("only lets preferred theatres trigger an alert", () => {
+    const filters = [compileTheatreFilter("AMB")];
+    const current = movieData([
+      before[0],
+      theatre("PVR: Nexus Mall, Kukatpally", ["11:15 AM", "08:00 PM"]),
+    ]);
+
+    const plan = planNotification(current, movieData(before), filters);
+    assert.equal(plan.shouldNotify, false);
+    assert.deepEqual(
+      plan.others.map((other) => other.theatre),
+      ["PVR: Nexus Mall, Kukatpally"]
+    );
+  });
+});
@@ -0,0 +1,63 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  analyzeURL,
+  getCityProfile,
+  isTheatreLine,
+  extractTheatresAndShowtimes,
+} = require("../smart-scraper");
+
+describe("getCityProfile", () => {
+  it("resolves city names and aliases case-insensitively", () => {
+    assert.equal(getCityProfile("hyderabad").key, "hyderabad");
+    assert.equal(getCityProfile("Secunderabad").key, "hyderabad");
+    assert.equal(getCityProfile("bangalore").key, "bengaluru");
+    assert.equal(getCityProfile("madras").key, "chennai");
+    assert.equal(getCityProfile("chennai"), getCityProfile("CHENNAI"));
+  });
+
+  it("falls back to the generic profile for unknown cities", () => {
+    assert.equal(getCityProfile("pune").key, "generic");
+    assert.equal(getCityProfile(null).key, "generic");
+    assert.equal(getCityProfile("pune").localityPattern, null);
+  });
+
+  it("is picked from the /movies/<city>/ URL segment", () => {
+    const { city } = analyzeURL(
+      "https://in.bookmyshow.com/movies/chennai/coolie/buytickets/ET00395817/20250814"
+    );
+    assert.equal(getCityProfile(city).key, "chennai");
+  });
+});
+
+describe("city-specific theatre detection", () => {
+  const page = [
+    "Sathyam Cinemas: Royapettah",
+    "10:30 AM",
+    "02:15 PM",
+    "Kasi Talkies - Ashok Nagar",
+    "06:45 PM",
+    "Movies in Chennai",
+  ].join("\n");
+
+  it("finds local venues with the city's keywords and localities", () => {
+    const chennai = getCityProfile("chennai");
+
+    assert.ok(isTheatreLine("Kasi Talkies - Ashok Nagar", chennai));
+    assert.ok(
+      !isTheatreLine("Kasi Talkies - Ashok Nagar", getCityProfile("hyderabad"))
+    );
+    assert.deepEqual(
+      extractTheatresAndShowtimes(page, [], chennai).map(
+        (theatre) => theatre.theatre
+      ),
+      ["Sathyam Cinemas: Royapettah", "Kasi Talkies - Ashok Nagar"]
+    );
+  });
+
+  it("excludes the city's own name as a theatre", () => {
+    ["Chennai", "Bengaluru", "Secunderabad"].forEach((city) =>
+      assert.ok(!isTheatreLine(city, getCityProfile(city)), city)
+    );
+  });
+});
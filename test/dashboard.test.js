@@ -0,0 +1,197 @@
+const { describe, it, before, after, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  createWatchlistSource,
+  createStatusServer,
+  createHealthTracker,
+  CONFIG,
+} = require("../smart-scraper");
+
+const COOLIE_URL =
+  "https://in.bookmyshow.com/movies/hyderabad/coolie/buytickets/ET00395817/20250814";
+const WAR_URL =
+  "https://in.bookmyshow.com/movies/hyderabad/war-2/ET00356501?type=coming-soon";
+
+const movieUrl = (url) => `/movie?url=${encodeURIComponent(url)}`;
+
+describe("dashboard", () => {
+  let dir;
+  let watchlist;
+  let statusServer;
+  let baseUrl;
+  const rechecked = [];
+
+  const states = new Map([
+    [
+      `${COOLIE_URL}#20250814`,
+      {
+        currentStatus: "BOOKING_AVAILABLE",
+        showDate: "20250814",
+        checkedAt: "2025-08-10T10:00:00.000Z",
+        theatres: [
+          {
+            theatre: "Sudarshan 35MM 4K Laser: RTC X Roads",
+            showtimes: [
+              { time: "06:30 PM", availability: "available", categories: [] },
+            ],
+          },
+        ],
+        statusHistory: [
+          { status: "COMING_SOON", at: "2025-08-01T09:00:00.000Z" },
+          { status: "BOOKING_AVAILABLE", at: "2025-08-09T18:30:00.000Z" },
+        ],
+      },
+    ],
+  ]);
+
+  const PASSWORD = "popcorn";
+  const AUTHORIZATION = `Basic ${Buffer.from(`me:${PASSWORD}`).toString(
+    "base64"
+  )}`;
+  let savedPassword;
+
+  const get = (route, headers = {}) =>
+    fetch(`${baseUrl}${route}`, {
+      headers: { Authorization: AUTHORIZATION, ...headers },
+    });
+
+  const post = (route, url, headers = {}) =>
+    fetch(`${baseUrl}${route}`, {
+      method: "POST",
+      redirect: "manual",
+      headers: {
+        "Content-Type": "application/x-www-form-urlencoded",
+        Authorization: AUTHORIZATION,
+        ...headers,
+      },
+      body: new URLSearchParams({ url }).toString(),
+    });
+
+  before(async () => {
+    mock.method(console, "log", () => {});
+    savedPassword = CONFIG.DASHBOARD_PASSWORD;
+    CONFIG.DASHBOARD_PASSWORD = PASSWORD;
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "bms-dashboard-"));
+    const watchlistFile = path.join(dir, "watchlist.json");
+    fs.writeFileSync(
+      watchlistFile,
+      JSON.stringify({
+        movies: [
+          { name: "Coolie", url: COOLIE_URL, releaseDate: "2025-08-14" },
+          { name: "War 2", url: WAR_URL },
+        ],
+      })
+    );
+    watchlist = createWatchlistSource(watchlistFile);
+
+    statusServer = createStatusServer({
+      watchlist,
+      states,
+      health: createHealthTracker(),
+      dashboard: true,
+      recheck: async (movie) => {
+        rechecked.push(movie.name);
+      },
+    });
+    const { port } = await statusServer.listen(0, "127.0.0.1");
+    baseUrl = `http://127.0.0.1:${port}`;
+  });
+
+  after(async () => {
+    mock.restoreAll();
+    CONFIG.DASHBOARD_PASSWORD = savedPassword;
+    await statusServer.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("lists every watched movie with its status", async () => {
+    const html = await (await get("/")).text();
+
+    assert.match(html, /Coolie<\/a>/);
+    assert.match(html, /BOOKING_AVAILABLE/);
+    assert.match(html, /2025-08-14/);
+    assert.match(html, /War 2<\/a>/);
+    assert.match(html, /UNCHECKED/);
+  });
+
+  it("shows theatres, showtimes and the status timeline", async () => {
+    const html = await (await get(movieUrl(COOLIE_URL))).text();
+
+    assert.match(html, /Sudarshan 35MM 4K Laser: RTC X Roads/);
+    assert.match(html, /06:30 PM/);
+    assert.ok(
+      html.indexOf("BOOKING_AVAILABLE</span></li>") <
+        html.indexOf("COMING_SOON</span></li>"),
+      "timeline is newest first"
+    );
+    assert.equal(
+      (await get("/movie?url=https%3A%2F%2Fexample.com")).status,
+      404
+    );
+  });
+
+  it("starts a re-check and redirects back to the movie", async () => {
+    const response = await post("/movie/recheck", COOLIE_URL);
+
+    assert.equal(response.status, 303);
+    assert.equal(response.headers.get("location"), movieUrl(COOLIE_URL));
+    await new Promise((resolve) => setImmediate(resolve));
+    assert.deepEqual(rechecked, ["Coolie"]);
+  });
+
+  it("pauses and resumes a movie in the watchlist file", async () => {
+    await post("/movie/pause", WAR_URL);
+    assert.equal(watchlist.movies[1].paused, true);
+    assert.match(await (await get(movieUrl(WAR_URL))).text(), /▶️ Resume/);
+
+    await post("/movie/resume", WAR_URL);
+    assert.ok(!watchlist.movies[1].paused);
+  });
+
+  it("refuses cross-site and malformed origins", async () => {
+    for (const origin of ["https://evil.example", "null", "not a url"]) {
+      const response = await post("/movie/pause", WAR_URL, { Origin: origin });
+      assert.equal(response.status, 403, origin);
+    }
+    assert.ok(!watchlist.movies[1].paused);
+  });
+
+  it("answers 413 to an oversized form", async () => {
+    mock.method(console, "error", () => {});
+    const response = await post("/movie/pause", "x".repeat(70 * 1024));
+
+    assert.equal(response.status, 413);
+    assert.deepEqual(await response.json(), {
+      error: "Request body too large",
+    });
+  });
+
+  it("checks the password but leaves the probes open", async () => {
+    assert.equal((await fetch(`${baseUrl}/`)).status, 401);
+    assert.equal(
+      (await get("/", { Authorization: "Basic bWU6bm9wZQ==" })).status,
+      401
+    );
+    assert.equal((await get("/")).status, 200);
+    // Probes stay open for load balancers and Prometheus
+    assert.equal((await fetch(`${baseUrl}/healthz`)).status, 200);
+  });
+
+  it("is read-only without a password", async () => {
+    CONFIG.DASHBOARD_PASSWORD = undefined;
+    try {
+      assert.equal((await fetch(`${baseUrl}/`)).status, 200);
+      const html = await (await fetch(`${baseUrl}${movieUrl(WAR_URL)}`)).text();
+      assert.doesNotMatch(html, /⏸️ Pause/);
+
+      const response = await post("/movie/pause", WAR_URL);
+      assert.equal(response.status, 403);
+      assert.ok(!watchlist.movies[1].paused);
+    } finally {
+      CONFIG.DASHBOARD_PASSWORD = PASSWORD;
+    }
+  });
+});
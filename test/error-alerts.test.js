@@ -0,0 +1,136 @@
+const { describe, it, before, after, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const { classifyError, createErrorAlerter } = require("../smart-scraper");
+const { startWebhookServer } = require("./helpers/webhook-server");
+
+const timeout = () => {
+  const error = new Error("Navigation timeout of 45000 ms exceeded");
+  error.name = "TimeoutError";
+  return error;
+};
+
+describe("classifyError", () => {
+  it("recognises each failure category", () => {
+    const categoryOf = (error) => classifyError(error).category;
+
+    assert.equal(categoryOf(timeout()), "timeout");
+    assert.equal(
+      categoryOf(new Error("net::ERR_NAME_NOT_RESOLVED at https://x")),
+      "navigation"
+    );
+    assert.equal(
+      categoryOf(new Error('Page blocked (HTTP 403, title "Access Denied")')),
+      "blocked"
+    );
+    assert.equal(
+      categoryOf(new Error("Every notification channel failed (telegram)")),
+      "telegram"
+    );
+    assert.equal(
+      categoryOf(new TypeError("Cannot read properties of null")),
+      "parse"
+    );
+    assert.equal(categoryOf(new Error("Something odd")), "unknown");
+  });
+
+  it("trusts an explicit category", () => {
+    const error = new Error("Page looked wrong");
+    error.category = "blocked";
+    assert.equal(classifyError(error).category, "blocked");
+  });
+});
+
+describe("createErrorAlerter", () => {
+  before(() => mock.method(console, "log", () => {}));
+  after(() => mock.restoreAll());
+
+  const setup = () => {
+    const sent = [];
+    const alerter = createErrorAlerter({
+      threshold: 3,
+      send: async (notification) => sent.push(notification),
+    });
+    return { sent, alerter };
+  };
+
+  it("alerts once after N consecutive failures", async () => {
+    const { sent, alerter } = setup();
+
+    for (let i = 0; i < 5; i++) {
+      await alerter.recordFailure("coolie", "Coolie", timeout());
+    }
+
+    assert.equal(sent.length, 1);
+    assert.equal(sent[0].event, "check_failing");
+    assert.equal(sent[0].details.failures, 3);
+    assert.match(sent[0].text, /Timeout/);
+  });
+
+  it("alerts again when the failure category changes", async () => {
+    const { sent, alerter } = setup();
+
+    for (let i = 0; i < 3; i++) {
+      await alerter.recordFailure("coolie", "Coolie", timeout());
+    }
+    await alerter.recordFailure(
+      "coolie",
+      "Coolie",
+      new Error("Page blocked (HTTP 429)")
+    );
+
+    assert.deepEqual(
+      sent.map((notification) => notification.details.category),
+      ["timeout", "blocked"]
+    );
+  });
+
+  it("sends a recovery message only after an alert", async () => {
+    const { sent, alerter } = setup();
+
+    await alerter.recordFailure("war-2", "War 2", timeout());
+    assert.equal(await alerter.recordSuccess("war-2", "War 2"), false);
+
+    for (let i = 0; i < 3; i++) {
+      await alerter.recordFailure("coolie", "Coolie", timeout());
+    }
+    assert.equal(await alerter.recordSuccess("coolie", "Coolie"), true);
+    assert.equal(sent.at(-1).event, "check_recovered");
+    assert.match(sent.at(-1).text, /recovered after 3 failure/);
+
+    // The streak starts over after recovering
+    await alerter.recordFailure("coolie", "Coolie", timeout());
+    assert.equal(sent.length, 2);
+  });
+
+  it("counts failures per check independently", async () => {
+    const { sent, alerter } = setup();
+
+    for (let i = 0; i < 2; i++) {
+      await alerter.recordFailure("coolie", "Coolie", timeout());
+      await alerter.recordFailure("war-2", "War 2", timeout());
+    }
+
+    assert.equal(sent.length, 0);
+  });
+
+  it("alerts the subscribers when no default channel is configured", async () => {
+    const server = await startWebhookServer();
+    try {
+      const alerter = createErrorAlerter({
+        threshold: 1,
+        settings: {
+          subscribers: [{ name: "Asha", webhook: `${server.url}/asha` }],
+        },
+      });
+
+      await alerter.recordFailure("coolie", "Coolie", timeout());
+
+      assert.deepEqual(
+        server.received.map(({ path, body }) => [path, body.event]),
+        [["/asha", "check_failing"]]
+      );
+    } finally {
+      await server.close();
+    }
+  });
+});
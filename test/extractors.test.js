@@ -0,0 +1,231 @@
+const { describe, it, before, after, mock } = require("node:test");
+const { EventEmitter } = require("events");
+const assert = require("node:assert/strict");
+const {
+  extractTheatresAndShowtimes,
+  extractTheatresAlternative,
+  extractFromShowtimePayloads,
+  captureShowtimePayloads,
+  compileTheatreFilter,
+  getCityProfile,
+} = require("../smart-scraper");
+const { readFixture, assertMatchesExpected } = require("./helpers/fixtures");
+
+const hyderabad = getCityProfile("hyderabad");
+const PAGE_FIXTURES = [
+  "coming-soon",
+  "released",
+  "sold-out",
+  "empty",
+  "compact-layout",
+];
+
+describe("extractTheatresAndShowtimes", () => {
+  PAGE_FIXTURES.forEach((name) => {
+    it(`matches the expected theatres for ${name}`, () => {
+      const theatres = extractTheatresAndShowtimes(
+        readFixture(`${name}.txt`),
+        [],
+        hyderabad
+      );
+      assertMatchesExpected(name, "theatres", theatres);
+    });
+  });
+
+  it("finds no theatres on coming-soon and empty pages", () => {
+    ["coming-soon", "empty"].forEach((name) => {
+      assert.deepEqual(
+        extractTheatresAndShowtimes(readFixture(`${name}.txt`), [], hyderabad),
+        []
+      );
+    });
+  });
+
+  it("lists every venue on the released page", () => {
+    const names = extractTheatresAndShowtimes(
+      readFixture("released.txt"),
+      [],
+      hyderabad
+    ).map((theatre) => theatre.theatre);
+
+    assert.deepEqual(names, [
+      "Vyjayanthi 70MM: Nacharam",
+      "Sudarshan 35MM 4K Laser: RTC X Roads",
+      "PVR: Nexus Mall, Kukatpally",
+      "AMB Cinemas: Gachibowli",
+      "Asian Mukta A2 Cinemas: Nacharam",
+      "Sandhya 70MM 4K Dolby Atmos: RTC X Roads",
+    ]);
+  });
+});
+
+describe("extractTheatresAlternative", () => {
+  PAGE_FIXTURES.forEach((name) => {
+    it(`matches the expected theatres for ${name}`, () => {
+      const theatres = extractTheatresAlternative(
+        readFixture(`${name}.txt`),
+        [],
+        hyderabad
+      );
+      assertMatchesExpected(name, "alternative", theatres);
+    });
+  });
+
+  it("picks up preferred theatres listed without inline times", () => {
+    const theatres = extractTheatresAlternative(
+      readFixture("compact-layout.txt"),
+      [compileTheatreFilter("uk cineplex")],
+      hyderabad
+    );
+    assert.ok(theatres.some((theatre) => theatre.theatre === "UK Cineplex"));
+  });
+});
+
+describe("showtime availability", () => {
+  it("reads sold-out and filling-fast labels below each time", () => {
+    const [vyjayanthi] = extractTheatresAndShowtimes(
+      readFixture("sold-out.txt"),
+      [],
+      hyderabad
+    );
+    assert.deepEqual(
+      vyjayanthi.showtimes
+        .slice(0, 3)
+        .map(({ time, availability }) => `${time} ${availability}`),
+      ["07:00 AM sold-out", "10:30 AM sold-out", "02:15 PM almost-full"]
+    );
+  });
+});
+
+describe("extractFromShowtimePayloads", () => {
+  it("builds theatres with venue codes and sessions", () => {
+    const theatres = extractFromShowtimePayloads([
+      JSON.parse(readFixture("released.showtimes.json")),
+    ]);
+    assertMatchesExpected("released", "payload", theatres);
+    assert.deepEqual(
+      theatres.map((theatre) => theatre.venueCode),
+      ["VYJH", "SDRS", "PVNX"]
+    );
+  });
+
+  it("derives show availability from seat counts and price categories", () => {
+    const [vyjayanthi, sudarshan] = extractFromShowtimePayloads([
+      JSON.parse(readFixture("released.showtimes.json")),
+    ]);
+    assert.deepEqual(
+      vyjayanthi.showtimes.map((showtime) => showtime.availability),
+      ["sold-out", "filling-fast", "unknown"]
+    );
+    assert.equal(sudarshan.showtimes[0].availability, "sold-out");
+    assert.deepEqual(
+      vyjayanthi.showtimes[1].categories.map((category) => category.price),
+      [250, 175]
+    );
+  });
+
+  it("ignores payloads without venue records", () => {
+    assert.deepEqual(
+      extractFromShowtimePayloads([{ banners: [{ title: "Offer" }] }]),
+      []
+    );
+  });
+});
+
+describe("payload shapes", () => {
+  it("reads nested camelCase payloads and normalizes show times", () => {
+    const [theatre] = extractFromShowtimePayloads([
+      {
+        data: {
+          cinemas: [
+            {
+              venueName: " AMB Cinemas: Gachibowli ",
+              venueCode: "AMBH",
+              sessions: [
+                { time: "22:15", sessionId: "1" },
+                { time: "2025-08-14T09:05:00+05:30", sessionId: "2" },
+                { time: "10:30am", sessionId: "3" },
+                { time: "soon", sessionId: "4" },
+              ],
+            },
+          ],
+        },
+      },
+    ]);
+
+    assert.equal(theatre.theatre, "AMB Cinemas: Gachibowli");
+    assert.equal(theatre.venueCode, "AMBH");
+    assert.deepEqual(
+      theatre.showtimes.map((showtime) => [showtime.time, showtime.sessionId]),
+      [
+        ["10:15 PM", "1"],
+        ["09:05 AM", "2"],
+        ["10:30 AM", "3"],
+      ]
+    );
+  });
+
+  it("merges a venue seen in several payloads without repeating sessions", () => {
+    const venue = (shows) => ({
+      VenueName: "PVR: Nexus Mall, Kukatpally",
+      VenueCode: "PVNX",
+      ShowTimes: shows,
+    });
+
+    const theatres = extractFromShowtimePayloads([
+      { venues: [venue([{ ShowTime: "11:15 AM", SessionId: "11" }])] },
+      {
+        venues: [
+          venue([
+            { ShowTime: "11:15 AM", SessionId: "11" },
+            { ShowTime: "11:15 AM", SessionId: "12", ScreenName: "IMAX" },
+          ]),
+        ],
+      },
+    ]);
+
+    assert.equal(theatres.length, 1);
+    assert.deepEqual(
+      theatres[0].showtimes.map((showtime) => showtime.sessionId),
+      ["11", "12"]
+    );
+  });
+});
+
+describe("captureShowtimePayloads", () => {
+  before(() => mock.method(console, "log", () => {}));
+  after(() => mock.restoreAll());
+
+  const response = (resourceType, contentType, body) => ({
+    url: () => "https://in.bookmyshow.com/api/movies-data/showtimes",
+    request: () => ({ resourceType: () => resourceType }),
+    headers: () => ({ "content-type": contentType }),
+    json: () =>
+      body instanceof Error ? Promise.reject(body) : Promise.resolve(body),
+  });
+  const showtimes = {
+    venues: [
+      { VenueName: "Sudarshan 35MM", ShowTimes: [{ ShowTime: "06:00 PM" }] },
+    ],
+  };
+
+  it("keeps JSON XHR and fetch responses that carry venues", async () => {
+    const page = new EventEmitter();
+    const capture = captureShowtimePayloads(page);
+
+    page.emit("response", response("xhr", "application/json", showtimes));
+    page.emit("response", response("fetch", "application/json", showtimes));
+    page.emit("response", response("script", "application/json", showtimes));
+    page.emit("response", response("xhr", "text/html", showtimes));
+    page.emit("response", response("xhr", "application/json", { ads: [] }));
+    page.emit(
+      "response",
+      response("fetch", "application/json", new Error("no body"))
+    );
+
+    assert.equal((await capture.collect()).length, 2);
+
+    capture.dispose();
+    assert.equal(page.listenerCount("response"), 0);
+  });
+});
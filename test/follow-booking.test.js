@@ -0,0 +1,156 @@
+const { describe, it, before, after, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  createWatchlistSource,
+  createStateStore,
+  followBookingUrl,
+  loadWatchlist,
+  smartScraper,
+  CONFIG,
+} = require("../smart-scraper");
+const { startWebhookServer } = require("./helpers/webhook-server");
+
+const COMING_SOON_URL =
+  "https://in.bookmyshow.com/movies/hyderabad/coolie/ET00395817?type=coming-soon";
+const BOOKING_URL =
+  "https://in.bookmyshow.com/movies/hyderabad/coolie/buytickets/ET00454424/20250814";
+
+describe("followBookingUrl", () => {
+  let dir;
+  let watchlistFile;
+
+  before(() => {
+    mock.method(console, "log", () => {});
+    mock.method(console, "error", () => {});
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "bms-follow-"));
+    watchlistFile = path.join(dir, "watchlist.json");
+  });
+
+  after(() => {
+    mock.restoreAll();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("switches the entry to its booking page and records the switch", () => {
+    fs.writeFileSync(
+      watchlistFile,
+      JSON.stringify({
+        movies: [{ name: "Coolie", url: COMING_SOON_URL, emoji: "🚂" }],
+      })
+    );
+    const watchlist = createWatchlistSource(watchlistFile);
+
+    const followed = followBookingUrl(
+      watchlist,
+      watchlist.movies[0],
+      BOOKING_URL
+    );
+
+    assert.equal(followed.url, BOOKING_URL);
+    assert.equal(followed.followedFrom, COMING_SOON_URL);
+    assert.ok(!isNaN(Date.parse(followed.followedAt)));
+    assert.equal(followed.emoji, "🚂");
+
+    // The file itself is updated and still valid
+    assert.equal(loadWatchlist(watchlistFile).movies[0].url, BOOKING_URL);
+    const { added, removed } = watchlist.refresh();
+    assert.deepEqual(
+      [added.map((movie) => movie.url), removed.map((movie) => movie.url)],
+      [[BOOKING_URL], [COMING_SOON_URL]]
+    );
+  });
+
+  it("leaves the watchlist alone when the movie was removed meanwhile", () => {
+    fs.writeFileSync(watchlistFile, JSON.stringify({ movies: [] }));
+    const watchlist = createWatchlistSource(watchlistFile);
+
+    const followed = followBookingUrl(
+      watchlist,
+      { name: "Coolie", url: COMING_SOON_URL },
+      BOOKING_URL
+    );
+
+    assert.equal(followed, null);
+    assert.deepEqual(loadWatchlist(watchlistFile).movies, []);
+  });
+});
+
+describe("smartScraper on a coming-soon URL", () => {
+  let dir;
+  let server;
+  let savedHistory;
+
+  before(async () => {
+    mock.method(console, "log", () => {});
+    mock.method(console, "error", () => {});
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "bms-follow-single-"));
+    server = await startWebhookServer();
+    savedHistory = CONFIG.HISTORY;
+    CONFIG.HISTORY = false;
+  });
+
+  after(async () => {
+    CONFIG.HISTORY = savedHistory;
+    mock.restoreAll();
+    await server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("keeps following the booking page after a restart without re-alerting", async () => {
+    const stateFile = path.join(dir, "state.json");
+    const settings = {
+      subscribers: [{ name: "Fan", webhook: `${server.url}/fan` }],
+    };
+    const movieInfo = { name: "Coolie", url: COMING_SOON_URL, emoji: "🚂" };
+    const visited = [];
+    const analyze = async (url) => {
+      visited.push(url);
+      return url === COMING_SOON_URL
+        ? {
+            movieTitle: "Coolie",
+            currentStatus: "COMING_SOON",
+            pageUrl: url,
+            theatres: [],
+            bookingUrl: BOOKING_URL,
+          }
+        : {
+            movieTitle: "Coolie",
+            currentStatus: "BOOKING_AVAILABLE",
+            pageUrl: url,
+            theatres: [
+              {
+                theatre: "AMB Cinemas: Gachibowli",
+                showtimes: [
+                  {
+                    time: "10:30 AM",
+                    availability: "available",
+                    categories: [],
+                  },
+                ],
+              },
+            ],
+          };
+    };
+    const run = () =>
+      smartScraper(COMING_SOON_URL, true, movieInfo, settings, {
+        stateStore: createStateStore("json", stateFile),
+        analyze,
+      });
+
+    await run();
+    assert.deepEqual(visited, [COMING_SOON_URL, BOOKING_URL]);
+    assert.equal(server.received.length, 1);
+
+    // Restart: same state file, fresh store
+    await run();
+    assert.deepEqual(visited.slice(2), [BOOKING_URL]);
+    assert.equal(server.received.length, 1);
+    assert.deepEqual(
+      Object.keys(JSON.parse(fs.readFileSync(stateFile, "utf8"))),
+      [COMING_SOON_URL]
+    );
+  });
+});
@@ -0,0 +1,44 @@
+/**
+ * Fixture helpers for the offline extractor tests
+ *
+ * Expected outputs live next to the page snapshots as <name>.expected.json.
+ * Run `UPDATE_FIXTURES=1 npm test` to regenerate them after an intentional
+ * extractor change, then review the diff.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const assert = require("node:assert/strict");
+
+const FIXTURES_DIR = path.join(__dirname, "..", "fixtures");
+
+/**
+ * Reads a fixture file (text dump, HTML or JSON payload)
+ */
+function readFixture(fileName) {
+  return fs.readFileSync(path.join(FIXTURES_DIR, fileName), "utf8");
+}
+
+/**
+ * Compares a value with <name>.expected.json, or rewrites it when updating
+ */
+function assertMatchesExpected(name, key, actual) {
+  const expectedPath = path.join(FIXTURES_DIR, `${name}.expected.json`);
+  const expected = fs.existsSync(expectedPath)
+    ? JSON.parse(fs.readFileSync(expectedPath, "utf8"))
+    : {};
+
+  if (process.env.UPDATE_FIXTURES === "1") {
+    expected[key] = actual;
+    fs.writeFileSync(expectedPath, JSON.stringify(expected, null, 2) + "\n");
+    return;
+  }
+
+  assert.ok(
+    key in expected,
+    `${name}.expected.json has no "${key}" entry (run with UPDATE_FIXTURES=1)`
+  );
+  assert.deepEqual(actual, expected[key]);
+}
+
+module.exports = { FIXTURES_DIR, readFixture, assertMatchesExpected };
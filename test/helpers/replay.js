@@ -0,0 +1,66 @@
+/**
+ * Replays saved pages into headless Chrome through request interception,
+ * so analyzeMoviePage can run end to end without network access.
+ */
+
+const puppeteer = require("puppeteer");
+const { readFixture } = require("./fixtures");
+
+/**
+ * Checks once whether a Chromium build can be launched on this machine
+ */
+let launchCheck = null;
+function canLaunchBrowser() {
+  if (!launchCheck) {
+    launchCheck = puppeteer
+      .launch({ headless: "new", args: ["--no-sandbox"] })
+      .then(async (browser) => {
+        await browser.close();
+        return true;
+      })
+      .catch(() => false);
+  }
+  return launchCheck;
+}
+
+/**
+ * Builds a preparePage hook that serves the page snapshot for the document
+ * request, fixture JSON for matching API calls, and aborts everything else
+ */
+function replayFixture(htmlFixture, apiFixtures = {}) {
+  return async (page) => {
+    await page.setRequestInterception(true);
+
+    page.on("request", (request) => {
+      if (request.isInterceptResolutionHandled()) return;
+
+      if (
+        request.isNavigationRequest() &&
+        request.frame() === page.mainFrame()
+      ) {
+        request.respond({
+          status: 200,
+          contentType: "text/html; charset=utf-8",
+          body: readFixture(htmlFixture),
+        });
+        return;
+      }
+
+      const apiMatch = Object.keys(apiFixtures).find((pattern) =>
+        request.url().includes(pattern)
+      );
+      if (apiMatch) {
+        request.respond({
+          status: 200,
+          contentType: "application/json",
+          body: readFixture(apiFixtures[apiMatch]),
+        });
+        return;
+      }
+
+      request.abort();
+    });
+  };
+}
+
+module.exports = { canLaunchBrowser, replayFixture };
@@ -0,0 +1,107 @@
+/**
+ * Local stand-in for the Telegram Bot API
+ *
+ * Serves queued updates to getUpdates (honouring offset) and records every
+ * sendMessage call, so the command bot can be exercised without the network.
+ * failNext() makes upcoming calls fail, e.g. with a 429 and retry_after.
+ */
+
+const http = require("http");
+
+/**
+ * Starts the stand-in on a free port; resolves to { url, sent, push, failNext, reset, close }
+ */
+function startTelegramApi() {
+  const updates = [];
+  const sent = [];
+  const failures = [];
+  let nextUpdateId = 1;
+
+  const server = http.createServer((request, response) => {
+    let body = "";
+    request.on("data", (chunk) => (body += chunk));
+    request.on("end", () => {
+      const params = body ? JSON.parse(body) : {};
+      const method = request.url.split("/").pop();
+      const reply = (result) => {
+        response.setHeader("Content-Type", "application/json");
+        response.end(JSON.stringify({ ok: true, result }));
+      };
+
+      if (failures.length > 0) {
+        const { status, parameters } = failures.shift();
+        response.statusCode = status;
+        response.setHeader("Content-Type", "application/json");
+        response.end(
+          JSON.stringify({
+            ok: false,
+            error_code: status,
+            description: `Forced ${status}`,
+            parameters,
+          })
+        );
+      } else if (method === "sendMessage") {
+        sent.push(params);
+        reply({ message_id: sent.length, text: params.text });
+      } else if (method === "getUpdates") {
+        // Short poll: answer straight away instead of holding the request
+        setTimeout(
+          () =>
+            reply(
+              updates.filter(
+                (update) => update.update_id >= (params.offset || 0)
+              )
+            ),
+          20
+        );
+      } else {
+        response.statusCode = 404;
+        response.end(JSON.stringify({ ok: false, description: "Not Found" }));
+      }
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        sent,
+
+        /**
+         * Queues a text message from the given chat
+         */
+        push(text, chatId) {
+          const update = {
+            update_id: nextUpdateId++,
+            message: { message_id: nextUpdateId, chat: { id: chatId }, text },
+          };
+          updates.push(update);
+          return update;
+        },
+
+        /**
+         * Makes the next `times` API calls fail with the given status
+         */
+        failNext(status, { times = 1, parameters } = {}) {
+          for (let i = 0; i < times; i++) failures.push({ status, parameters });
+        },
+
+        /**
+         * Forgets queued updates, sent messages and pending failures
+         */
+        reset() {
+          updates.length = 0;
+          sent.length = 0;
+          failures.length = 0;
+        },
+
+        close() {
+          server.closeAllConnections();
+          return new Promise((done) => server.close(done));
+        },
+      });
+    });
+  });
+}
+
+module.exports = { startTelegramApi };
@@ -0,0 +1,53 @@
+/**
+ * Local webhook receiver for the notifier tests
+ *
+ * Records every JSON POST by path; paths registered with fail() answer
+ * with an error status instead.
+ */
+
+const http = require("http");
+
+/**
+ * Starts the receiver on a free port; resolves to { url, received, fail, close }
+ */
+function startWebhookServer() {
+  const received = [];
+  const failures = new Map();
+
+  const server = http.createServer((request, response) => {
+    let body = "";
+    request.on("data", (chunk) => (body += chunk));
+    request.on("end", () => {
+      if (failures.has(request.url)) {
+        response.statusCode = failures.get(request.url);
+        response.end("failed");
+        return;
+      }
+      received.push({ path: request.url, body: JSON.parse(body) });
+      response.end("ok");
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        received,
+
+        /**
+         * Makes a path answer with the given HTTP status
+         */
+        fail(requestPath, status = 500) {
+          failures.set(requestPath, status);
+        },
+
+        close() {
+          server.closeAllConnections();
+          return new Promise((done) => server.close(done));
+        },
+      });
+    });
+  });
+}
+
+module.exports = { startWebhookServer };
@@ -0,0 +1,123 @@
+const { describe, it, before, after, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { recordSnapshot, exportHistory } = require("../smart-scraper");
+
+const COOLIE_URL =
+  "https://in.bookmyshow.com/movies/hyderabad/coolie/buytickets/ET00395817/20250814";
+const WAR_URL =
+  "https://in.bookmyshow.com/movies/hyderabad/war-2/ET00356501?type=coming-soon";
+
+describe("snapshot history", () => {
+  let dir;
+  let historyFile;
+
+  before(async () => {
+    mock.timers.enable({
+      apis: ["Date"],
+      now: new Date("2025-08-09T06:00:00Z"),
+    });
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "bms-history-"));
+    historyFile = path.join(dir, "history.jsonl");
+
+    await recordSnapshot(
+      {
+        movieTitle: "Coolie - (Telugu)",
+        pageUrl: COOLIE_URL,
+        showDate: "20250814",
+        currentStatus: "COMING_SOON",
+        theatres: [],
+      },
+      { name: "Coolie" },
+      historyFile
+    );
+
+    mock.timers.tick(24 * 60 * 60 * 1000);
+    await recordSnapshot(
+      {
+        movieTitle: "Coolie - (Telugu)",
+        pageUrl: COOLIE_URL,
+        showDate: "20250814",
+        currentStatus: "BOOKING_AVAILABLE",
+        theatres: [
+          {
+            theatre: "PVR: Nexus Mall, Kukatpally",
+            showtimes: [
+              {
+                time: "06:00 AM",
+                availability: "filling-fast",
+                categories: [],
+              },
+              { time: "09:30 AM", availability: "available", categories: [] },
+            ],
+          },
+        ],
+      },
+      { name: "Coolie" },
+      historyFile
+    );
+    await recordSnapshot(
+      {
+        movieTitle: "War 2",
+        pageUrl: WAR_URL,
+        currentStatus: "COMING_SOON",
+        theatres: [],
+      },
+      null,
+      historyFile
+    );
+  });
+
+  after(() => {
+    mock.timers.reset();
+    mock.restoreAll();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("exports one CSV row per showtime", async () => {
+    const csv = await exportHistory({ movie: "coolie" }, historyFile);
+
+    assert.deepEqual(csv.trim().split("\n"), [
+      "recorded_at,movie,movie_code,show_date,status,theatre,showtime,availability",
+      "2025-08-09T06:00:00.000Z,Coolie,ET00395817,20250814,COMING_SOON,,,",
+      '2025-08-10T06:00:00.000Z,Coolie,ET00395817,20250814,BOOKING_AVAILABLE,"PVR: Nexus Mall, Kukatpally",06:00 AM,filling-fast',
+      '2025-08-10T06:00:00.000Z,Coolie,ET00395817,20250814,BOOKING_AVAILABLE,"PVR: Nexus Mall, Kukatpally",09:30 AM,available',
+    ]);
+  });
+
+  it("filters JSON exports by movie code and show date", async () => {
+    const exported = async (options) =>
+      JSON.parse(
+        await exportHistory({ ...options, format: "json" }, historyFile)
+      ).map((snapshot) => `${snapshot.movie} ${snapshot.status}`);
+
+    // Both Coolie checks were of the 14 August shows
+    assert.deepEqual(
+      await exported({
+        movie: "ET00395817",
+        from: "2025-08-14",
+        to: "2025-08-14",
+      }),
+      ["Coolie COMING_SOON", "Coolie BOOKING_AVAILABLE"]
+    );
+    assert.deepEqual(await exported({ from: "2025-08-15" }), []);
+
+    // Without a show date, the IST day it was recorded counts
+    assert.deepEqual(await exported({ to: "2025-08-10" }), [
+      "War 2 COMING_SOON",
+    ]);
+  });
+
+  it("skips unreadable lines", async () => {
+    const file = path.join(dir, "broken.jsonl");
+    const [line] = fs.readFileSync(historyFile, "utf8").split("\n");
+    fs.writeFileSync(file, `${line}\n{"recordedAt":\n\n${line}\n`);
+    mock.method(console, "warn", () => {});
+
+    const snapshots = JSON.parse(await exportHistory({ format: "json" }, file));
+    assert.equal(snapshots.length, 2);
+    assert.equal(console.warn.mock.calls.length, 1);
+  });
+});
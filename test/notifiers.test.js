@@ -0,0 +1,172 @@
+const { describe, it, before, after, beforeEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  composeNotification,
+  sendNotification,
+  createTelegramNotifier,
+  createDiscordNotifier,
+  createSlackNotifier,
+  createEmailNotifier,
+  createWebhookNotifier,
+  CONFIG,
+} = require("../smart-scraper");
+const { startWebhookServer } = require("./helpers/webhook-server");
+const { startTelegramApi } = require("./helpers/telegram-api");
+
+const movieData = {
+  movieTitle: "Coolie",
+  currentStatus: "BOOKING_AVAILABLE",
+  pageUrl:
+    "https://in.bookmyshow.com/movies/hyderabad/coolie/buytickets/ET00395817/20250814",
+  showDate: "20250814",
+  theatres: [
+    {
+      theatre: "AMB Cinemas: Gachibowli",
+      showtimes: [
+        { time: "10:30 AM", availability: "available", categories: [] },
+      ],
+    },
+  ],
+};
+
+describe("composeNotification", () => {
+  it("builds a subject and Telegram-markdown text", () => {
+    const notification = composeNotification(movieData);
+
+    assert.equal(notification.subject, "Coolie (Thu, 14 Aug) - bookings open");
+    assert.match(notification.text, /\*AMB Cinemas: Gachibowli\*/);
+    assert.match(notification.text, /\[Movie Page\]\(https:/);
+  });
+});
+
+describe("sendNotification", () => {
+  let server;
+  let telegram;
+  let dir;
+  const saved = {};
+
+  before(async () => {
+    mock.method(console, "log", () => {});
+    mock.method(console, "error", () => {});
+    server = await startWebhookServer();
+    telegram = await startTelegramApi();
+    [
+      "TELEGRAM_API_URL",
+      "TELEGRAM_BOT_TOKEN",
+      "TELEGRAM_CHAT_ID",
+      "TELEGRAM_QUEUE_FILE",
+    ].forEach((key) => (saved[key] = CONFIG[key]));
+    Object.assign(CONFIG, {
+      TELEGRAM_API_URL: telegram.url,
+      TELEGRAM_BOT_TOKEN: "test-token",
+      TELEGRAM_CHAT_ID: "4242",
+    });
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "bms-notifiers-"));
+    CONFIG.TELEGRAM_QUEUE_FILE = path.join(dir, "telegram-queue.json");
+  });
+
+  after(async () => {
+    mock.restoreAll();
+    Object.assign(CONFIG, saved);
+    fs.rmSync(dir, { recursive: true, force: true });
+    await server.close();
+    await telegram.close();
+  });
+
+  beforeEach(() => {
+    server.received.length = 0;
+    telegram.reset();
+  });
+
+  const bodiesFor = (requestPath) =>
+    server.received
+      .filter((request) => request.path === requestPath)
+      .map((request) => request.body);
+
+  it("formats the same result for every channel", async () => {
+    const email = createEmailNotifier({
+      from: "bot@example.com",
+      to: "team@example.com",
+      transport: { jsonTransport: true },
+    });
+    const sentMail = [];
+    const emailNotifier = {
+      name: email.name,
+      send: async (notification) =>
+        sentMail.push(JSON.parse((await email.send(notification)).message)),
+    };
+
+    const result = await sendNotification(movieData, false, null, null, [
+      createTelegramNotifier(),
+      createDiscordNotifier(`${server.url}/discord`),
+      createSlackNotifier(`${server.url}/slack`),
+      createWebhookNotifier(`${server.url}/hook`),
+      emailNotifier,
+    ]);
+
+    assert.deepEqual(result, {
+      delivered: ["telegram", "discord", "slack", "webhook", "email"],
+      failed: [],
+    });
+    assert.equal(telegram.sent[0].parse_mode, "HTML");
+    assert.match(telegram.sent[0].text, /<b>AMB Cinemas: Gachibowli<\/b>/);
+    assert.match(bodiesFor("/discord")[0].content, /\*\*Coolie\*\*/);
+    assert.match(bodiesFor("/slack")[0].text, /<https:\S+\|Movie Page>/);
+
+    const [hook] = bodiesFor("/hook");
+    assert.equal(hook.status, "BOOKING_AVAILABLE");
+    assert.equal(hook.theatres[0].theatre, "AMB Cinemas: Gachibowli");
+    assert.doesNotMatch(hook.text, /\*/);
+
+    assert.equal(sentMail[0].subject, "Coolie (Thu, 14 Aug) - bookings open");
+    assert.match(sentMail[0].text, /Movie Page: https:/);
+    assert.match(sentMail[0].html, /<b>AMB Cinemas: Gachibowli<\/b>/);
+  });
+
+  it("keeps delivering when one channel fails", async () => {
+    server.fail("/broken");
+
+    const result = await sendNotification(movieData, false, null, null, [
+      createSlackNotifier(`${server.url}/broken`),
+      createWebhookNotifier(`${server.url}/hook`),
+    ]);
+
+    assert.deepEqual(result.delivered, ["webhook"]);
+    assert.equal(result.failed[0].channel, "slack");
+    assert.equal(bodiesFor("/hook").length, 1);
+  });
+
+  it("throws only when every channel fails", async () => {
+    server.fail("/broken");
+
+    await assert.rejects(
+      sendNotification(movieData, false, null, null, [
+        createDiscordNotifier(`${server.url}/broken`),
+        createSlackNotifier(`${server.url}/broken`),
+      ]),
+      /Every notification channel failed \(discord, slack\)/
+    );
+  });
+
+  it("splits long Discord messages under the 2000 character limit", async () => {
+    const crowded = {
+      ...movieData,
+      theatres: Array.from({ length: 60 }, (_, index) => ({
+        theatre: `Theatre number ${index + 1}: Somewhere in Hyderabad`,
+        showtimes: movieData.theatres[0].showtimes,
+      })),
+    };
+
+    await sendNotification(crowded, false, null, null, [
+      createDiscordNotifier(`${server.url}/discord`),
+    ]);
+
+    const posts = bodiesFor("/discord");
+    assert.ok(posts.length > 1);
+    posts.forEach((post) => assert.ok(post.content.length <= 2000));
+    assert.match(posts.at(-1).content, /Total theatres: 60/);
+  });
+});
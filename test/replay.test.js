@@ -0,0 +1,78 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { analyzeMoviePage, getBrowserManager } = require("../smart-scraper");
+const { canLaunchBrowser, replayFixture } = require("./helpers/replay");
+
+const RELEASED_URL =
+  "https://in.bookmyshow.com/movies/hyderabad/coolie/buytickets/ET00395817/20250814";
+const COMING_SOON_URL =
+  "https://in.bookmyshow.com/movies/hyderabad/coolie/ET00395817?type=coming-soon";
+
+describe("analyzeMoviePage (replayed pages)", { timeout: 120000 }, () => {
+  let skip = false;
+
+  before(async () => {
+    skip = !(await canLaunchBrowser()) && "Chromium cannot be launched here";
+  });
+
+  after(() => getBrowserManager().close());
+
+  it("reports a coming-soon page", async (t) => {
+    if (skip) return t.skip(skip);
+
+    const result = await analyzeMoviePage(COMING_SOON_URL, {
+      preparePage: replayFixture("coming-soon.html"),
+    });
+
+    assert.equal(result.currentStatus, "COMING_SOON");
+    assert.equal(result.hasInterestedButton, true);
+    assert.deepEqual(result.theatres, []);
+  });
+
+  it("resolves the booking page once a coming-soon page can be booked", async (t) => {
+    if (skip) return t.skip(skip);
+
+    const result = await analyzeMoviePage(COMING_SOON_URL, {
+      preparePage: replayFixture("booking-opened.html"),
+    });
+
+    assert.equal(result.hasBookTicketsButton, true);
+    assert.equal(
+      result.bookingUrl,
+      "https://in.bookmyshow.com/movies/hyderabad/coolie/buytickets/ET00454424/20250814"
+    );
+  });
+
+  it("reads showtimes from the captured API payload", async (t) => {
+    if (skip) return t.skip(skip);
+
+    const result = await analyzeMoviePage(RELEASED_URL, {
+      preparePage: replayFixture("released.html", {
+        "/api/movies-data/showtimes-by-event": "released.showtimes.json",
+      }),
+    });
+
+    assert.equal(result.currentStatus, "BOOKING_AVAILABLE");
+    assert.equal(result.extractionSource, "network");
+    assert.equal(result.movieTitle, "Coolie - (Telugu)");
+    assert.deepEqual(
+      result.theatres.map((theatre) => theatre.venueCode),
+      ["VYJH", "SDRS", "PVNX"]
+    );
+  });
+
+  it("falls back to page text when no payload is seen", async (t) => {
+    if (skip) return t.skip(skip);
+
+    const result = await analyzeMoviePage(RELEASED_URL, {
+      preparePage: replayFixture("sold-out.html"),
+    });
+
+    assert.equal(result.extractionSource, "text");
+    assert.ok(
+      result.theatres.some(
+        (theatre) => theatre.theatre === "Vyjayanthi 70MM: Nacharam"
+      )
+    );
+  });
+});
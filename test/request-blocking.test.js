@@ -0,0 +1,148 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { EventEmitter } = require("events");
+const {
+  shouldBlockRequest,
+  installRequestBlocking,
+} = require("../smart-scraper");
+
+const PROFILE = {
+  name: "standard",
+  resourceTypes: ["image", "media", "font"],
+  domains: ["doubleclick.net", "google-analytics.com"],
+};
+
+/**
+ * Stand-in for an intercepted Puppeteer request
+ */
+function createFakeRequest(url, resourceType, handled = false) {
+  const request = { outcome: handled ? "handled" : null };
+  request.url = () => url;
+  request.resourceType = () => resourceType;
+  request.isInterceptResolutionHandled = () => request.outcome !== null;
+  request.abort = (reason) => {
+    request.outcome = `abort:${reason}`;
+  };
+  request.continue = () => {
+    request.outcome = "continue";
+  };
+  return request;
+}
+
+function createFakePage() {
+  const page = new EventEmitter();
+  page.interception = false;
+  page.setRequestInterception = async (enabled) => {
+    page.interception = enabled;
+  };
+  return page;
+}
+
+describe("shouldBlockRequest", () => {
+  it("blocks heavy resource types and tracker domains", () => {
+    assert.equal(
+      shouldBlockRequest(
+        PROFILE,
+        "https://assets-in.bmscdn.com/a.jpg",
+        "image"
+      ),
+      true
+    );
+    assert.equal(
+      shouldBlockRequest(
+        PROFILE,
+        "https://stats.g.doubleclick.net/x.js",
+        "script"
+      ),
+      true
+    );
+    assert.equal(
+      shouldBlockRequest(
+        PROFILE,
+        "https://www.google-analytics.com/collect",
+        "xhr"
+      ),
+      true
+    );
+  });
+
+  it("keeps documents, site scripts and showtime API calls", () => {
+    assert.equal(
+      shouldBlockRequest(
+        PROFILE,
+        "https://in.bookmyshow.com/movies",
+        "document"
+      ),
+      false
+    );
+    assert.equal(
+      shouldBlockRequest(PROFILE, "https://in.bookmyshow.com/app.js", "script"),
+      false
+    );
+    assert.equal(
+      shouldBlockRequest(
+        PROFILE,
+        "https://in.bookmyshow.com/api/movies-data/showtimes-by-event",
+        "fetch"
+      ),
+      false
+    );
+    // A suffix match must fall on a label boundary
+    assert.equal(
+      shouldBlockRequest(PROFILE, "https://notdoubleclick.net/a.js", "script"),
+      false
+    );
+  });
+
+  it("blocks nothing without a profile", () => {
+    assert.equal(
+      shouldBlockRequest(null, "https://x.test/a.png", "image"),
+      false
+    );
+  });
+});
+
+describe("installRequestBlocking", () => {
+  it("aborts blocked requests and reports per-load stats", async () => {
+    const page = createFakePage();
+    const blocking = await installRequestBlocking(page, PROFILE);
+    assert.equal(page.interception, true);
+
+    const image = createFakeRequest("https://cdn.test/poster.jpg", "image");
+    const font = createFakeRequest("https://cdn.test/a.woff2", "font");
+    const api = createFakeRequest("https://in.bookmyshow.com/api/x", "fetch");
+    [image, font, api].forEach((request) => page.emit("request", request));
+    page.emit("response", { headers: () => ({ "content-length": "2048" }) });
+    page.emit("response", { headers: () => ({}) });
+
+    assert.equal(image.outcome, "abort:blockedbyclient");
+    assert.equal(font.outcome, "abort:blockedbyclient");
+    assert.equal(api.outcome, "continue");
+    assert.equal(blocking.stats.requests, 3);
+    assert.equal(blocking.stats.blocked, 2);
+    assert.equal(blocking.stats.bytesLoaded, 2048);
+    assert.ok(blocking.stats.bytesSaved > 0);
+    assert.deepEqual(blocking.stats.blockedByType, { image: 1, font: 1 });
+  });
+
+  it("leaves requests another handler already resolved", async () => {
+    const page = createFakePage();
+    const blocking = await installRequestBlocking(page, PROFILE);
+
+    const replayed = createFakeRequest("https://cdn.test/a.jpg", "image", true);
+    page.emit("request", replayed);
+
+    assert.equal(replayed.outcome, "handled");
+    assert.equal(blocking.stats.requests, 0);
+  });
+
+  it("stops intercepting when disposed", async () => {
+    const page = createFakePage();
+    const blocking = await installRequestBlocking(page, PROFILE);
+    await blocking.dispose();
+
+    assert.equal(page.interception, false);
+    assert.equal(page.listenerCount("request"), 0);
+    assert.equal(page.listenerCount("response"), 0);
+  });
+});
@@ -0,0 +1,142 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  nextCronTime,
+  nextCheckTime,
+  loadWatchlist,
+  CONFIG,
+} = require("../smart-scraper");
+
+const COOLIE = {
+  name: "Coolie",
+  url: "https://in.bookmyshow.com/movies/hyderabad/coolie/buytickets/ET00395817/20250814",
+  releaseDate: "August 14, 2025",
+};
+
+// 10:00 IST on Thursday 7 August 2025
+const NOW = new Date("2025-08-07T04:30:00Z");
+
+const minutesUntil = ({ at }) => (at - NOW) / 60000;
+
+describe("nextCronTime", () => {
+  it("evaluates expressions in India time", () => {
+    assert.equal(
+      nextCronTime("*/15 * * * *", NOW).toISOString(),
+      "2025-08-07T04:45:00.000Z"
+    );
+    // 06:00 IST tomorrow
+    assert.equal(
+      nextCronTime("0 6 * * *", NOW).toISOString(),
+      "2025-08-08T00:30:00.000Z"
+    );
+    // Next Monday at 18:30 IST
+    assert.equal(
+      nextCronTime("30 18 * * 1", NOW).toISOString(),
+      "2025-08-11T13:00:00.000Z"
+    );
+    assert.equal(
+      nextCronTime("0 9-11 1,15 * *", NOW).toISOString(),
+      "2025-08-15T03:30:00.000Z"
+    );
+  });
+
+  it("rejects malformed expressions", () => {
+    assert.throws(() => nextCronTime("* * *", NOW), /needs 5 fields/);
+    assert.throws(() => nextCronTime("61 * * * *", NOW), /minute "61"/);
+    assert.throws(() => nextCronTime("0 0 31 2 *", NOW), /never matches/);
+  });
+});
+
+describe("nextCheckTime", () => {
+  it("defaults to the fixed check interval", () => {
+    assert.equal(
+      minutesUntil(nextCheckTime(COOLIE, {}, [], NOW)),
+      CONFIG.CHECK_INTERVAL_MINUTES
+    );
+    assert.equal(
+      minutesUntil(nextCheckTime({ ...COOLIE, schedule: 20 }, {}, [], NOW)),
+      20
+    );
+  });
+
+  it("uses the movie's cron schedule over the watchlist's", () => {
+    const next = nextCheckTime(
+      { ...COOLIE, schedule: "0 6 * * *" },
+      { schedule: "adaptive" },
+      [],
+      NOW
+    );
+    assert.equal(next.at.toISOString(), "2025-08-08T00:30:00.000Z");
+    assert.match(next.reason, /cron/);
+  });
+
+  it("polls faster as the release date gets close", () => {
+    const adaptive = { schedule: "adaptive" };
+    const at = (now) => nextCheckTime(COOLIE, adaptive, [], now);
+    const minutes = (now) => (at(now).at - now) / 60000;
+
+    assert.equal(minutes(new Date("2025-06-01T04:30:00Z")), 360);
+    assert.equal(minutes(NOW), 30);
+    assert.equal(minutes(new Date("2025-08-12T04:30:00Z")), 15);
+    assert.equal(minutes(new Date("2025-08-13T04:30:00Z")), 5);
+    // Release day passed without bookings: keep polling fast
+    assert.equal(minutes(new Date("2025-08-16T04:30:00Z")), 5);
+  });
+
+  it("slows down once booking is fully open", () => {
+    const open = {
+      currentStatus: "BOOKING_AVAILABLE",
+      theatres: [
+        { theatre: "AMB Cinemas: Gachibowli", showtimes: ["10:30 AM"] },
+      ],
+    };
+    const settings = { schedule: "adaptive" };
+
+    assert.equal(
+      minutesUntil(nextCheckTime(COOLIE, settings, [open], NOW)),
+      180
+    );
+    // A preferred theatre that has not opened yet keeps the faster pace
+    assert.equal(
+      minutesUntil(
+        nextCheckTime(
+          { ...COOLIE, preferredTheatres: ["PVR"] },
+          settings,
+          [open],
+          NOW
+        )
+      ),
+      30
+    );
+  });
+});
+
+describe("schedule validation", () => {
+  it("rejects cron schedules that never fire when the watchlist loads", () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "bms-schedule-"));
+    const file = path.join(dir, "watchlist.json");
+    fs.writeFileSync(
+      file,
+      JSON.stringify({
+        schedule: "0 0 30 2 *",
+        movies: [{ ...COOLIE, schedule: "0 0 31 2 *" }],
+      })
+    );
+
+    try {
+      assert.throws(
+        () => loadWatchlist(file),
+        (error) =>
+          /"schedule" cron "0 0 30 2 \*" never matches/.test(error.message) &&
+          /\(Coolie\): "schedule" cron "0 0 31 2 \*" never matches/.test(
+            error.message
+          )
+      );
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,126 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  parseListingCard,
+  findTitleMatches,
+  addSearchResultToWatchlist,
+  loadWatchlist,
+} = require("../smart-scraper");
+
+const card = (slug, code, text) => ({
+  href: `https://in.bookmyshow.com/movies/hyderabad/${slug}/${code}`,
+  text,
+});
+
+const LISTING = [
+  parseListingCard(
+    card("war-2", "ET00356501", "Promoted\nWar 2\nUA16+\nHindi"),
+    "now showing"
+  ),
+  parseListingCard(
+    card(
+      "war-2-telugu",
+      "ET00452328",
+      "War 2 (Telugu)\n8.1/10 12.3K Votes\nUA16+\nTelugu"
+    ),
+    "now showing"
+  ),
+  parseListingCard(
+    card("coolie", "ET00395817", "Coolie\nA\nTamil, Telugu, Hindi, Kannada"),
+    "coming soon"
+  ),
+  parseListingCard(
+    card("warfare", "ET00441100", "Warfare\nA\nEnglish"),
+    "now showing"
+  ),
+];
+
+describe("parseListingCard", () => {
+  it("reads title, ET code, languages and certificate from a card", () => {
+    assert.deepEqual(LISTING[1], {
+      title: "War 2 (Telugu)",
+      movieCode: "ET00452328",
+      languages: ["Telugu"],
+      certificate: "UA16+",
+      status: "now showing",
+      url: "https://in.bookmyshow.com/movies/hyderabad/war-2-telugu/ET00452328",
+    });
+  });
+
+  it("marks coming-soon URLs and skips links that are not movies", () => {
+    assert.equal(
+      LISTING[2].url,
+      "https://in.bookmyshow.com/movies/hyderabad/coolie/ET00395817?type=coming-soon"
+    );
+    assert.deepEqual(LISTING[2].languages, [
+      "Tamil",
+      "Telugu",
+      "Hindi",
+      "Kannada",
+    ]);
+    assert.equal(
+      parseListingCard(
+        {
+          href: "https://in.bookmyshow.com/explore/movies-hyderabad",
+          text: "Movies",
+        },
+        "now showing"
+      ),
+      null
+    );
+  });
+});
+
+describe("findTitleMatches", () => {
+  it("matches whole words and flags dubbed variants", () => {
+    const matches = findTitleMatches(LISTING, "war 2");
+
+    assert.deepEqual(
+      matches.map((entry) => [entry.title, entry.variants]),
+      [
+        ["War 2", 2],
+        ["War 2 (Telugu)", 2],
+      ]
+    );
+    assert.deepEqual(
+      findTitleMatches(LISTING, "coolie").map((entry) => entry.variants),
+      [1]
+    );
+  });
+});
+
+describe("addSearchResultToWatchlist", () => {
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "bms-search-"));
+  });
+
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it("creates the watchlist and keeps variant names unique", () => {
+    const file = path.join(dir, "watchlist.json");
+    const telugu = { ...LISTING[1], title: "War 2" };
+
+    assert.equal(addSearchResultToWatchlist(LISTING[0], null, file), "War 2");
+    assert.equal(
+      addSearchResultToWatchlist(telugu, null, file),
+      "War 2 (Telugu)"
+    );
+    assert.throws(
+      () => addSearchResultToWatchlist(LISTING[0], "Again", file),
+      /already tracked/
+    );
+
+    assert.deepEqual(
+      loadWatchlist(file).movies.map((movie) => [movie.name, movie.url]),
+      [
+        ["War 2", LISTING[0].url],
+        ["War 2 (Telugu)", LISTING[1].url],
+      ]
+    );
+  });
+});
@@ -0,0 +1,203 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  parseShowFormat,
+  findPageShowFormat,
+  applyPageShowFormat,
+  filterShows,
+  filterForSubscriber,
+  extractTheatresAndShowtimes,
+  extractFromShowtimePayloads,
+  getCityProfile,
+  loadWatchlist,
+} = require("../smart-scraper");
+const { readFixture } = require("./helpers/fixtures");
+
+const show = (time, language, format) => ({
+  time,
+  language,
+  format,
+  availability: "available",
+  categories: [],
+});
+
+describe("parseShowFormat", () => {
+  it("reads languages and formats from page and payload labels", () => {
+    const read = (text) => {
+      const { language, formats, unknown } = parseShowFormat(text);
+      return [language, formats.join(" "), unknown.join(" ")];
+    };
+
+    assert.deepEqual(read("Telugu - 2D"), ["Telugu", "2D", ""]);
+    assert.deepEqual(read("IMAX 3D"), [null, "IMAX 3D", ""]);
+    assert.deepEqual(read("4DX 3D, Hindi"), ["Hindi", "4DX 3D", ""]);
+    assert.deepEqual(read("DOLBY ATMOS"), [null, "Atmos", ""]);
+    assert.deepEqual(read("Dolby Cinema 2D"), [null, "Dolby Cinema 2D", ""]);
+    assert.deepEqual(read("ICE | Tamil"), ["Tamil", "ICE", ""]);
+    assert.deepEqual(read("4K LASER"), [null, "", "4K LASER"]);
+  });
+});
+
+describe("show tagging", () => {
+  it("finds the language and format a booking page is scoped to", () => {
+    assert.deepEqual(findPageShowFormat(readFixture("released.txt")), {
+      language: "Telugu",
+      format: "2D",
+    });
+    assert.deepEqual(findPageShowFormat(readFixture("coming-soon.txt")), {
+      language: null,
+      format: null,
+    });
+  });
+
+  it("tags payload shows from their attributes and screen names", () => {
+    const theatres = extractFromShowtimePayloads([
+      JSON.parse(readFixture("released.showtimes.json")),
+    ]);
+    const page = { language: "Telugu", format: "2D" };
+
+    assert.deepEqual(
+      theatres.map((theatre) =>
+        theatre.showtimes
+          .map((showtime) => applyPageShowFormat(showtime, page))
+          .map(({ time, language, format }) => `${time} ${language} ${format}`)
+      )[0],
+      [
+        "07:00 AM Telugu 2D",
+        "10:30 AM Telugu 2D Atmos",
+        "02:15 PM Telugu 2D Atmos",
+      ]
+    );
+    assert.equal(
+      applyPageShowFormat(show("09:00 PM", null, "IMAX 3D"), page).format,
+      "IMAX 3D"
+    );
+  });
+
+  it("reads format labels printed below a time", () => {
+    const [theatre] = extractTheatresAndShowtimes(
+      [
+        "Prasads Multiplex: Hyderabad",
+        "Cancellation available",
+        "10:00 AM",
+        "Telugu - IMAX 3D",
+        "02:30 PM",
+      ].join("\n"),
+      [],
+      getCityProfile("hyderabad")
+    );
+
+    assert.deepEqual(
+      theatre.showtimes.map(({ time, language, format }) => [
+        time,
+        language,
+        format,
+      ]),
+      [
+        ["10:00 AM", "Telugu", "IMAX 3D"],
+        ["02:30 PM", null, null],
+      ]
+    );
+  });
+});
+
+describe("filterShows", () => {
+  const movieData = {
+    movieTitle: "Devara",
+    theatres: [
+      {
+        theatre: "Prasads Multiplex: Hyderabad",
+        showtimes: [
+          show("10:00 AM", "Telugu", "IMAX 3D"),
+          show("02:30 PM", "Telugu", "IMAX 2D"),
+          show("06:45 PM", "Hindi", "IMAX 3D"),
+        ],
+      },
+      {
+        theatre: "AMB Cinemas: Gachibowli",
+        showtimes: [show("11:00 AM", "Telugu", "3D Atmos"), "09:00 PM"],
+      },
+    ],
+  };
+
+  it("keeps only shows with the language and every format asked for", () => {
+    const theatres = filterShows(movieData, ["Telugu IMAX 3D only"]).theatres;
+
+    assert.deepEqual(
+      theatres.map((theatre) => [
+        theatre.theatre,
+        theatre.showtimes.map((showtime) => showtime.time),
+      ]),
+      [["Prasads Multiplex: Hyderabad", ["10:00 AM"]]]
+    );
+    assert.equal(
+      filterShows(movieData, ["3D"]).theatres.flatMap(
+        (theatre) => theatre.showtimes
+      ).length,
+      3
+    );
+    assert.equal(filterShows(movieData, undefined), movieData);
+  });
+
+  it("never matches unknown languages or formats, like subscriber filters", () => {
+    const unknown = {
+      movieTitle: "Devara",
+      theatres: [
+        {
+          theatre: "Sudarshan 35MM: RTC X Roads",
+          showtimes: [show("09:00 AM", null, null), "01:00 PM"],
+        },
+      ],
+    };
+    const kept = (data) =>
+      data.theatres.flatMap((theatre) => theatre.showtimes).length;
+
+    assert.equal(kept(filterShows(unknown, ["Telugu"])), 0);
+    assert.equal(kept(filterShows(unknown, ["IMAX"])), 0);
+    assert.equal(
+      kept(filterForSubscriber(unknown, { languages: ["Telugu"] })),
+      0
+    );
+    assert.equal(kept(filterForSubscriber(unknown, { formats: ["IMAX"] })), 0);
+    assert.equal(kept(filterForSubscriber(unknown, {})), 2);
+    // The page-wide language still counts for subscribers
+    assert.equal(
+      kept(
+        filterForSubscriber(
+          { ...unknown, language: "Telugu" },
+          { languages: ["Telugu"] }
+        )
+      ),
+      2
+    );
+  });
+
+  it("rejects combinations with unknown words in the watchlist", () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "bms-formats-"));
+    const file = path.join(dir, "watchlist.json");
+    fs.writeFileSync(
+      file,
+      JSON.stringify({
+        movies: [
+          {
+            name: "Devara",
+            url: "https://in.bookmyshow.com/movies/hyderabad/devara-part-1/ET00310216",
+            shows: ["Telugu IMAX 3D", "Telugu IMAX 3DD"],
+          },
+        ],
+      })
+    );
+
+    try {
+      assert.throws(
+        () => loadWatchlist(file),
+        /"shows" "Telugu IMAX 3DD" has unknown words: 3DD/
+      );
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
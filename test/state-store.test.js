@@ -0,0 +1,84 @@
+const { describe, it, before, after, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createStateStore } = require("../smart-scraper");
+
+const COOLIE_URL =
+  "https://in.bookmyshow.com/movies/hyderabad/coolie/buytickets/ET00395817/20250814";
+
+const state = (currentStatus) => ({
+  movieTitle: "Coolie",
+  currentStatus,
+  pageUrl: COOLIE_URL,
+  showDate: "20250814",
+  theatres: [{ theatre: "AMB Cinemas: Gachibowli", showtimes: ["10:30 AM"] }],
+  checkedAt: "2025-08-10T06:00:00.000Z",
+});
+
+let hasSqlite = true;
+try {
+  require("better-sqlite3");
+} catch (error) {
+  hasSqlite = false;
+}
+
+describe("createStateStore", () => {
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "bms-state-"));
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  for (const backend of ["json", "sqlite"]) {
+    it(
+      `keeps ${backend} state across restarts`,
+      { skip: backend === "sqlite" && !hasSqlite },
+      async () => {
+        const file = path.join(dir, `state.${backend}`);
+        const key = `${COOLIE_URL}#20250814`;
+
+        const first = createStateStore(backend, file);
+        assert.deepEqual(await first.load(), new Map());
+        await first.save(key, state("COMING_SOON"));
+        await first.save(key, state("BOOKING_AVAILABLE"));
+        await first.save(COOLIE_URL, state("COMING_SOON"));
+        await first.remove(COOLIE_URL);
+        await first.close();
+
+        const second = createStateStore(backend, file);
+        assert.deepEqual(
+          await second.load(),
+          new Map([[key, state("BOOKING_AVAILABLE")]])
+        );
+        await second.close();
+      }
+    );
+  }
+
+  it("starts empty when the JSON file is unreadable", async () => {
+    const file = path.join(dir, "corrupt.json");
+    fs.writeFileSync(file, "{ not json");
+    mock.method(console, "error", () => {});
+
+    try {
+      const store = createStateStore("json", file);
+      assert.deepEqual(await store.load(), new Map());
+      assert.equal(console.error.mock.calls.length, 1);
+    } finally {
+      mock.restoreAll();
+    }
+  });
+
+  it("rejects unknown backends", () => {
+    assert.throws(
+      () => createStateStore("redis", path.join(dir, "state")),
+      /Unknown STATE_STORE "redis" \(expected: json, sqlite\)/
+    );
+  });
+});
@@ -0,0 +1,201 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const net = require("net");
+const {
+  createMetricsRegistry,
+  recordTheatreCount,
+  forgetStalePages,
+  createHealthTracker,
+  createStatusServer,
+  CONFIG,
+} = require("../smart-scraper");
+
+const URL_A =
+  "https://in.bookmyshow.com/movies/hyderabad/coolie/buytickets/ET00395817/20250814";
+const URL_B =
+  "https://in.bookmyshow.com/movies/hyderabad/war-2/ET00356501?type=coming-soon";
+
+describe("createMetricsRegistry", () => {
+  it("renders labelled counters and gauges", () => {
+    const registry = createMetricsRegistry();
+    const scrapes = registry.counter("scrapes_total", "Scrapes");
+    const theatres = registry.gauge("theatres", "Theatres");
+    scrapes.inc({ movie: "Coolie", result: "success" });
+    scrapes.inc({ movie: "Coolie", result: "success" });
+    scrapes.inc({ movie: 'Say "Hi"', result: "failure" });
+    theatres.set({ page: "a" }, 12);
+    theatres.set({ page: "a" }, 9);
+
+    const text = registry.render();
+    assert.match(text, /# TYPE scrapes_total counter/);
+    assert.match(text, /scrapes_total\{movie="Coolie",result="success"\} 2/);
+    assert.match(
+      text,
+      /scrapes_total\{movie="Say \\"Hi\\"",result="failure"\} 1/
+    );
+    assert.match(text, /theatres\{page="a"\} 9\n/);
+
+    theatres.remove({ page: "a" });
+    assert.doesNotMatch(registry.render(), /theatres\{/);
+  });
+
+  it("renders cumulative histogram buckets", () => {
+    const registry = createMetricsRegistry();
+    const duration = registry.histogram("duration_seconds", "Duration", [1, 5]);
+    duration.observe({}, 0.5);
+    duration.observe({}, 3);
+    duration.observe({}, 8);
+
+    const text = registry.render();
+    assert.match(text, /duration_seconds_bucket\{le="1"\} 1/);
+    assert.match(text, /duration_seconds_bucket\{le="5"\} 2/);
+    assert.match(text, /duration_seconds_bucket\{le="\+Inf"\} 3/);
+    assert.match(text, /duration_seconds_sum 11.5/);
+    assert.match(text, /duration_seconds_count 3/);
+  });
+});
+
+describe("theatre count metrics", () => {
+  it("labels counts by movie and show date and forgets stale pages", async () => {
+    const nextDay = URL_A.replace("20250814", "20250815");
+    recordTheatreCount(URL_A, 12);
+    recordTheatreCount(nextDay, 7);
+    forgetStalePages([nextDay]);
+
+    const statusServer = createStatusServer({
+      watchlist: { movies: [] },
+      states: new Map(),
+    });
+    const { port } = await statusServer.listen(0, "127.0.0.1");
+    try {
+      const text = await (
+        await fetch(`http://127.0.0.1:${port}/metrics`)
+      ).text();
+      assert.deepEqual(text.match(/^bms_theatres_found\{.*$/gm), [
+        'bms_theatres_found{movie="Coolie",date="20250815"} 7',
+      ]);
+    } finally {
+      await statusServer.close();
+    }
+  });
+});
+
+describe("createHealthTracker", () => {
+  it("is healthy while starting and after a recent good cycle", () => {
+    const health = createHealthTracker();
+    assert.equal(health.check().state, "starting");
+    assert.equal(health.check().healthy, true);
+
+    health.recordCycle({ checks: 3, failures: 2 });
+    assert.equal(health.check().healthy, true);
+  });
+
+  it("is unhealthy when every check failed or the last cycle is stale", () => {
+    const health = createHealthTracker();
+    health.recordCycle({ checks: 2, failures: 2 });
+    assert.equal(health.check().healthy, false);
+    assert.equal(health.check().state, "failing");
+
+    health.recordCycle({ checks: 1 });
+    const later = new Date(
+      Date.now() + CONFIG.CHECK_INTERVAL_MINUTES * 3 * 60 * 1000
+    );
+    assert.equal(health.check(later).healthy, false);
+  });
+});
+
+describe("createStatusServer", () => {
+  let statusServer;
+  let baseUrl;
+  const health = createHealthTracker();
+  const registry = createMetricsRegistry();
+  registry.counter("bms_scrapes_total", "Scrapes").inc({ movie: "Coolie" });
+
+  const states = new Map([
+    [
+      `${URL_A}#20250814`,
+      {
+        currentStatus: "BOOKING_AVAILABLE",
+        showDate: "20250814",
+        theatres: [{ theatre: "A" }, { theatre: "B" }],
+        checkedAt: "2025-08-10T10:00:00.000Z",
+      },
+    ],
+  ]);
+  const watchlist = {
+    movies: [
+      { name: "Coolie", url: URL_A, releaseDate: "2025-08-14" },
+      { name: "War 2", url: URL_B, paused: true },
+    ],
+  };
+
+  before(async () => {
+    statusServer = createStatusServer({ watchlist, states, health, registry });
+    const { port } = await statusServer.listen(0, "127.0.0.1");
+    baseUrl = `http://127.0.0.1:${port}`;
+  });
+
+  after(() => statusServer.close());
+
+  it("reports health with a matching status code", async () => {
+    let response = await fetch(`${baseUrl}/healthz`);
+    assert.equal(response.status, 200);
+
+    health.recordCycle({ error: new Error("browser crashed") });
+    response = await fetch(`${baseUrl}/healthz`);
+    assert.equal(response.status, 503);
+    assert.equal((await response.json()).lastCycle.error, "browser crashed");
+  });
+
+  it("lists every watched movie with its latest check", async () => {
+    const body = await (await fetch(`${baseUrl}/status`)).json();
+
+    assert.deepEqual(
+      body.movies.map((movie) => [
+        movie.name,
+        movie.status,
+        movie.theatreCount,
+        movie.paused,
+      ]),
+      [
+        ["Coolie", "BOOKING_AVAILABLE", 2, false],
+        ["War 2", "UNCHECKED", 0, true],
+      ]
+    );
+    assert.equal(body.movies[0].lastCheckedAt, "2025-08-10T10:00:00.000Z");
+    assert.equal(body.movies[0].dates[0].showDate, "20250814");
+  });
+
+  it("serves Prometheus metrics and 404s unknown paths", async () => {
+    const response = await fetch(`${baseUrl}/metrics`);
+    assert.match(response.headers.get("content-type"), /text\/plain/);
+    assert.match(
+      await response.text(),
+      /bms_scrapes_total\{movie="Coolie"\} 1/
+    );
+
+    assert.equal((await fetch(`${baseUrl}/nope`)).status, 404);
+  });
+
+  it("answers 400 to a request line that is not a valid URL", async () => {
+    const reply = await new Promise((resolve, reject) => {
+      const socket = net.connect(new URL(baseUrl).port, "127.0.0.1", () =>
+        socket.write("GET http://[ HTTP/1.1\r\nHost: localhost\r\n\r\n")
+      );
+      let data = "";
+      socket.on("data", (chunk) => {
+        data += chunk;
+        socket.end();
+      });
+      socket.on("end", () => resolve(data));
+      socket.on("error", reject);
+      socket.setTimeout(2000, () => {
+        socket.destroy();
+        reject(new Error("No reply from the server"));
+      });
+    });
+
+    assert.match(reply, /^HTTP\/1\.1 400 /);
+    assert.equal((await fetch(`${baseUrl}/healthz`)).status, 503);
+  });
+});
@@ -0,0 +1,297 @@
+const { describe, it, before, after, beforeEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  loadWatchlist,
+  notifySubscribers,
+  flushHeldNotifications,
+  isQuietTime,
+  CONFIG,
+} = require("../smart-scraper");
+const { startWebhookServer } = require("./helpers/webhook-server");
+
+const COOLIE = {
+  name: "Coolie",
+  url: "https://in.bookmyshow.com/movies/hyderabad/coolie/buytickets/ET00395817/20250814",
+};
+
+const showtime = (time, screenFormat) => ({
+  time,
+  screenFormat,
+  availability: "available",
+  categories: [],
+});
+
+const movieData = {
+  movieTitle: "Coolie",
+  currentStatus: "BOOKING_AVAILABLE",
+  pageUrl: COOLIE.url,
+  theatres: [
+    {
+      theatre: "AMB Cinemas: Gachibowli",
+      showtimes: [showtime("10:30 AM", "2D"), showtime("02:15 PM", "IMAX 2D")],
+    },
+    {
+      theatre: "PVR: Nexus Mall, Kukatpally",
+      showtimes: [showtime("11:15 AM", "2D")],
+    },
+  ],
+};
+
+// 10:00 and 23:30 in India
+const MORNING = new Date("2025-08-14T04:30:00Z");
+const NIGHT = new Date("2025-08-14T18:00:00Z");
+
+describe("isQuietTime", () => {
+  const overnight = { from: "23:00", to: "07:00" };
+
+  it("handles quiet hours that span midnight", () => {
+    assert.equal(isQuietTime(overnight, NIGHT), true);
+    assert.equal(isQuietTime(overnight, MORNING), false);
+    assert.equal(isQuietTime({ from: "09:00", to: "11:00" }, MORNING), true);
+    assert.equal(isQuietTime(undefined, NIGHT), false);
+  });
+});
+
+describe("subscriber validation", () => {
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "bms-subscribers-"));
+  });
+
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const load = (subscribers) => {
+    const file = path.join(dir, "watchlist.json");
+    fs.writeFileSync(file, JSON.stringify({ movies: [COOLIE], subscribers }));
+    return loadWatchlist(file);
+  };
+
+  it("accepts subscribers with a channel and known options", () => {
+    const { settings } = load([
+      {
+        name: "Asha",
+        chatId: 1001,
+        movies: ["Coolie"],
+        formats: ["IMAX"],
+        quietHours: { from: "23:00", to: "07:00" },
+      },
+    ]);
+    assert.equal(settings.subscribers[0].name, "Asha");
+  });
+
+  it("reports missing channels, duplicates and bad options", () => {
+    assert.throws(
+      () =>
+        load([
+          { name: "Asha", chatId: 1 },
+          { name: "asha", email: "a@example.com", quietHours: "night" },
+          { name: "Ravi", formats: "IMAX" },
+        ]),
+      (error) =>
+        /duplicate subscriber "asha"/.test(error.message) &&
+        /"quietHours" must be/.test(error.message) &&
+        /\[2\] needs one of chatId/.test(error.message) &&
+        /"formats" must be a list of strings/.test(error.message)
+    );
+  });
+});
+
+describe("notifySubscribers", () => {
+  let server;
+  let dir;
+  let savedHeldFile;
+
+  before(async () => {
+    mock.method(console, "log", () => {});
+    mock.method(console, "error", () => {});
+    server = await startWebhookServer();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "bms-subscribers-"));
+    savedHeldFile = CONFIG.HELD_ALERTS_FILE;
+    CONFIG.HELD_ALERTS_FILE = path.join(dir, "held-alerts.json");
+  });
+
+  after(async () => {
+    mock.restoreAll();
+    await server.close();
+    CONFIG.HELD_ALERTS_FILE = savedHeldFile;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    server.received.length = 0;
+  });
+
+  const hook = (name) => `${server.url}/${name}`;
+  const deliveredTo = (name) =>
+    server.received
+      .filter((request) => request.path === `/${name}`)
+      .map((request) => request.body);
+
+  it("fans one result out with each subscriber's own filters", async () => {
+    const settings = {
+      subscribers: [
+        { name: "All", webhook: hook("all") },
+        {
+          name: "AMB fan",
+          webhook: hook("amb"),
+          preferredTheatres: ["AMB"],
+        },
+        { name: "IMAX only", webhook: hook("imax"), formats: ["IMAX"] },
+        { name: "Other movie", webhook: hook("other"), movies: ["War 2"] },
+      ],
+    };
+
+    const notified = await notifySubscribers(
+      movieData,
+      null,
+      COOLIE,
+      settings,
+      false,
+      MORNING
+    );
+
+    assert.equal(notified, true);
+    assert.equal(deliveredTo("all")[0].theatres.length, 2);
+    assert.deepEqual(
+      deliveredTo("amb")[0].theatres.map((theatre) => theatre.theatre),
+      ["AMB Cinemas: Gachibowli"]
+    );
+    assert.deepEqual(
+      deliveredTo("imax")[0].theatres.map((theatre) =>
+        theatre.showtimes.map((show) => show.time)
+      ),
+      [["02:15 PM"]]
+    );
+    assert.equal(deliveredTo("other").length, 0);
+  });
+
+  it("only alerts subscribers whose theatres changed", async () => {
+    const settings = {
+      subscribers: [
+        { name: "AMB fan", webhook: hook("amb"), preferredTheatres: ["AMB"] },
+        { name: "PVR fan", webhook: hook("pvr"), preferredTheatres: ["PVR"] },
+      ],
+    };
+    const lastState = {
+      ...movieData,
+      theatres: [
+        movieData.theatres[0],
+        { ...movieData.theatres[1], showtimes: [] },
+      ],
+    };
+
+    await notifySubscribers(
+      movieData,
+      lastState,
+      COOLIE,
+      settings,
+      false,
+      MORNING
+    );
+
+    assert.equal(deliveredTo("amb").length, 0);
+    assert.equal(deliveredTo("pvr").length, 1);
+  });
+
+  const pvrAdded = {
+    ...movieData,
+    theatres: [
+      movieData.theatres[0],
+      { ...movieData.theatres[1], showtimes: [] },
+    ],
+  };
+  const nightOwl = () => ({
+    subscribers: [
+      {
+        name: "Night owl",
+        webhook: hook("owl"),
+        quietHours: { from: "23:00", to: "07:00" },
+      },
+    ],
+  });
+  const heldOnDisk = () =>
+    fs.existsSync(CONFIG.HELD_ALERTS_FILE)
+      ? JSON.parse(fs.readFileSync(CONFIG.HELD_ALERTS_FILE, "utf8"))
+      : [];
+
+  it("holds alerts during quiet hours and delivers them afterwards", async () => {
+    await notifySubscribers(
+      movieData,
+      pvrAdded,
+      COOLIE,
+      nightOwl(),
+      false,
+      NIGHT
+    );
+    assert.equal(deliveredTo("owl").length, 0);
+
+    await flushHeldNotifications(NIGHT);
+    assert.equal(deliveredTo("owl").length, 0);
+
+    await flushHeldNotifications(MORNING);
+    assert.equal(deliveredTo("owl").length, 1);
+    assert.deepEqual(heldOnDisk(), []);
+  });
+
+  it("keeps held alerts on disk across a restart", async () => {
+    await notifySubscribers(
+      { ...movieData, bodyText: "Whole page text ".repeat(1000) },
+      pvrAdded,
+      COOLIE,
+      nightOwl(),
+      false,
+      NIGHT
+    );
+    assert.deepEqual(
+      heldOnDisk().map((entry) => [entry.key, entry.quietHours.to]),
+      [["Night owl", "07:00"]]
+    );
+    const [[view, , movieInfo]] = heldOnDisk().map((entry) => entry.args);
+    assert.deepEqual(Object.keys(view).sort(), [
+      "currentStatus",
+      "movieTitle",
+      "pageUrl",
+      "showDate",
+      "theatres",
+    ]);
+    assert.deepEqual(movieInfo, { name: "Coolie" });
+
+    await flushHeldNotifications(MORNING);
+    assert.equal(deliveredTo("owl").length, 1);
+    assert.equal(deliveredTo("owl")[0].theatres.length, 2);
+  });
+
+  it("lets booking-just-opened through a subscriber's quiet hours", async () => {
+    await notifySubscribers(movieData, null, COOLIE, nightOwl(), true, NIGHT);
+
+    assert.equal(deliveredTo("owl").length, 1);
+    assert.deepEqual(heldOnDisk(), []);
+  });
+
+  it("lets booking-just-opened through the watchlist's quiet hours", async () => {
+    const settings = {
+      quietHours: { from: "23:00", to: "07:00" },
+      subscribers: [{ name: "Everyone", webhook: hook("everyone") }],
+    };
+
+    await notifySubscribers(movieData, null, COOLIE, settings, true, NIGHT);
+    assert.equal(deliveredTo("everyone").length, 1);
+
+    await notifySubscribers(
+      movieData,
+      pvrAdded,
+      COOLIE,
+      settings,
+      false,
+      NIGHT
+    );
+    assert.equal(deliveredTo("everyone").length, 1);
+
+    await flushHeldNotifications(MORNING);
+    assert.equal(deliveredTo("everyone").length, 2);
+  });
+});
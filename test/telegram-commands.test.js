@@ -0,0 +1,173 @@
+const { describe, it, before, after, beforeEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  createWatchlistSource,
+  createTelegramCommandBot,
+  CONFIG,
+} = require("../smart-scraper");
+const { startTelegramApi } = require("./helpers/telegram-api");
+
+const CHAT_ID = "4242";
+const COOLIE_URL =
+  "https://in.bookmyshow.com/movies/hyderabad/coolie/buytickets/ET00395817/20250814";
+const WAR_URL =
+  "https://in.bookmyshow.com/movies/hyderabad/war-2/ET00356501?type=coming-soon";
+
+describe("Telegram commands", () => {
+  let api;
+  let dir;
+  let watchlistFile;
+  let watchlist;
+  const saved = {};
+
+  before(async () => {
+    // Keep the bot's progress logs out of the test report
+    mock.method(console, "log", () => {});
+    api = await startTelegramApi();
+    [
+      "TELEGRAM_API_URL",
+      "TELEGRAM_BOT_TOKEN",
+      "TELEGRAM_CHAT_ID",
+      "TELEGRAM_QUEUE_FILE",
+    ].forEach((key) => (saved[key] = CONFIG[key]));
+    Object.assign(CONFIG, {
+      TELEGRAM_API_URL: api.url,
+      TELEGRAM_BOT_TOKEN: "test-token",
+      TELEGRAM_CHAT_ID: CHAT_ID,
+    });
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "bms-commands-"));
+    CONFIG.TELEGRAM_QUEUE_FILE = path.join(dir, "telegram-queue.json");
+  });
+
+  after(async () => {
+    mock.restoreAll();
+    Object.assign(CONFIG, saved);
+    fs.rmSync(dir, { recursive: true, force: true });
+    await api.close();
+  });
+
+  beforeEach(() => {
+    api.reset();
+    watchlistFile = path.join(dir, "watchlist.json");
+    fs.writeFileSync(
+      watchlistFile,
+      JSON.stringify({ movies: [{ name: "Coolie", url: COOLIE_URL }] })
+    );
+    watchlist = createWatchlistSource(watchlistFile);
+  });
+
+  const send = (bot, text, chatId = CHAT_ID) =>
+    bot.handleUpdate(api.push(text, chatId)).then(() => api.sent.at(-1));
+
+  it("adds a movie and persists it to the watchlist file", async () => {
+    const bot = createTelegramCommandBot(watchlist);
+    const reply = await send(bot, `/add ${WAR_URL}`);
+
+    assert.match(reply.text, /Now tracking War 2/);
+    assert.equal(reply.chat_id, CHAT_ID);
+    const stored = JSON.parse(fs.readFileSync(watchlistFile, "utf8"));
+    assert.deepEqual(
+      stored.movies.map((movie) => movie.name),
+      ["Coolie", "War 2"]
+    );
+    assert.deepEqual(
+      watchlist.refresh().added.map((movie) => movie.url),
+      [WAR_URL]
+    );
+  });
+
+  it("removes a movie by partial name and reports it on refresh", async () => {
+    const bot = createTelegramCommandBot(watchlist);
+    const reply = await send(bot, "/remove cool");
+
+    assert.match(reply.text, /Stopped tracking Coolie/);
+    assert.equal(watchlist.movies.length, 0);
+    assert.deepEqual(
+      watchlist.refresh().removed.map((movie) => movie.name),
+      ["Coolie"]
+    );
+  });
+
+  it("lists movies with their last known status", async () => {
+    const states = new Map([
+      [`${COOLIE_URL}#20250814`, { currentStatus: "BOOKING_AVAILABLE" }],
+    ]);
+    const bot = createTelegramCommandBot(watchlist, { states });
+    const reply = await send(bot, "/list@BmsBot");
+
+    assert.equal(reply.text, "1. 🎬 Coolie - BOOKING_AVAILABLE");
+  });
+
+  it("pauses and resumes monitoring", async () => {
+    const bot = createTelegramCommandBot(watchlist);
+
+    await send(bot, "/pause");
+    assert.equal(watchlist.settings.paused, true);
+    await send(bot, "/pause coolie");
+    assert.equal(watchlist.movies[0].paused, true);
+
+    await send(bot, "/resume");
+    await send(bot, "/resume Coolie");
+    assert.equal(watchlist.settings.paused, undefined);
+    assert.equal(watchlist.movies[0].paused, undefined);
+    assert.deepEqual(JSON.parse(fs.readFileSync(watchlistFile, "utf8")), {
+      movies: [{ name: "Coolie", url: COOLIE_URL }],
+    });
+  });
+
+  it("runs an immediate check for /status", async () => {
+    const checked = [];
+    const bot = createTelegramCommandBot(watchlist, {
+      analyze: async (url) => {
+        checked.push(url);
+        return {
+          currentStatus: "BOOKING_AVAILABLE",
+          theatres: [{ theatre: "AMB Cinemas: Gachibowli", showtimes: [] }],
+        };
+      },
+    });
+    const reply = await send(bot, "/status coolie");
+
+    assert.deepEqual(checked, [COOLIE_URL]);
+    assert.match(reply.text, /Coolie: BOOKING_AVAILABLE/);
+    assert.match(reply.text, /AMB Cinemas: Gachibowli/);
+  });
+
+  it("explains unknown commands and bad arguments", async () => {
+    const bot = createTelegramCommandBot(watchlist);
+
+    assert.match((await send(bot, "/frobnicate")).text, /Commands:/);
+    assert.match((await send(bot, "/add not-a-url")).text, /Usage: \/add/);
+    assert.match((await send(bot, "/remove Dune")).text, /No tracked movie/);
+  });
+
+  it("ignores messages from other chats", async () => {
+    const bot = createTelegramCommandBot(watchlist);
+    await send(bot, `/add ${WAR_URL}`, "999");
+
+    assert.equal(api.sent.length, 0);
+    assert.equal(watchlist.movies.length, 1);
+  });
+
+  it("long-polls getUpdates and answers each command once", async () => {
+    const bot = createTelegramCommandBot(watchlist);
+    api.push("/list", CHAT_ID);
+    api.push("/help", CHAT_ID);
+
+    bot.start();
+    const deadline = Date.now() + 5000;
+    while (api.sent.length < 2 && Date.now() < deadline) {
+      await new Promise((resolve) => setTimeout(resolve, 20));
+    }
+    // A few more polls must not repeat already-confirmed updates
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    await bot.stop();
+
+    assert.equal(api.sent.length, 2);
+    assert.match(api.sent[0].text, /Coolie/);
+    assert.match(api.sent[1].text, /Commands:/);
+  });
+});
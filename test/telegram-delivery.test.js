@@ -0,0 +1,171 @@
+const { describe, it, before, after, beforeEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  sendNotification,
+  sendTelegramMessage,
+  flushTelegramQueue,
+  createTelegramNotifier,
+  CONFIG,
+} = require("../smart-scraper");
+const { startTelegramApi } = require("./helpers/telegram-api");
+
+const theatre = (name) => ({
+  theatre: name,
+  showtimes: [{ time: "10:30 AM", availability: "available", categories: [] }],
+});
+
+const movieData = (theatres) => ({
+  movieTitle: "Coolie",
+  currentStatus: "BOOKING_AVAILABLE",
+  pageUrl: "https://in.bookmyshow.com/movies/hyderabad/coolie/ET00395817",
+  theatres,
+});
+
+describe("Telegram delivery", () => {
+  let api;
+  let dir;
+  const saved = {};
+  const settings = {
+    TELEGRAM_BOT_TOKEN: "test-token",
+    TELEGRAM_CHAT_ID: "4242",
+    TELEGRAM_RETRY_BASE_MS: 10,
+    TELEGRAM_MAX_RETRIES: 2,
+  };
+
+  before(async () => {
+    mock.method(console, "log", () => {});
+    mock.method(console, "error", () => {});
+    api = await startTelegramApi();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "bms-delivery-"));
+    Object.keys({
+      ...settings,
+      TELEGRAM_API_URL: null,
+      TELEGRAM_QUEUE_FILE: null,
+    }).forEach((key) => (saved[key] = CONFIG[key]));
+    Object.assign(CONFIG, settings, {
+      TELEGRAM_API_URL: api.url,
+      TELEGRAM_QUEUE_FILE: path.join(dir, "telegram-queue.json"),
+    });
+  });
+
+  after(async () => {
+    mock.restoreAll();
+    Object.assign(CONFIG, saved);
+    fs.rmSync(dir, { recursive: true, force: true });
+    await api.close();
+  });
+
+  beforeEach(() => api.reset());
+
+  const queuedOnDisk = () =>
+    JSON.parse(fs.readFileSync(CONFIG.TELEGRAM_QUEUE_FILE, "utf8"));
+
+  it("escapes theatre names for HTML", async () => {
+    await sendNotification(
+      movieData([theatre("Cine_Star [4K] *Gold* <VIP> & Co")]),
+      false,
+      null,
+      null,
+      [createTelegramNotifier()]
+    );
+
+    const [message] = api.sent;
+    assert.equal(message.parse_mode, "HTML");
+    assert.match(
+      message.text,
+      /<b>Cine_Star \[4K\] \*Gold\* &lt;VIP&gt; &amp; Co<\/b>/
+    );
+  });
+
+  it("splits long listings into numbered chunks under 4096 characters", async () => {
+    const theatres = Array.from({ length: 120 }, (_, index) =>
+      theatre(`Theatre number ${index + 1}: Somewhere in Hyderabad`)
+    );
+
+    await sendNotification(movieData(theatres), false, null, null, [
+      createTelegramNotifier(),
+    ]);
+
+    assert.ok(api.sent.length > 1);
+    api.sent.forEach((message, index) => {
+      assert.ok(message.text.length <= 4096);
+      assert.ok(message.text.endsWith(`(${index + 1}/${api.sent.length})`));
+    });
+    assert.match(api.sent[0].text, /Theatre number 1:/);
+    assert.match(api.sent.at(-1).text, /Total theatres: 120/);
+  });
+
+  it("never cuts a tag or entity when splitting one long line", async () => {
+    const cell = "*PVR & Co* [book](https://example.com/seats?a=1&b=2) ";
+
+    await createTelegramNotifier().send({ text: cell.repeat(300) });
+
+    assert.ok(api.sent.length > 1);
+    const texts = api.sent.map((message) => message.text);
+    texts.forEach((text) => {
+      assert.ok(text.length <= 4096);
+      assert.equal(text.split("<b>").length, text.split("</b>").length);
+      assert.equal(text.split("<a ").length, text.split("</a>").length);
+      assert.doesNotMatch(text, /&(?!amp;|lt;|gt;|quot;)/);
+    });
+    assert.equal(texts.join("").split("<b>PVR &amp; Co</b>").length - 1, 300);
+  });
+
+  it("waits out 429 retry_after before resending", async () => {
+    api.failNext(429, { parameters: { retry_after: 1 } });
+
+    const started = Date.now();
+    const result = await sendTelegramMessage("hello");
+
+    assert.deepEqual(result, { sent: 1, queued: 0 });
+    assert.ok(Date.now() - started >= 1000);
+    assert.equal(api.sent[0].text, "hello");
+  });
+
+  it("retries server errors with backoff", async () => {
+    api.failNext(502, { times: 2 });
+
+    assert.deepEqual(await sendTelegramMessage("after a blip"), {
+      sent: 1,
+      queued: 0,
+    });
+    assert.equal(api.sent.length, 1);
+  });
+
+  it("keeps unsent messages on disk until Telegram is back", async () => {
+    api.failNext(503, { times: 3 });
+
+    assert.deepEqual(await sendTelegramMessage("first"), {
+      sent: 0,
+      queued: 1,
+    });
+    // The earlier message goes out first
+    assert.deepEqual(await sendTelegramMessage("second"), {
+      sent: 1,
+      queued: 0,
+    });
+    assert.deepEqual(
+      api.sent.map((message) => message.text),
+      ["first", "second"]
+    );
+    assert.deepEqual(queuedOnDisk(), []);
+
+    api.failNext(503, { times: 3 });
+    await sendTelegramMessage("third");
+    assert.equal(queuedOnDisk()[0].params.text, "third");
+    await flushTelegramQueue();
+    assert.equal(api.sent.at(-1).text, "third");
+    assert.deepEqual(queuedOnDisk(), []);
+  });
+
+  it("drops messages Telegram rejects outright", async () => {
+    api.failNext(400);
+
+    await assert.rejects(sendTelegramMessage("bad markup"), /400/);
+    assert.deepEqual(queuedOnDisk(), []);
+    assert.equal(api.sent.length, 0);
+  });
+});
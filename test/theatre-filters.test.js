@@ -0,0 +1,117 @@
+const { describe, it, before, after, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  compileTheatreFilter,
+  applyTheatreFilters,
+  validateConfig,
+  CONFIG,
+} = require("../smart-scraper");
+
+const THEATRES = [
+  { theatre: "AMB Cinemas: Gachibowli", showtimes: [] },
+  { theatre: "PVR: Nexus Mall, Kukatpally", showtimes: [] },
+  { theatre: "UK Cineplex: Hayathnagar", showtimes: [] },
+  { theatre: "Prasads Multiplex: Hyderabad", showtimes: [] },
+];
+
+const matching = (spec) =>
+  THEATRES.map((theatre) => theatre.theatre).filter(
+    compileTheatreFilter(spec).test
+  );
+
+describe("compileTheatreFilter", () => {
+  it("matches substrings case-insensitively", () => {
+    assert.deepEqual(matching("pvr"), ["PVR: Nexus Mall, Kukatpally"]);
+    assert.deepEqual(matching({ contains: "MULTIPLEX" }), [
+      "Prasads Multiplex: Hyderabad",
+    ]);
+  });
+
+  it("matches /regex/flags strings and regex objects", () => {
+    assert.deepEqual(matching("/uk\\s*cineplex/"), [
+      "UK Cineplex: Hayathnagar",
+    ]);
+    assert.deepEqual(matching("/^PVR/"), ["PVR: Nexus Mall, Kukatpally"]);
+    assert.deepEqual(matching({ regex: "^amb" }), ["AMB Cinemas: Gachibowli"]);
+    // "g" is dropped so repeated tests do not depend on lastIndex
+    assert.deepEqual(matching({ regex: "^AMB", flags: "g" }), [
+      "AMB Cinemas: Gachibowli",
+    ]);
+    assert.deepEqual(matching({ regex: "^amb", flags: "g" }), []);
+  });
+
+  it("matches exact names ignoring case and punctuation", () => {
+    assert.deepEqual(matching({ exact: "amb cinemas gachibowli" }), [
+      "AMB Cinemas: Gachibowli",
+    ]);
+    assert.deepEqual(matching({ exact: "AMB Cinemas" }), []);
+  });
+
+  it("rejects specs it cannot compile", () => {
+    assert.throws(
+      () => compileTheatreFilter("/(/"),
+      /Invalid regular expression/
+    );
+    assert.throws(
+      () => compileTheatreFilter({ startsWith: "PVR" }),
+      /Invalid theatre filter: {"startsWith":"PVR"}/
+    );
+  });
+});
+
+describe("applyTheatreFilters", () => {
+  it("splits theatres into preferred and others with a match report", () => {
+    const { preferred, others, report } = applyTheatreFilters(
+      THEATRES,
+      ["AMB", "/cineplex/", "INOX"].map(compileTheatreFilter)
+    );
+
+    assert.deepEqual(
+      preferred.map((theatre) => theatre.theatre),
+      ["AMB Cinemas: Gachibowli", "UK Cineplex: Hayathnagar"]
+    );
+    assert.equal(others.length, 2);
+    assert.deepEqual(report, [
+      { filter: '"AMB"', matches: ["AMB Cinemas: Gachibowli"] },
+      { filter: "/cineplex/i", matches: ["UK Cineplex: Hayathnagar"] },
+      { filter: '"INOX"', matches: [] },
+    ]);
+  });
+
+  it("prefers every theatre without filters", () => {
+    assert.deepEqual(applyTheatreFilters(THEATRES), {
+      preferred: THEATRES,
+      others: [],
+      report: [],
+    });
+  });
+});
+
+describe("validateConfig", () => {
+  let saved;
+
+  before(() => {
+    mock.method(console, "log", () => {});
+    saved = CONFIG.PREFERRED_THEATRES;
+  });
+
+  after(() => {
+    mock.restoreAll();
+    CONFIG.PREFERRED_THEATRES = saved;
+  });
+
+  const settings = { subscribers: [{ name: "Asha", webhook: "http://x" }] };
+
+  it("rejects an invalid PREFERRED_THEATRES regex at startup", () => {
+    CONFIG.PREFERRED_THEATRES = ["PVR", "/(/"];
+    assert.throws(
+      () => validateConfig(settings),
+      /PREFERRED_THEATRES in \.env: Invalid regular expression/
+    );
+  });
+
+  it("accepts substring and regex filters", () => {
+    CONFIG.PREFERRED_THEATRES = ["PVR", "/uk\\s*cineplex/i"];
+    assert.doesNotThrow(() => validateConfig(settings));
+  });
+});
@@ -0,0 +1,158 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  extractTheatresAndShowtimes,
+  finalizeShowtimes,
+  parseTimeWindow,
+  selectWantedShows,
+  getCityProfile,
+  loadWatchlist,
+} = require("../smart-scraper");
+
+const show = (time, availability = "available") => ({
+  time,
+  availability,
+  language: "Telugu",
+  format: "2D",
+  categories: [],
+});
+
+const times = (movieData) =>
+  movieData.theatres.map((theatre) => [
+    theatre.theatre,
+    theatre.showtimes.map((showtime) => showtime.time),
+  ]);
+
+describe("showtime normalisation", () => {
+  it("writes every time the same way, sorted, with its IST start", () => {
+    const [theatre] = extractTheatresAndShowtimes(
+      "Sandhya 70MM: RTC X Roads\n9:30 pm\n10:00 AM\n1:15 pm\n12:30 am",
+      [],
+      getCityProfile("hyderabad")
+    );
+    const showtimes = finalizeShowtimes(
+      theatre.showtimes,
+      { language: "Telugu", format: "2D" },
+      "20250814"
+    );
+
+    assert.deepEqual(
+      showtimes.map(({ time, startsAt }) => `${time} ${startsAt}`),
+      [
+        "12:30 AM 2025-08-13T19:00:00.000Z",
+        "10:00 AM 2025-08-14T04:30:00.000Z",
+        "01:15 PM 2025-08-14T07:45:00.000Z",
+        "09:30 PM 2025-08-14T16:00:00.000Z",
+      ]
+    );
+    assert.equal(
+      finalizeShowtimes([show("7:05 pm")], {}, null)[0].startsAt,
+      null
+    );
+  });
+});
+
+describe("parseTimeWindow", () => {
+  it("reads times, days and first-day-first-show", () => {
+    assert.deepEqual(parseTimeWindow("after 6 PM on weekdays"), {
+      after: 18 * 60,
+      before: null,
+      days: [1, 2, 3, 4, 5],
+      firstDayFirstShow: false,
+    });
+    assert.deepEqual(
+      parseTimeWindow("between 10 am and 2:30 pm on Sat and Sun"),
+      {
+        after: 10 * 60,
+        before: 14 * 60 + 30,
+        days: [0, 6],
+        firstDayFirstShow: false,
+      }
+    );
+    assert.equal(
+      parseTimeWindow("first-day-first-show only").firstDayFirstShow,
+      true
+    );
+    assert.throws(
+      () => parseTimeWindow("evenings"),
+      /could not read "evenings"/
+    );
+  });
+});
+
+describe("selectWantedShows", () => {
+  const movie = {
+    name: "Coolie",
+    url: "https://in.bookmyshow.com/movies/hyderabad/coolie/buytickets/ET00395817/20250814",
+  };
+  // 14 Aug 2025 is a Thursday, the 16th a Saturday
+  const movieData = (showDate) => ({
+    movieTitle: "Coolie",
+    showDate,
+    theatres: [
+      {
+        theatre: "Sandhya 70MM: RTC X Roads",
+        showtimes: [show("04:00 AM", "sold-out"), show("06:45 PM")],
+      },
+      {
+        theatre: "AMB Cinemas: Gachibowli",
+        showtimes: [show("07:00 AM"), show("10:15 PM", "filling-fast")],
+      },
+    ],
+  });
+
+  it("keeps bookable shows inside a weekday evening window", () => {
+    const wanted = { ...movie, times: ["after 6 PM on weekdays"] };
+
+    assert.deepEqual(times(selectWantedShows(movieData("20250814"), wanted)), [
+      ["Sandhya 70MM: RTC X Roads", ["06:45 PM"]],
+      ["AMB Cinemas: Gachibowli", ["10:15 PM"]],
+    ]);
+    assert.deepEqual(
+      selectWantedShows(movieData("20250816"), wanted).theatres,
+      []
+    );
+  });
+
+  it("takes each theatre's first show on release day, once bookable", () => {
+    const wanted = { ...movie, times: ["first-day-first-show"] };
+    const soldOut = selectWantedShows(movieData("20250814"), wanted);
+    const opened = movieData("20250814");
+    opened.theatres[0].showtimes[0].availability = "available";
+
+    assert.deepEqual(times(soldOut), [
+      ["AMB Cinemas: Gachibowli", ["07:00 AM"]],
+    ]);
+    assert.deepEqual(times(selectWantedShows(opened, wanted)), [
+      ["Sandhya 70MM: RTC X Roads", ["04:00 AM"]],
+      ["AMB Cinemas: Gachibowli", ["07:00 AM"]],
+    ]);
+    assert.deepEqual(
+      selectWantedShows(movieData("20250815"), wanted).theatres,
+      []
+    );
+  });
+
+  it("rejects windows it cannot read in the watchlist", () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "bms-windows-"));
+    const file = path.join(dir, "watchlist.json");
+    fs.writeFileSync(
+      file,
+      JSON.stringify({
+        movies: [{ ...movie, times: ["after 6 PM on weekdays", "on funday"] }],
+      })
+    );
+
+    try {
+      assert.throws(
+        () => loadWatchlist(file),
+        /"times" "on funday" unknown day "funday"/
+      );
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,186 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  analyzeURL,
+  isTheatreLine,
+  determineStatus,
+  getCityProfile,
+  resolveShowDateTargets,
+} = require("../smart-scraper");
+
+const RELEASED_URL =
+  "https://in.bookmyshow.com/movies/hyderabad/coolie/buytickets/ET00395817/20250814";
+const COMING_SOON_URL =
+  "https://in.bookmyshow.com/movies/chennai/coolie/ET00395817?type=coming-soon";
+
+const noButtons = {
+  hasInterestedButton: false,
+  hasBookTicketsButton: false,
+  hasReleasingText: false,
+};
+
+describe("analyzeURL", () => {
+  it("parses a buytickets URL", () => {
+    assert.deepEqual(analyzeURL(RELEASED_URL), {
+      originalUrl: RELEASED_URL,
+      movieCode: "ET00395817",
+      releaseDate: "20250814",
+      type: "released",
+      movieName: "Coolie",
+      city: "hyderabad",
+    });
+  });
+
+  it("recognises coming-soon URLs", () => {
+    const analysis = analyzeURL(COMING_SOON_URL);
+    assert.equal(analysis.type, "coming-soon");
+    assert.equal(analysis.releaseDate, null);
+    assert.equal(analysis.city, "chennai");
+  });
+
+  it("reports unknown URLs", () => {
+    const analysis = analyzeURL("https://in.bookmyshow.com/explore/home");
+    assert.equal(analysis.type, "unknown");
+    assert.equal(analysis.movieCode, null);
+    assert.equal(analysis.movieName, null);
+  });
+});
+
+describe("isTheatreLine", () => {
+  const hyderabad = getCityProfile("hyderabad");
+
+  it("accepts theatre lines", () => {
+    [
+      "Vyjayanthi 70MM: Nacharam",
+      "PVR: Nexus Mall, Kukatpally",
+      "Sandhya 70MM 4K Dolby Atmos: RTC X Roads",
+    ].forEach((line) => assert.ok(isTheatreLine(line, hyderabad), line));
+  });
+
+  it("rejects navigation and marketing lines", () => {
+    [
+      "Movies in Hyderabad",
+      "Top Cinema Chains in Hyderabad",
+      "PVR",
+      "Hyderabad",
+      "https://in.bookmyshow.com/cinemas",
+      "Select Cinema",
+    ].forEach((line) => assert.ok(!isTheatreLine(line, hyderabad), line));
+  });
+
+  it("matches city venue names as whole words", () => {
+    const chennai = getCityProfile("chennai");
+    assert.ok(isTheatreLine("AMB Cinemas: Gachibowli", hyderabad));
+    assert.ok(isTheatreLine("Devi Paradise - Anna Salai", chennai));
+    [
+      ["Ambience upgrade, now with recliners", hyderabad],
+      ["Route deviation - check again later", chennai],
+      ["Deluxe recliners - book early", chennai],
+      ["Escaped, again: the sequel", chennai],
+    ].forEach(([line, profile]) =>
+      assert.ok(!isTheatreLine(line, profile), line)
+    );
+  });
+
+  it("only treats known localities as locations for that city", () => {
+    const line = "Vyjayanthi 70MM: Nacharam";
+    assert.ok(isTheatreLine(line, hyderabad));
+    assert.ok(!isTheatreLine(line, getCityProfile("chennai")));
+  });
+});
+
+describe("determineStatus", () => {
+  const released = analyzeURL(RELEASED_URL);
+  const comingSoon = analyzeURL(COMING_SOON_URL);
+  const theatres = [{ theatre: "PVR", showtimes: ["10:30 AM"] }];
+
+  it("is BOOKING_AVAILABLE for released pages with theatres", () => {
+    assert.equal(
+      determineStatus(
+        released,
+        { ...noButtons, hasInterestedButton: true },
+        theatres
+      ),
+      "BOOKING_AVAILABLE"
+    );
+  });
+
+  it("is COMING_SOON for coming-soon URLs and interest buttons", () => {
+    assert.equal(determineStatus(comingSoon, noButtons, []), "COMING_SOON");
+    assert.equal(
+      determineStatus(
+        analyzeURL("https://example.com/movies/x/y/"),
+        { ...noButtons, hasReleasingText: true },
+        []
+      ),
+      "COMING_SOON"
+    );
+  });
+
+  it("falls back to the book button and URL type", () => {
+    assert.equal(determineStatus(released, noButtons, []), "BOOKING_AVAILABLE");
+    assert.equal(
+      determineStatus(
+        analyzeURL("https://example.com/movies/x/y/"),
+        { ...noButtons, hasBookTicketsButton: true },
+        []
+      ),
+      "BOOKING_AVAILABLE"
+    );
+    assert.equal(
+      determineStatus(analyzeURL("https://example.com/"), noButtons, []),
+      "UNKNOWN"
+    );
+  });
+});
+
+describe("resolveShowDateTargets", () => {
+  const movie = { name: "Coolie", url: RELEASED_URL };
+  const dates = (targets) => targets.map((target) => target.date);
+
+  it("keeps the URL date when no window is configured", () => {
+    assert.deepEqual(resolveShowDateTargets(movie, "20250901"), [
+      { date: "20250814", url: RELEASED_URL },
+    ]);
+  });
+
+  it("covers release day plus the next N days", () => {
+    const targets = resolveShowDateTargets(
+      { ...movie, dates: { days: 2 } },
+      "20250801"
+    );
+    assert.deepEqual(dates(targets), ["20250814", "20250815", "20250816"]);
+    assert.ok(targets[2].url.endsWith("/buytickets/ET00395817/20250816"));
+  });
+
+  it("slides the window forward once its start has passed", () => {
+    assert.deepEqual(
+      dates(
+        resolveShowDateTargets({ ...movie, dates: { days: 1 } }, "20250820")
+      ),
+      ["20250820", "20250821"]
+    );
+  });
+
+  it("sorts explicit dates and drops past ones", () => {
+    assert.deepEqual(
+      dates(
+        resolveShowDateTargets(
+          { ...movie, dates: ["2025-08-16", "20250815", "2025-08-01"] },
+          "20250810"
+        )
+      ),
+      ["20250815", "20250816"]
+    );
+  });
+
+  it("cannot expand coming-soon URLs", () => {
+    assert.deepEqual(
+      resolveShowDateTargets(
+        { ...movie, url: COMING_SOON_URL, dates: { days: 3 } },
+        "20250801"
+      ),
+      [{ date: null, url: COMING_SOON_URL }]
+    );
+  });
+});
@@ -0,0 +1,150 @@
+const { describe, it, before, after, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { loadWatchlist, loadOptionalWatchlist } = require("../smart-scraper");
+
+const COOLIE_URL =
+  "https://in.bookmyshow.com/movies/hyderabad/coolie/buytickets/ET00395817/20250814";
+
+const writeWatchlist = (dir, name, content) => {
+  const file = path.join(dir, name);
+  fs.writeFileSync(
+    file,
+    typeof content === "string" ? content : JSON.stringify(content)
+  );
+  return file;
+};
+
+describe("loadWatchlist", () => {
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "bms-watchlist-"));
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("fills in defaults for optional fields", () => {
+    const file = writeWatchlist(dir, "movies.json", [
+      { name: " Coolie ", url: COOLIE_URL, preferredTheatres: ["AMB"] },
+    ]);
+
+    assert.deepEqual(loadWatchlist(file), {
+      settings: {},
+      movies: [
+        {
+          name: "Coolie",
+          url: COOLIE_URL,
+          emoji: "🎬",
+          releaseDate: "TBA",
+          preferredTheatres: ["AMB"],
+        },
+      ],
+    });
+  });
+
+  it("reads YAML watchlists with settings", () => {
+    const file = writeWatchlist(
+      dir,
+      "watchlist.yaml",
+      `preferredTheatres:
+  - PVR
+movies:
+  - name: Coolie
+    url: ${COOLIE_URL}
+    releaseDate: "2025-08-14"
+`
+    );
+
+    const { settings, movies } = loadWatchlist(file);
+    assert.deepEqual(settings, { preferredTheatres: ["PVR"] });
+    assert.equal(movies[0].releaseDate, "2025-08-14");
+  });
+
+  it("reports every problem at once", () => {
+    const file = writeWatchlist(dir, "broken.json", {
+      pollEvery: 5,
+      movies: [
+        { name: "Coolie", url: COOLIE_URL },
+        { name: "coolie", url: COOLIE_URL },
+        { name: "War 2", url: "https://example.com/war-2" },
+        { url: "not a url", notify: "yes" },
+        "Kingdom",
+      ],
+    });
+
+    assert.throws(
+      () => loadWatchlist(file),
+      (error) => {
+        assert.match(error.message, /has 7 error\(s\)/);
+        [
+          '"pollEvery" is not a known setting',
+          'movies[1] (coolie): duplicate movie name "coolie"',
+          'movies[2] (War 2): "url" is not a BookMyShow movie URL',
+          'movies[3]: "name" is required',
+          'movies[3]: "url" must be an http(s) URL',
+          'movies[3]: "notify" must be true or false',
+          "movies[4]: must be an object",
+        ].forEach((problem) => assert.ok(error.message.includes(problem)));
+        return true;
+      }
+    );
+  });
+
+  it("rejects files that are not JSON or have no movie list", () => {
+    assert.throws(
+      () => loadWatchlist(writeWatchlist(dir, "typo.json", "{ movies: [")),
+      /Invalid watchlist file .*typo\.json/
+    );
+    assert.throws(
+      () => loadWatchlist(writeWatchlist(dir, "empty.json", {})),
+      /expected a "movies" list/
+    );
+  });
+});
+
+describe("loadOptionalWatchlist", () => {
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "bms-watchlist-"));
+    mock.method(console, "warn", () => {});
+  });
+
+  after(() => {
+    mock.restoreAll();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("reads a valid watchlist for single-URL runs", () => {
+    const file = path.join(dir, "valid.json");
+    fs.writeFileSync(
+      file,
+      JSON.stringify({ movies: [{ name: "Coolie", url: COOLIE_URL }] })
+    );
+
+    assert.deepEqual(
+      loadOptionalWatchlist(file).movies.map((movie) => movie.name),
+      ["Coolie"]
+    );
+  });
+
+  it("warns instead of failing on a missing or invalid watchlist", () => {
+    const file = path.join(dir, "invalid.json");
+    fs.writeFileSync(file, JSON.stringify({ movies: [{ name: "Coolie" }] }));
+
+    assert.deepEqual(loadOptionalWatchlist(file), {
+      settings: {},
+      movies: [],
+    });
+    assert.equal(console.warn.mock.calls.length, 1);
+    assert.deepEqual(
+      loadOptionalWatchlist(path.join(dir, "missing.json")).movies,
+      []
+    );
+  });
+});